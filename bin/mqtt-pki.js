@@ -0,0 +1,510 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const pki = require('../server');
+const caStore = require('../lib/ca-store');
+const x509 = require('../lib/x509');
+const backend = require('../lib/backends');
+const auditLog = require('../lib/audit-log');
+
+// Command-line front end for CI pipelines: the same generation and signing code as the HTTP
+// API, without starting the server. Stored CAs are shared with the server (data/cas), and
+// root-ca, intermediate-ca, csr and sign are written to the same audit log.
+//
+// Exit codes:
+//   0  success
+//   1  unexpected failure (backend, file system)
+//   2  invalid usage or input (the cases the API answers with 400/404)
+//   3  inspect: the CSR failed linting or its signature does not verify
+//      audit verify: the audit log's hash chain is broken
+
+const USAGE = `Usage: mqtt-pki <command> [options]
+
+Commands:
+  root-ca                      Generate a Root CA (ca-key.pem, ca-cert.pem)
+  intermediate-ca              Generate an Intermediate CA signed by --ca-id or --ca-key/--ca-cert
+                               (intermediate-ca-key.pem, intermediate-ca-cert.pem, ca-chain.pem)
+  csr client|broker            Generate a key pair and CSR
+                               (mqtt-<type>-key.pem, mqtt-<type>-public.pem, mqtt-<type>-csr.pem)
+  sign client|broker           Sign --csr with --ca-id or --ca-key/--ca-cert
+                               (<type>-cert.pem, fullchain.pem)
+  inspect <file>               Show a CSR (with lint findings) or a certificate, PEM or DER
+  cas                          List the CAs stored in the vault
+  audit verify                 Check the audit log's hash chain
+  audit export                 Print audit entries as JSON Lines, --from/--to limit the time range
+
+Request options (a --config file takes the JSON body of the matching HTTP endpoint, flags win):
+  --config <file.json>
+  --common-name <cn>           --organization <o>        --organizational-unit <ou>
+  --country <c>                --state <st>              --locality <l>
+  --email <address>            --serial-number <sn>
+  --san <TYPE:value>           Subject Alternative Name, repeatable or "DNS:a;IP:10.0.0.1"
+  --key-algorithm <alg>        prime256v1, secp384r1, secp521r1, rsa2048, rsa3072, rsa4096, ed25519
+  --profile <name>             Certificate profile (csr, sign, inspect)
+  --days <n>                   Validity in days
+  --pathlen <n>                CA path length (root-ca: none unless given, intermediate-ca: default 0)
+  --permit <TYPE:value>        Name constraint of a new CA, repeatable or "DNS:.example.com;IP:10.0.0.0/8"
+  --exclude <TYPE:value>       Excluded name of a new CA (DNS, IP or email), same forms as --permit
+  --policy <oid>               Certificate policy OID of a new CA, repeatable
+  --no-store                   Do not keep the generated CA in the vault
+
+Private key output (root-ca, intermediate-ca, csr):
+  --key-format <format>        pkcs8 or sec1 (EC only), default: as generated (SEC1 for EC keys)
+  --key-encoding <encoding>    pem (default) or der (writes *-key.der)
+  --key-passphrase-file <file> Encrypt the key as PKCS#8 with AES-256 and the passphrase in <file>
+  --key-kdf <kdf>              scrypt (default) or pbkdf2 for the encrypted key
+
+Issuer and input options:
+  --ca-id <id>                 Stored CA
+  --ca-key <file>              Issuing CA key, with --ca-cert and optionally --ca-chain
+  --ca-cert <file>
+  --ca-chain <file>
+  --ca-key-passphrase-file <file>
+                               Passphrase of an encrypted --ca-key or --ca-id key
+  --csr <file>                 CSR to sign, its SANs are used unless --san is given
+  --crl-url <url>              CRL Distribution Point of the signed certificate
+  --ocsp-url <url>             OCSP responder URL of the signed certificate
+  --from <time>                First audit entry time, ISO 8601 (e.g. 2024-01-31 or 2024-01-31T12:00:00Z)
+  --to <time>                  Audit entries before this time
+
+Output options:
+  --out <dir>                  Directory for the PEM files (default: current directory)
+  --force                      Overwrite existing files
+  --json                       Print the result as JSON instead of text
+  -h, --help
+
+Exit codes: 0 success, 1 failure, 2 invalid usage or input, 3 CSR failed inspection or audit chain broken
+`;
+
+const OPTIONS = {
+    config: { type: 'string' },
+    'common-name': { type: 'string' },
+    organization: { type: 'string' },
+    'organizational-unit': { type: 'string' },
+    country: { type: 'string' },
+    state: { type: 'string' },
+    locality: { type: 'string' },
+    email: { type: 'string' },
+    'serial-number': { type: 'string' },
+    san: { type: 'string', multiple: true },
+    'key-algorithm': { type: 'string' },
+    profile: { type: 'string' },
+    days: { type: 'string' },
+    pathlen: { type: 'string' },
+    permit: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    policy: { type: 'string', multiple: true },
+    'no-store': { type: 'boolean' },
+    'key-format': { type: 'string' },
+    'key-encoding': { type: 'string' },
+    'key-passphrase-file': { type: 'string' },
+    'key-kdf': { type: 'string' },
+    'ca-id': { type: 'string' },
+    'ca-key': { type: 'string' },
+    'ca-cert': { type: 'string' },
+    'ca-chain': { type: 'string' },
+    'ca-key-passphrase-file': { type: 'string' },
+    csr: { type: 'string' },
+    'crl-url': { type: 'string' },
+    'ocsp-url': { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    out: { type: 'string', default: '.' },
+    force: { type: 'boolean' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Flags given as text, in the field names of the HTTP API
+const TEXT_FIELDS = {
+    'common-name': 'commonName',
+    organization: 'organization',
+    'organizational-unit': 'organizationalUnit',
+    country: 'country',
+    state: 'state',
+    locality: 'locality',
+    email: 'email',
+    'serial-number': 'serialNumber',
+    'key-algorithm': 'keyAlgorithm',
+    'key-format': 'keyFormat',
+    'key-encoding': 'keyEncoding',
+    'key-kdf': 'keyKdf',
+    profile: 'profile',
+    'ca-id': 'caId',
+    'crl-url': 'crlDistributionPoint',
+    'ocsp-url': 'ocspUrl'
+};
+
+// Flags naming a file whose content goes into the request
+const FILE_FIELDS = {
+    'ca-key': 'caKey',
+    'ca-cert': 'caCert',
+    'ca-chain': 'caChain',
+    csr: 'csr'
+};
+
+// Flags naming a file with a passphrase: its first line, so it is not left in the shell history
+const PASSPHRASE_FIELDS = {
+    'key-passphrase-file': 'keyPassphrase',
+    'ca-key-passphrase-file': 'caKeyPassphrase'
+};
+
+const TYPES = ['client', 'broker'];
+
+function usageError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function readInput(file) {
+    try {
+        return fs.readFileSync(file);
+    } catch (error) {
+        throw usageError(`Cannot read ${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+    }
+}
+
+function wholeNumber(flag, value) {
+    if (!/^\d+$/.test(value)) {
+        throw usageError(`--${flag} must be a whole number`);
+    }
+    return parseInt(value, 10);
+}
+
+// The request body: the --config JSON, overridden by the flags
+function requestOptions(values) {
+    let options = {};
+    if (values.config) {
+        try {
+            options = JSON.parse(readInput(values.config).toString('utf8'));
+        } catch (error) {
+            throw error.status ? error : usageError(`${values.config} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    for (const [flag, field] of Object.entries(TEXT_FIELDS)) {
+        if (values[flag] !== undefined) options[field] = values[flag];
+    }
+    for (const [flag, field] of Object.entries(FILE_FIELDS)) {
+        if (values[flag] !== undefined) options[field] = readInput(values[flag]).toString('utf8');
+    }
+    for (const [flag, field] of Object.entries(PASSPHRASE_FIELDS)) {
+        if (values[flag] !== undefined) options[field] = readInput(values[flag]).toString('utf8').split(/\r?\n/)[0];
+    }
+    if (values.san) options.subjectAltNames = values.san.flatMap(pki.parseSanList);
+    if (values.days !== undefined) options.validityDays = wholeNumber('days', values.days);
+    if (values.pathlen !== undefined) options.pathlen = wholeNumber('pathlen', values.pathlen);
+    if (values.permit || values.exclude) {
+        options.nameConstraints = {
+            ...options.nameConstraints,
+            ...(values.permit && { permitted: values.permit.join(';') }),
+            ...(values.exclude && { excluded: values.exclude.join(';') })
+        };
+    }
+    if (values.policy) options.certificatePolicies = values.policy;
+    if (values['no-store']) options.store = false;
+
+    // A config file may use the CSV-style SAN string as well
+    options.subjectAltNames = options.subjectAltNames === undefined ? undefined : pki.parseSanList(options.subjectAltNames);
+    return options;
+}
+
+function commandType(command, type) {
+    if (!TYPES.includes(type)) {
+        throw usageError(`mqtt-pki ${command} needs the certificate type: ${TYPES.join(' or ')}`);
+    }
+    return type;
+}
+
+// Files each command writes, in the order the command returns their content.
+// keyExtension is der for --key-encoding der, whose keys come back as base64.
+function outputFiles(command, type, keyExtension = 'pem') {
+    switch (command) {
+        case 'root-ca':
+            return [`ca-key.${keyExtension}`, 'ca-cert.pem'];
+        case 'intermediate-ca':
+            return [`intermediate-ca-key.${keyExtension}`, 'intermediate-ca-cert.pem', 'ca-chain.pem'];
+        case 'csr':
+            return [`mqtt-${type}-key.${keyExtension}`, `mqtt-${type}-public.pem`, `mqtt-${type}-csr.pem`];
+        case 'sign':
+            return [`${type}-cert.pem`, 'fullchain.pem'];
+        default:
+            return [];
+    }
+}
+
+// Checked before anything is generated, so a refused run leaves no CA behind in the vault
+function checkOutput(outDir, names, force) {
+    const existing = names.map(name => path.join(outDir, name)).filter(file => fs.existsSync(file));
+    if (existing.length > 0 && !force) {
+        throw usageError(`Refusing to overwrite ${existing.join(', ')} (use --force)`);
+    }
+}
+
+// Write the PEM (and DER key) files, private keys readable by the owner only
+function writeFiles(outDir, names, contents) {
+    if (names.length === 0) return [];
+    fs.mkdirSync(outDir, { recursive: true });
+
+    return names.map((name, index) => {
+        const filePath = path.join(outDir, name);
+        const content = contents[index];
+        const secret = /-key\.(pem|der)$/.test(name);
+        const data = name.endsWith('.der')
+            ? Buffer.from(content, 'base64')
+            : content.endsWith('\n') ? content : `${content}\n`;
+        fs.writeFileSync(filePath, data, { mode: secret ? 0o600 : 0o644 });
+        if (secret) fs.chmodSync(filePath, 0o600);
+        return filePath;
+    });
+}
+
+// Audit log operation of a command, named like the HTTP endpoint doing the same; null if not audited
+function auditOperation(command, type) {
+    switch (command) {
+        case 'root-ca':
+            return 'generate-root-ca';
+        case 'intermediate-ca':
+            return 'generate-intermediate-ca';
+        case 'csr':
+            return TYPES.includes(type) ? (type === 'broker' ? 'generate-broker-csr' : 'generate-csr') : null;
+        case 'sign':
+            return TYPES.includes(type) ? `sign-${type}-cert` : null;
+        default:
+            return null;
+    }
+}
+
+// Like the server, a failed audit write is reported without failing the command
+function audit(operation, details) {
+    try {
+        auditLog.append({ operation, source: 'cli', actor: os.userInfo().username, ...details });
+    } catch (error) {
+        console.error(`Warning: could not write the audit log: ${error.message}`);
+    }
+}
+
+async function rootCa(options) {
+    const result = await pki.generateRootCa(options);
+    return {
+        summary: { caId: result.caId, keyFormat: result.keyFormat, thumbprints: result.thumbprints, ...(await pki.readCertInfo(result.caCert)) },
+        files: [result.caKey, result.caCert],
+        details: result.certDetails,
+        audit: { cert: result.caCert, caId: result.caId }
+    };
+}
+
+async function intermediateCa(options) {
+    const result = await pki.generateIntermediateCa(options);
+    return {
+        summary: { caId: result.caId, keyFormat: result.keyFormat, ...(await pki.readCertInfo(result.caCert)) },
+        files: [result.caKey, result.caCert, result.caChain],
+        details: result.certDetails,
+        audit: { cert: result.caCert, caId: result.caId }
+    };
+}
+
+async function generateCsr(type, options) {
+    const generate = type === 'broker' ? pki.generateBrokerCsr : pki.generateClientCsr;
+    const result = await generate(options);
+    return {
+        summary: { type, profile: result.profile, keyAlgorithm: result.keyAlgorithm, keyFormat: result.keyFormat, subjectAltNames: result.subjectAltNames },
+        files: [result.privateKey, result.publicKey, result.csr],
+        details: result.csrDetails,
+        audit: { csr: result.csr, profile: result.profile }
+    };
+}
+
+async function signCertificate(type, options) {
+    if (!options.csr) {
+        throw usageError('--csr is required');
+    }
+
+    // Like the web UI, sign with the SANs the CSR asks for unless others are given
+    const { subjectAltNames = (await pki.inspectCsr(options.csr, options.profile || type)).extensions.subjectAltNames || [] } = options;
+    const sign = type === 'broker' ? pki.signBrokerCertificate : pki.signClientCertificate;
+    const result = await sign({ ...options, subjectAltNames });
+    return {
+        summary: {
+            type,
+            caId: result.caId,
+            serial: result.serial,
+            fingerprint: result.fingerprint,
+            notAfter: result.notAfter,
+            profile: result.profile
+        },
+        files: [result.signedCert, result.fullchain],
+        details: result.certDetails,
+        audit: { cert: result.signedCert, caId: result.caId, profile: result.profile }
+    };
+}
+
+// A CSR gets the same report as POST /api/inspect-csr, a certificate its parsed details
+async function inspect(file, profile) {
+    const input = readInput(file);
+    const text = input.toString('utf8');
+
+    let cert = null;
+    if (text.includes('-----BEGIN CERTIFICATE-----')) {
+        cert = text;
+    } else if (!text.includes('-----BEGIN')) {
+        try {
+            cert = new crypto.X509Certificate(input).toString();
+        } catch (error) {
+            cert = null; // Not a DER certificate, try it as a DER CSR
+        }
+    }
+
+    if (!cert) {
+        const report = await pki.inspectCsr(text.includes('-----BEGIN') ? text : input, profile);
+        const { csr, csrDetails, ...summary } = report;
+        return {
+            summary: { type: 'csr', ...summary },
+            files: [],
+            details: csrDetails,
+            failed: !report.passed || !report.signatureValid
+        };
+    }
+
+    const certDetails = await backend.describeCertificate(cert);
+    const { publicKey, signatureAlgorithm, extensions } = x509.usageView(x509.parseCertificate(x509.fromPem(cert, ['CERTIFICATE'])));
+    return {
+        summary: { type: 'certificate', ...(await backend.certificateInfo(cert)), publicKey, signatureAlgorithm, extensions },
+        files: [],
+        details: certDetails
+    };
+}
+
+function listCas() {
+    return {
+        summary: { cas: caStore.listCas() },
+        files: []
+    };
+}
+
+// verify checks the whole chain; export prints the entries as stored (output)
+function auditCommand(action, values) {
+    switch (action) {
+        case 'verify': {
+            const result = auditLog.verify();
+            return { summary: { path: auditLog.AUDIT_LOG_PATH, ...result }, files: [], failed: !result.valid };
+        }
+        case 'export': {
+            const output = auditLog.exportRange({ from: values.from, to: values.to });
+            return { summary: { entries: output.split('\n').filter(Boolean).length }, files: [], output };
+        }
+        default:
+            throw usageError('mqtt-pki audit needs an action: verify or export');
+    }
+}
+
+async function run(command, args, values) {
+    switch (command) {
+        case 'root-ca':
+            return rootCa(requestOptions(values));
+        case 'intermediate-ca':
+            return intermediateCa(requestOptions(values));
+        case 'csr':
+            return generateCsr(commandType(command, args[0]), requestOptions(values));
+        case 'sign':
+            return signCertificate(commandType(command, args[0]), requestOptions(values));
+        case 'inspect':
+            if (!args[0]) throw usageError('mqtt-pki inspect needs a CSR or certificate file');
+            return inspect(args[0], values.profile || 'client');
+        case 'cas':
+            return listCas();
+        case 'audit':
+            return auditCommand(args[0], values);
+        default:
+            throw usageError(command ? `Unknown command: ${command}` : 'A command is required');
+    }
+}
+
+function printText(command, result, written) {
+    if (command === 'cas') {
+        for (const ca of result.summary.cas) {
+            console.log(`${ca.caId}  ${ca.type.padEnd(12)}  ${ca.notAfter}  ${ca.name}`);
+        }
+        return;
+    }
+
+    if (command === 'audit') {
+        const { path: logPath, valid, entries, head, error } = result.summary;
+        console.log(valid
+            ? `${logPath}: ${entries} entries, chain intact${head ? `, head #${head.seq} ${head.hash}` : ''}`
+            : `${logPath}: chain broken at entry #${error.seq}: ${error.reason}`);
+        return;
+    }
+
+    if (command === 'inspect') {
+        console.log(result.details.trim());
+        for (const finding of result.summary.findings || []) {
+            console.log(`${finding.level.toUpperCase()}: ${finding.message}`);
+        }
+        if (result.summary.type === 'csr') {
+            console.log(result.failed ? 'CSR failed inspection' : 'CSR passed inspection');
+        }
+        return;
+    }
+
+    for (const [field, value] of Object.entries(result.summary)) {
+        if (value === null || value === undefined) continue;
+        console.log(`${field}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    }
+    for (const file of written) {
+        console.log(`wrote ${file}`);
+    }
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...args] = positionals;
+    if (values.help || !command) {
+        (values.help ? console.log : console.error)(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    const operation = auditOperation(command, args[0]);
+    try {
+        const outDir = path.resolve(values.out);
+        const names = outputFiles(command, args[0], values['key-encoding'] === 'der' ? 'der' : 'pem');
+        checkOutput(outDir, names, values.force);
+
+        const result = await run(command, args, values);
+        if (operation) audit(operation, result.audit);
+        const written = writeFiles(outDir, names, result.files);
+
+        if (result.output !== undefined) {
+            process.stdout.write(result.output);
+        } else if (values.json) {
+            console.log(JSON.stringify({ success: true, ...result.summary, files: written }, null, 2));
+        } else {
+            printText(command, result, written);
+        }
+        return result.failed ? 3 : 0;
+    } catch (error) {
+        if (operation) audit(operation, { error, caId: values['ca-id'] });
+        if (values.json) {
+            console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+        } else {
+            console.error(`Error: ${error.message}`);
+        }
+        return error.status ? 2 : 1;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,246 @@
+// Minimal DER encoder and decoder, enough for PKCS#10 requests and X.509 certificates
+
+const TAGS = {
+    BOOLEAN: 0x01,
+    INTEGER: 0x02,
+    BIT_STRING: 0x03,
+    OCTET_STRING: 0x04,
+    NULL: 0x05,
+    OID: 0x06,
+    UTF8_STRING: 0x0c,
+    PRINTABLE_STRING: 0x13,
+    T61_STRING: 0x14,
+    IA5_STRING: 0x16,
+    UTC_TIME: 0x17,
+    GENERALIZED_TIME: 0x18,
+    BMP_STRING: 0x1e,
+    SEQUENCE: 0x30,
+    SET: 0x31
+};
+
+function encodeLength(length) {
+    if (length < 0x80) {
+        return Buffer.from([length]);
+    }
+    const bytes = [];
+    for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+        bytes.unshift(remaining & 0xff);
+    }
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+// One TLV from a tag byte and its content
+function encode(tag, content) {
+    return Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+}
+
+function sequence(...items) {
+    return encode(TAGS.SEQUENCE, Buffer.concat(items.filter(Boolean)));
+}
+
+// DER sorts SET OF elements by their encoding
+function set(...items) {
+    return encode(TAGS.SET, Buffer.concat(items.filter(Boolean).sort(Buffer.compare)));
+}
+
+// Unsigned big-endian bytes (or a small number) as a positive INTEGER
+function integer(value) {
+    const hex = Buffer.isBuffer(value) ? null : value.toString(16);
+    let bytes = hex === null ? value : Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) start++;
+    bytes = bytes.subarray(start);
+    if (bytes[0] & 0x80) {
+        bytes = Buffer.concat([Buffer.from([0]), bytes]);
+    }
+    return encode(TAGS.INTEGER, bytes);
+}
+
+function boolean(value) {
+    return encode(TAGS.BOOLEAN, Buffer.from([value ? 0xff : 0]));
+}
+
+function nullValue() {
+    return encode(TAGS.NULL, Buffer.alloc(0));
+}
+
+function oid(dotted) {
+    const parts = dotted.split('.').map(Number);
+    const bytes = [40 * parts[0] + parts[1]];
+
+    for (const part of parts.slice(2)) {
+        const base128 = [part & 0x7f];
+        for (let remaining = Math.floor(part / 128); remaining > 0; remaining = Math.floor(remaining / 128)) {
+            base128.unshift((remaining & 0x7f) | 0x80);
+        }
+        bytes.push(...base128);
+    }
+
+    return encode(TAGS.OID, Buffer.from(bytes));
+}
+
+function bitString(bytes, unusedBits = 0) {
+    return encode(TAGS.BIT_STRING, Buffer.concat([Buffer.from([unusedBits]), bytes]));
+}
+
+function octetString(bytes) {
+    return encode(TAGS.OCTET_STRING, bytes);
+}
+
+function utf8String(value) {
+    return encode(TAGS.UTF8_STRING, Buffer.from(value, 'utf8'));
+}
+
+function printableString(value) {
+    return encode(TAGS.PRINTABLE_STRING, Buffer.from(value, 'ascii'));
+}
+
+function ia5String(value) {
+    return encode(TAGS.IA5_STRING, Buffer.from(value, 'ascii'));
+}
+
+// RFC 5280: UTCTime through 2049, GeneralizedTime from 2050 on
+function time(date) {
+    const digits = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    return date.getUTCFullYear() < 2050
+        ? encode(TAGS.UTC_TIME, Buffer.from(`${digits.slice(2)}Z`, 'ascii'))
+        : encode(TAGS.GENERALIZED_TIME, Buffer.from(`${digits}Z`, 'ascii'));
+}
+
+// [n] EXPLICIT wrapper around a complete TLV
+function explicit(number, item) {
+    return encode(0xa0 | number, item);
+}
+
+// [n] IMPLICIT: replaces the tag of a TLV, keeping its constructed bit
+function implicit(number, item) {
+    const constructed = item[0] & 0x20;
+    return Buffer.concat([Buffer.from([0x80 | constructed | number]), item.subarray(1)]);
+}
+
+// Decode the TLV at offset: { tag, tagClass, constructed, number, content, raw, end }
+function decode(buffer, offset = 0) {
+    if (offset + 2 > buffer.length) {
+        throw new Error('Truncated DER data');
+    }
+
+    const tag = buffer[offset];
+    if ((tag & 0x1f) === 0x1f) {
+        throw new Error('High tag numbers are not supported');
+    }
+
+    let length = buffer[offset + 1];
+    let headerLength = 2;
+    if (length & 0x80) {
+        const count = length & 0x7f;
+        if (count === 0 || count > 4 || offset + 2 + count > buffer.length) {
+            throw new Error('Invalid DER length');
+        }
+        length = 0;
+        for (let i = 0; i < count; i++) {
+            length = length * 256 + buffer[offset + 2 + i];
+        }
+        headerLength += count;
+    }
+
+    const end = offset + headerLength + length;
+    if (end > buffer.length) {
+        throw new Error('Truncated DER data');
+    }
+
+    return {
+        tag,
+        tagClass: tag >> 6,
+        constructed: !!(tag & 0x20),
+        number: tag & 0x1f,
+        content: buffer.subarray(offset + headerLength, end),
+        raw: buffer.subarray(offset, end),
+        end
+    };
+}
+
+// All TLVs inside a constructed value
+function children(node) {
+    const items = [];
+    for (let offset = 0; offset < node.content.length;) {
+        const child = decode(node.content, offset);
+        items.push(child);
+        offset = child.end;
+    }
+    return items;
+}
+
+// Decode a complete DER document, rejecting trailing garbage
+function parse(buffer) {
+    const node = decode(buffer);
+    if (node.end !== buffer.length) {
+        throw new Error('Unexpected data after the DER structure');
+    }
+    return node;
+}
+
+function decodeOid(node) {
+    const bytes = node.content;
+    const first = Math.min(Math.floor(bytes[0] / 40), 2);
+    const parts = [first, bytes[0] - 40 * first];
+    let value = 0;
+
+    for (const byte of bytes.subarray(1)) {
+        value = value * 128 + (byte & 0x7f);
+        if (!(byte & 0x80)) {
+            parts.push(value);
+            value = 0;
+        }
+    }
+
+    return parts.join('.');
+}
+
+// Magnitude of an INTEGER without the sign padding byte
+function decodeInteger(node) {
+    let start = 0;
+    while (start < node.content.length - 1 && node.content[start] === 0) start++;
+    return node.content.subarray(start);
+}
+
+function decodeString(node) {
+    if (node.tag === TAGS.BMP_STRING) {
+        return Buffer.from(node.content).swap16().toString('utf16le');
+    }
+    return node.content.toString(node.tag === TAGS.UTF8_STRING ? 'utf8' : 'latin1');
+}
+
+function decodeTime(node) {
+    const text = node.content.toString('ascii');
+    const full = node.tag === TAGS.UTC_TIME
+        ? `${parseInt(text.slice(0, 2), 10) < 50 ? '20' : '19'}${text}`
+        : text;
+    const [, year, month, day, hour, minute, second] = full.match(/^(\d{4})(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)/);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+module.exports = {
+    TAGS,
+    encode,
+    sequence,
+    set,
+    integer,
+    boolean,
+    nullValue,
+    oid,
+    bitString,
+    octetString,
+    utf8String,
+    printableString,
+    ia5String,
+    time,
+    explicit,
+    implicit,
+    decode,
+    children,
+    parse,
+    decodeOid,
+    decodeInteger,
+    decodeString,
+    decodeTime
+};
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const x509 = require('./x509');
+
+// Audit log of CSR generation, CA creation and signing: one JSON entry per line in
+// AUDIT_LOG_PATH, appended and never rewritten. Each entry carries the hash of the one before
+// it (prevHash) and its own hash over everything else, so editing, inserting or deleting an
+// entry breaks the chain from that point on. Removing entries from the end leaves a valid,
+// shorter chain: keep the head (seq and hash) that verify() reports somewhere else to catch that.
+// Certificates and CSRs are reduced to their subject, SANs, serial, fingerprint and issuer,
+// private keys are never written.
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, '..', 'data', 'audit', 'audit.jsonl');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Enough to hold the last entry in all but extreme cases, read() falls back to the whole file
+const TAIL_BYTES = 64 * 1024;
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function entryHash(entry) {
+    const { hash, ...fields } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+function fingerprintOf(der) {
+    return crypto.createHash('sha256').update(der).digest('hex').toUpperCase().match(/../g).join(':');
+}
+
+function subjectAltNamesOf(parsed) {
+    const ext = x509.findExtension(parsed, x509.EXTENSIONS.subjectAltName);
+    return ext ? x509.decodeSubjectAltNames(ext.value) : [];
+}
+
+// What gets logged about a certificate (PEM, first one of a chain)
+function certificateFields(cert) {
+    const der = x509.fromPem(cert, ['CERTIFICATE']);
+    if (!der) return {};
+
+    const parsed = x509.parseCertificate(der);
+    return {
+        subject: x509.formatNameRfc2253(parsed.subject),
+        subjectAltNames: subjectAltNamesOf(parsed),
+        serial: parsed.serialNumber.toString('hex').toUpperCase(),
+        fingerprint: fingerprintOf(der),
+        issuer: x509.formatNameRfc2253(parsed.issuer),
+        notAfter: parsed.notAfter.toISOString()
+    };
+}
+
+// ...and about a CSR (PEM or base64 DER)
+function requestFields(csr) {
+    const text = Buffer.isBuffer(csr) ? csr.toString('latin1') : String(csr);
+    const der = x509.fromPem(text, ['CERTIFICATE REQUEST', 'NEW CERTIFICATE REQUEST']) ||
+        (/^[A-Za-z0-9+/=\s]+$/.test(text) ? Buffer.from(text.replace(/\s+/g, ''), 'base64') : null);
+    if (!der || der.length === 0) return {};
+
+    const parsed = x509.parseRequest(der);
+    return {
+        subject: x509.formatNameRfc2253(parsed.subject),
+        subjectAltNames: subjectAltNamesOf(parsed)
+    };
+}
+
+// Certificate and CSR details are best effort: a request that failed may have sent garbage
+function describe({ cert, csr }) {
+    try {
+        if (cert) return certificateFields(cert);
+        if (csr) return requestFields(csr);
+    } catch (error) {
+        // Logged without them
+    }
+    return {};
+}
+
+// Anything that looks like key material is dropped, whatever field it came in
+function redact(value) {
+    if (typeof value === 'string') {
+        return /PRIVATE KEY/.test(value) ? '[redacted]' : value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item)]));
+    }
+    return value;
+}
+
+// Raw lines of the log, in order
+function readLines() {
+    if (!fs.existsSync(AUDIT_LOG_PATH)) return [];
+    return fs.readFileSync(AUDIT_LOG_PATH, 'utf8').split('\n').filter(line => line.trim());
+}
+
+// The last entry, read from the end of the file so appending stays cheap as the log grows.
+// Not cached: the server and the CLI may both append to the same file.
+function lastEntry() {
+    if (!fs.existsSync(AUDIT_LOG_PATH)) return null;
+
+    const size = fs.statSync(AUDIT_LOG_PATH).size;
+    let text;
+    if (size <= TAIL_BYTES) {
+        text = fs.readFileSync(AUDIT_LOG_PATH, 'utf8');
+    } else {
+        const buffer = Buffer.alloc(TAIL_BYTES);
+        const fd = fs.openSync(AUDIT_LOG_PATH, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, TAIL_BYTES, size - TAIL_BYTES);
+        } finally {
+            fs.closeSync(fd);
+        }
+        text = buffer.toString('utf8');
+        if (text.trimEnd().indexOf('\n') < 0) {
+            text = fs.readFileSync(AUDIT_LOG_PATH, 'utf8');
+        }
+    }
+
+    const lines = text.split('\n').filter(line => line.trim());
+    return lines.length > 0 ? JSON.parse(lines[lines.length - 1]) : null;
+}
+
+// Append one entry. details: operation (required), source, ip, actor, caId, profile, the
+// cert or csr PEM it concerns, and error (an Error or message) when it failed.
+function append(details) {
+    const { operation, source = 'api', ip, actor, caId, profile, cert, csr, error } = details;
+    if (!operation) {
+        throw invalidInput('An audit entry needs an operation');
+    }
+
+    const previous = lastEntry();
+    const entry = redact({
+        seq: previous ? previous.seq + 1 : 1,
+        timestamp: new Date().toISOString(),
+        source,
+        ip: ip || null,
+        actor: actor || null,
+        operation,
+        result: error ? 'failure' : 'success',
+        ...(error && { status: error.status || 500, error: String(error.message || error).split('\n')[0] }),
+        caId: caId || null,
+        profile: profile || null,
+        subject: details.subject || null,
+        subjectAltNames: details.subjectAltNames || [],
+        serial: null,
+        fingerprint: null,
+        issuer: null,
+        notAfter: null,
+        ...describe({ cert, csr }),
+        prevHash: previous ? previous.hash : GENESIS_HASH
+    });
+    entry.hash = entryHash(entry);
+
+    fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+    fs.appendFileSync(AUDIT_LOG_PATH, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    return entry;
+}
+
+// Walk the chain from the start. Stops at the first broken entry (seq is its line number).
+function verify() {
+    const lines = readLines();
+    let previous = null;
+
+    for (const [index, line] of lines.entries()) {
+        const seq = index + 1;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (e) {
+            return { valid: false, entries: lines.length, error: { seq, reason: 'Line is not valid JSON' } };
+        }
+
+        let reason = null;
+        if (entry.seq !== seq) {
+            reason = `Expected sequence number ${seq}, found ${entry.seq} (entries removed or inserted)`;
+        } else if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+            reason = 'prevHash does not match the previous entry (entries removed, inserted or reordered)';
+        } else if (entry.hash !== entryHash(entry)) {
+            reason = 'Entry hash does not match its content (entry edited)';
+        }
+        if (reason) {
+            return { valid: false, entries: lines.length, error: { seq, reason } };
+        }
+        previous = entry;
+    }
+
+    return {
+        valid: true,
+        entries: lines.length,
+        head: previous ? { seq: previous.seq, hash: previous.hash, timestamp: previous.timestamp } : null
+    };
+}
+
+function parseTime(label, value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+        throw invalidInput(`${label} must be an ISO 8601 date or time, e.g. 2024-01-31 or 2024-01-31T12:00:00Z`);
+    }
+    return time;
+}
+
+// Entries with from <= timestamp < to, as the stored JSON Lines so their hashes can be checked
+function exportRange({ from, to } = {}) {
+    const start = parseTime('from', from);
+    const end = parseTime('to', to);
+    if (start && end && start >= end) {
+        throw invalidInput('from must be before to');
+    }
+
+    return readLines()
+        .filter(line => {
+            let time;
+            try {
+                time = new Date(JSON.parse(line).timestamp);
+            } catch (e) {
+                return false; // verify() reports it
+            }
+            return (!start || time >= start) && (!end || time < end);
+        })
+        .map(line => line + '\n')
+        .join('');
+}
+
+module.exports = {
+    AUDIT_LOG_PATH,
+    append,
+    verify,
+    exportRange
+};
@@ -0,0 +1,125 @@
+const net = require('net');
+
+// Crypto backend for key generation, CSRs, signing and certificate parsing:
+//   native   in-process with Node's crypto and lib/x509.js (default)
+//   openssl  the openssl CLI, as before the native backend existed
+// Select one with PKI_BACKEND. CRLs, OCSP responses and PKCS#12 always use openssl.
+//
+// Every backend implements:
+//   generateKeyPair(keyAlgorithm)                                 -> { privateKey, publicKey } PEM
+//   createCsr({ privateKey, subject, extensions })                -> CSR PEM
+//   selfSignCertificate({ privateKey, subject, days, extensions }) -> certificate PEM
+//   signCsr({ csr, caKey, caCert, serialPath, days, extensions })  -> certificate PEM
+//   reissueCertificate({ cert, publicKey, caKey, caCert, serialPath, days, extensions })
+//                                                                 -> certificate PEM, subject of cert, publicKey or cert's key
+//   describeCsr(csr), describeCertificate(cert)                   -> `openssl -text` style dump
+//   certificateInfo(cert)                                         -> { serial, subject, issuer, commonName, notBefore, notAfter, fingerprint }
+//   readCsr(pem | der)                                            -> { csr, subject, signatureValid, csrDetails }
+// See lib/x509.js for the subject and extensions formats.
+const BACKENDS = {
+    native: () => require('./native'),
+    openssl: () => require('./openssl')
+};
+
+const CURVES = ['prime256v1', 'secp384r1', 'secp521r1'];
+
+// Key algorithms for generated keys: an EC curve name, an RSA key size or Ed25519
+const RSA_KEY_SIZES = { rsa2048: 2048, rsa3072: 3072, rsa4096: 4096 };
+const KEY_ALGORITHMS = [...CURVES, ...Object.keys(RSA_KEY_SIZES), 'ed25519'];
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+const name = process.env.PKI_BACKEND || 'native';
+if (!BACKENDS[name]) {
+    throw new Error(`Unknown PKI_BACKEND ${name}, use one of ${Object.keys(BACKENDS).join(', ')}`);
+}
+const backend = BACKENDS[name]();
+
+// The same input rules for both backends, so a request never behaves differently
+// depending on which one is configured
+function checkKeyAlgorithm(keyAlgorithm) {
+    if (!KEY_ALGORITHMS.includes(keyAlgorithm)) {
+        throw invalidInput(`Unsupported key algorithm: ${keyAlgorithm}. Use one of ${KEY_ALGORITHMS.join(', ')}`);
+    }
+}
+
+// Key type of a key algorithm, as x509.describePublicKey reports it: EC, RSA or ED25519
+function keyType(keyAlgorithm) {
+    if (RSA_KEY_SIZES[keyAlgorithm]) return 'RSA';
+    return keyAlgorithm === 'ed25519' ? 'ED25519' : 'EC';
+}
+
+function checkDays(days) {
+    if (!Number.isInteger(Number(days)) || Number(days) < 1) {
+        throw invalidInput('Validity must be a whole number of days');
+    }
+}
+
+function checkSubject(subject) {
+    for (const { type, value } of subject) {
+        if (typeof value !== 'string' || !value || /[\x00-\x1f\x7f]/.test(value)) {
+            throw invalidInput(`Subject ${type} must be non-empty text without control characters`);
+        }
+    }
+}
+
+function checkExtensions({ subjectAltNames = [] }) {
+    for (const { type, value } of subjectAltNames) {
+        if (!['DNS', 'IP', 'email', 'URI'].includes(type)) {
+            throw invalidInput(`Unsupported Subject Alternative Name type: ${type}`);
+        }
+        if (typeof value !== 'string' || /[\x00-\x20\x7f]/.test(value)) {
+            throw invalidInput(`Invalid ${type} Subject Alternative Name: ${value}`);
+        }
+        if (type === 'IP' && !net.isIP(value)) {
+            throw invalidInput(`Invalid IP address in Subject Alternative Name: ${value}`);
+        }
+    }
+}
+
+module.exports = {
+    name,
+    CURVES,
+    RSA_KEY_SIZES,
+    KEY_ALGORITHMS,
+    keyType,
+
+    generateKeyPair(keyAlgorithm) {
+        checkKeyAlgorithm(keyAlgorithm);
+        return backend.generateKeyPair(keyAlgorithm);
+    },
+
+    createCsr(options) {
+        checkSubject(options.subject);
+        checkExtensions(options.extensions);
+        return backend.createCsr(options);
+    },
+
+    selfSignCertificate(options) {
+        checkSubject(options.subject);
+        checkDays(options.days);
+        checkExtensions(options.extensions);
+        return backend.selfSignCertificate({ ...options, days: Number(options.days) });
+    },
+
+    signCsr(options) {
+        checkDays(options.days);
+        checkExtensions(options.extensions);
+        return backend.signCsr({ ...options, days: Number(options.days) });
+    },
+
+    reissueCertificate(options) {
+        checkDays(options.days);
+        checkExtensions(options.extensions);
+        return backend.reissueCertificate({ ...options, days: Number(options.days) });
+    },
+
+    describeCsr: csr => backend.describeCsr(csr),
+    describeCertificate: cert => backend.describeCertificate(cert),
+    certificateInfo: cert => backend.certificateInfo(cert),
+    readCsr: input => backend.readCsr(input)
+};
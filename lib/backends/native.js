@@ -0,0 +1,223 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const x509 = require('../x509');
+
+// In-process backend: Node's crypto for keys and signatures, lib/x509.js for the DER structures
+
+const generateKeyPairAsync = promisify(crypto.generateKeyPair);
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function loadPrivateKey(pem, label) {
+    try {
+        return crypto.createPrivateKey(pem);
+    } catch (e) {
+        throw invalidInput(`${label} is not a valid unencrypted PEM private key`);
+    }
+}
+
+function loadCertificate(pem, label = 'Certificate') {
+    const der = x509.fromPem(pem, ['CERTIFICATE']);
+    try {
+        return x509.parseCertificate(der);
+    } catch (e) {
+        throw invalidInput(`${label} is not a valid PEM certificate`);
+    }
+}
+
+function loadRequest(input) {
+    const der = Buffer.isBuffer(input) ? input : x509.fromPem(input, ['CERTIFICATE REQUEST', 'NEW CERTIFICATE REQUEST']);
+    try {
+        return x509.parseRequest(der);
+    } catch (e) {
+        throw invalidInput('Could not parse the CSR: it is not a valid PKCS#10 certificate request');
+    }
+}
+
+// Next serial from a CA's serial file (hex, incremented before use like openssl -CAserial),
+// or a random 159-bit serial for pasted CA keys like -CAcreateserial
+function nextSerial(serialPath) {
+    if (!serialPath) {
+        const serial = crypto.randomBytes(20);
+        serial[0] &= 0x7f;
+        return serial;
+    }
+
+    const next = (BigInt(`0x${fs.readFileSync(serialPath, 'utf8').trim()}`) + 1n).toString(16).toUpperCase();
+    const hex = next.length % 2 ? `0${next}` : next;
+    fs.writeFileSync(serialPath, `${hex}\n`);
+    return Buffer.from(hex, 'hex');
+}
+
+function validityPeriod(days) {
+    const notBefore = new Date(Math.floor(Date.now() / 1000) * 1000);
+    return { notBefore, notAfter: new Date(notBefore.getTime() + days * 86400 * 1000) };
+}
+
+// EC keys as SEC1 like openssl ecparam, RSA and Ed25519 keys as PKCS#8 like openssl genpkey
+async function generateKeyPair(keyAlgorithm) {
+    const publicKeyEncoding = { type: 'spki', format: 'pem' };
+    const pkcs8 = { type: 'pkcs8', format: 'pem' };
+
+    if (keyAlgorithm === 'ed25519') {
+        return generateKeyPairAsync('ed25519', { privateKeyEncoding: pkcs8, publicKeyEncoding });
+    }
+    if (keyAlgorithm.startsWith('rsa')) {
+        return generateKeyPairAsync('rsa', {
+            modulusLength: Number(keyAlgorithm.slice(3)),
+            publicExponent: 0x10001,
+            privateKeyEncoding: pkcs8,
+            publicKeyEncoding
+        });
+    }
+    return generateKeyPairAsync('ec', {
+        namedCurve: keyAlgorithm,
+        privateKeyEncoding: { type: 'sec1', format: 'pem' },
+        publicKeyEncoding
+    });
+}
+
+async function createCsr({ privateKey, subject, extensions }) {
+    const der = x509.buildRequest({
+        privateKey: loadPrivateKey(privateKey, 'Private Key'),
+        subject,
+        extensions
+    });
+    return x509.toPem(der, 'CERTIFICATE REQUEST');
+}
+
+async function selfSignCertificate({ privateKey, subject, days, extensions }) {
+    const key = loadPrivateKey(privateKey, 'CA Key');
+    const publicKeyInfo = crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+    const subjectName = x509.encodeName(subject);
+
+    const der = x509.buildCertificate({
+        serial: nextSerial(null),
+        subjectName,
+        publicKeyInfo,
+        ...validityPeriod(days),
+        extensions,
+        issuer: { privateKey: key, name: subjectName, keyId: x509.keyIdentifier(publicKeyInfo) }
+    });
+    return x509.toPem(der, 'CERTIFICATE');
+}
+
+// Sign a certificate for subjectName and publicKeyInfo with a CA key and certificate
+function issue({ subjectName, publicKeyInfo, caKey, caCert, serialPath, days, extensions }) {
+    const key = loadPrivateKey(caKey, 'CA Key');
+    const issuerCert = loadCertificate(caCert, 'CA Certificate');
+    const caPublicKey = crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+    if (!caPublicKey.equals(issuerCert.publicKeyInfo)) {
+        throw invalidInput('The CA Key does not match the CA Certificate');
+    }
+
+    const der = x509.buildCertificate({
+        serial: nextSerial(serialPath),
+        subjectName,
+        publicKeyInfo,
+        ...validityPeriod(days),
+        extensions,
+        issuer: {
+            privateKey: key,
+            name: issuerCert.subjectName,
+            keyId: x509.subjectKeyIdentifier(issuerCert),
+            serial: issuerCert.serialNumber
+        }
+    });
+    return x509.toPem(der, 'CERTIFICATE');
+}
+
+// Issue a certificate for a CSR. The CSR's own extensions are ignored, the issued
+// certificate only carries the extensions passed in.
+async function signCsr({ csr, caKey, caCert, serialPath, days, extensions }) {
+    const request = loadRequest(csr);
+    if (!x509.verifyRequest(request)) {
+        throw invalidInput('The CSR self-signature does not verify');
+    }
+
+    return issue({
+        subjectName: request.subjectName,
+        publicKeyInfo: request.publicKeyInfo,
+        caKey,
+        caCert,
+        serialPath,
+        days,
+        extensions
+    });
+}
+
+// Issue a new certificate with the subject of an existing one, for its public key or
+// a replacement publicKey (re-key). As with signCsr only the extensions passed in apply.
+async function reissueCertificate({ cert, publicKey, caKey, caCert, serialPath, days, extensions }) {
+    const previous = loadCertificate(cert);
+    let publicKeyInfo = previous.publicKeyInfo;
+    if (publicKey) {
+        try {
+            publicKeyInfo = crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+        } catch (e) {
+            throw invalidInput('Public Key is not a valid PEM public key');
+        }
+    }
+
+    return issue({
+        subjectName: previous.subjectName,
+        publicKeyInfo,
+        caKey,
+        caCert,
+        serialPath,
+        days,
+        extensions
+    });
+}
+
+async function describeCsr(csr) {
+    return x509.requestText(loadRequest(csr));
+}
+
+async function describeCertificate(cert) {
+    return x509.certificateText(loadCertificate(cert));
+}
+
+async function certificateInfo(cert) {
+    const parsed = loadCertificate(cert);
+    const commonName = parsed.subject.find(rdn => rdn.type === 'CN');
+
+    return {
+        serial: parsed.serialNumber.toString('hex').toUpperCase(),
+        subject: x509.formatNameRfc2253(parsed.subject),
+        issuer: x509.formatNameRfc2253(parsed.issuer),
+        commonName: commonName ? commonName.value : null,
+        notBefore: parsed.notBefore.toISOString(),
+        notAfter: parsed.notAfter.toISOString(),
+        fingerprint: crypto.createHash('sha256').update(parsed.der).digest('hex').toUpperCase().match(/../g).join(':')
+    };
+}
+
+async function readCsr(input) {
+    const request = loadRequest(input);
+
+    return {
+        csr: x509.toPem(request.der, 'CERTIFICATE REQUEST'),
+        subject: request.subject,
+        signatureValid: x509.verifyRequest(request),
+        csrDetails: x509.requestText(request)
+    };
+}
+
+module.exports = {
+    name: 'native',
+    generateKeyPair,
+    createCsr,
+    selfSignCertificate,
+    signCsr,
+    reissueCertificate,
+    describeCsr,
+    describeCertificate,
+    certificateInfo,
+    readCsr
+};
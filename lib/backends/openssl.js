@@ -0,0 +1,326 @@
+const { exec } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { parseSubject } = require('../csr-lint');
+const x509 = require('../x509');
+const execAsync = promisify(exec);
+
+// openssl CLI backend: every operation writes its inputs to a temp directory and forks
+// openssl. Subject and SAN values only ever reach openssl through escaped config files.
+
+const TEMP_DIR = path.join(__dirname, '..', '..', 'temp');
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Run fn with a fresh temp directory that is removed afterwards
+async function withTempDir(prefix, fn) {
+    const tempDir = path.join(TEMP_DIR, `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`);
+    fs.mkdirSync(tempDir, { recursive: true });
+    try {
+        return await fn(tempDir);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+// Backslash-escape everything openssl's config parser treats specially ($var, # comments, quotes)
+function configValue(value) {
+    return String(value).replace(/[\\"'#$]/g, '\\$&');
+}
+
+function subjectSection(subject) {
+    return subject.map(({ type, value }) => `${type} = ${configValue(value)}`).join('\n');
+}
+
+// [ section ] with the extension lines, plus an [ alt_names ] section for SANs
+function extensionsSection(section, extensions, authorityKeyIdentifier = 'keyid,issuer') {
+    const { basicConstraints, keyUsage, extendedKeyUsage, subjectAltNames = [], certificatePolicies = [] } = extensions;
+    const { permitted = [], excluded = [] } = extensions.nameConstraints || {};
+    const critical = ext => ext.critical ? 'critical, ' : '';
+    const lines = [];
+
+    if (extensions.subjectKeyIdentifier) lines.push('subjectKeyIdentifier = hash');
+    if (extensions.authorityKeyIdentifier) lines.push(`authorityKeyIdentifier = ${authorityKeyIdentifier}`);
+    if (basicConstraints) {
+        const pathlen = basicConstraints.ca && Number.isInteger(basicConstraints.pathlen) ? `, pathlen:${basicConstraints.pathlen}` : '';
+        lines.push(`basicConstraints = ${critical(basicConstraints)}CA:${basicConstraints.ca ? 'TRUE' : 'FALSE'}${pathlen}`);
+    }
+    if (keyUsage && keyUsage.values.length > 0) {
+        lines.push(`keyUsage = ${critical(keyUsage)}${keyUsage.values.join(', ')}`);
+    }
+    if (extendedKeyUsage && extendedKeyUsage.values.length > 0) {
+        lines.push(`extendedKeyUsage = ${critical(extendedKeyUsage)}${extendedKeyUsage.values.join(', ')}`);
+    }
+    if (permitted.length + excluded.length > 0) {
+        const subtrees = [
+            ...permitted.map(({ type, value }) => `permitted;${type}:${configValue(value)}`),
+            ...excluded.map(({ type, value }) => `excluded;${type}:${configValue(value)}`)
+        ];
+        lines.push(`nameConstraints = critical, ${subtrees.join(', ')}`);
+    }
+    if (certificatePolicies.length > 0) lines.push(`certificatePolicies = ${certificatePolicies.join(', ')}`);
+    if (subjectAltNames.length > 0) lines.push('subjectAltName = @alt_names');
+    if (extensions.crlDistributionPoint) lines.push(`crlDistributionPoints = URI:${configValue(extensions.crlDistributionPoint)}`);
+    if (extensions.ocspUrl) lines.push(`authorityInfoAccess = OCSP;URI:${configValue(extensions.ocspUrl)}`);
+    if (extensions.ocspNoCheck) lines.push('noCheck = ignored');
+
+    const altNames = subjectAltNames.length > 0
+        ? `\n[ alt_names ]\n${subjectAltNames.map((san, index) => `${san.type}.${index + 1} = ${configValue(san.value)}`).join('\n')}\n`
+        : '';
+
+    return `[ ${section} ]\n${lines.join('\n')}\n${altNames}`;
+}
+
+// Digest option for a CA key: P-384 signs with SHA-384, P-521 with SHA-512, Ed25519 takes none
+function digestOption(keyPem) {
+    let key;
+    try {
+        key = crypto.createPrivateKey(keyPem);
+    } catch (e) {
+        throw invalidInput('CA Key is not a valid unencrypted PEM private key');
+    }
+    const digest = x509.digestFor(key);
+    return digest ? `-${digest}` : '';
+}
+
+async function generateKeyPair(keyAlgorithm) {
+    return withTempDir('key', async (tempDir) => {
+        const keyPath = path.join(tempDir, 'private-key.pem');
+        if (keyAlgorithm === 'ed25519') {
+            await execAsync(`openssl genpkey -algorithm ED25519 -out ${keyPath}`);
+        } else if (keyAlgorithm.startsWith('rsa')) {
+            await execAsync(`openssl genpkey -algorithm RSA -pkeyopt rsa_keygen_bits:${keyAlgorithm.slice(3)} -out ${keyPath}`);
+        } else {
+            await execAsync(`openssl ecparam -name ${keyAlgorithm} -genkey -noout -out ${keyPath}`);
+        }
+        const { stdout: publicKey } = await execAsync(`openssl pkey -in ${keyPath} -pubout 2>/dev/null`);
+        return { privateKey: fs.readFileSync(keyPath, 'utf8'), publicKey };
+    });
+}
+
+async function createCsr({ privateKey, subject, extensions }) {
+    return withTempDir('csr', async (tempDir) => {
+        const keyPath = path.join(tempDir, 'private-key.pem');
+        const csrPath = path.join(tempDir, 'csr.pem');
+        const configPath = path.join(tempDir, 'openssl.cnf');
+
+        fs.writeFileSync(keyPath, privateKey, { mode: 0o600 });
+        fs.writeFileSync(configPath, `
+[ req ]
+distinguished_name = req_distinguished_name
+req_extensions     = v3_req
+prompt             = no
+utf8               = yes
+
+[ req_distinguished_name ]
+${subjectSection(subject)}
+
+${extensionsSection('v3_req', extensions)}
+`);
+
+        await execAsync(`openssl req -new -key ${keyPath} -out ${csrPath} -config ${configPath}`);
+        return fs.readFileSync(csrPath, 'utf8');
+    });
+}
+
+async function selfSignCertificate({ privateKey, subject, days, extensions }) {
+    const digest = digestOption(privateKey);
+
+    return withTempDir('self-signed', async (tempDir) => {
+        const keyPath = path.join(tempDir, 'ca-key.pem');
+        const certPath = path.join(tempDir, 'ca-cert.pem');
+        const configPath = path.join(tempDir, 'ca-openssl.cnf');
+
+        fs.writeFileSync(keyPath, privateKey, { mode: 0o600 });
+        fs.writeFileSync(configPath, `
+[ req ]
+distinguished_name = req_distinguished_name
+x509_extensions    = v3_ca
+prompt             = no
+utf8               = yes
+
+[ req_distinguished_name ]
+${subjectSection(subject)}
+
+${extensionsSection('v3_ca', extensions, 'keyid:always,issuer')}
+`);
+
+        await execAsync(
+            `openssl req -new -x509 ${digest} -days ${days} -key ${keyPath} -out ${certPath} -config ${configPath}`
+        );
+        return fs.readFileSync(certPath, 'utf8');
+    });
+}
+
+// Sign a CSR - LibreSSL compatible (no -copy_extensions flag, the extensions come from the extfile)
+async function signCsr({ csr, caKey, caCert, serialPath, days, extensions }) {
+    const digest = digestOption(caKey);
+
+    return withTempDir('sign', async (tempDir) => {
+        const csrPath = path.join(tempDir, 'request.csr');
+        const caKeyPath = path.join(tempDir, 'ca-key.pem');
+        const caCertPath = path.join(tempDir, 'ca-cert.pem');
+        const certPath = path.join(tempDir, 'cert.pem');
+        const configPath = path.join(tempDir, 'sign.cnf');
+
+        fs.writeFileSync(csrPath, csr);
+        fs.writeFileSync(caKeyPath, caKey, { mode: 0o600 });
+        fs.writeFileSync(caCertPath, caCert);
+        fs.writeFileSync(configPath, extensionsSection('v3_sign', extensions));
+
+        // Stored CAs keep a persistent serial file, pasted keys get a throwaway one
+        const serialArgs = serialPath
+            ? `-CAserial ${serialPath}`
+            : `-CAcreateserial -CAserial ${path.join(tempDir, 'ca-cert.srl')}`;
+
+        await execAsync(
+            `openssl x509 -req ${digest} -in ${csrPath} -CA ${caCertPath} -CAkey ${caKeyPath} ${serialArgs} -out ${certPath} -days ${days} -extfile ${configPath} -extensions v3_sign`
+        );
+        return fs.readFileSync(certPath, 'utf8');
+    });
+}
+
+// Re-sign an existing certificate. openssl x509 -CA refuses certificates that are not
+// self-signed, so the old certificate goes through a request signed by a throwaway key:
+// -x509toreq keeps its subject byte for byte, -force_pubkey puts the real key back (the
+// certificate's own or the re-key replacement) and, as in signCsr, only the extfile
+// extensions are issued.
+async function reissueCertificate({ cert, publicKey, caKey, caCert, serialPath, days, extensions }) {
+    const digest = digestOption(caKey);
+
+    return withTempDir('reissue', async (tempDir) => {
+        const previousPath = path.join(tempDir, 'previous.pem');
+        const publicKeyPath = path.join(tempDir, 'public-key.pem');
+        const throwawayKeyPath = path.join(tempDir, 'throwaway-key.pem');
+        const csrPath = path.join(tempDir, 'request.csr');
+        const caKeyPath = path.join(tempDir, 'ca-key.pem');
+        const caCertPath = path.join(tempDir, 'ca-cert.pem');
+        const certPath = path.join(tempDir, 'cert.pem');
+        const configPath = path.join(tempDir, 'sign.cnf');
+
+        fs.writeFileSync(previousPath, cert);
+        fs.writeFileSync(caKeyPath, caKey, { mode: 0o600 });
+        fs.writeFileSync(caCertPath, caCert);
+        fs.writeFileSync(configPath, extensionsSection('v3_sign', extensions));
+        if (publicKey) {
+            fs.writeFileSync(publicKeyPath, publicKey);
+        } else {
+            await execAsync(`openssl x509 -in ${previousPath} -noout -pubkey -out ${publicKeyPath}`);
+        }
+
+        await execAsync(`openssl ecparam -name prime256v1 -genkey -noout -out ${throwawayKeyPath}`);
+        await execAsync(`openssl x509 -x509toreq -in ${previousPath} -signkey ${throwawayKeyPath} -out ${csrPath}`);
+
+        const serialArgs = serialPath
+            ? `-CAserial ${serialPath}`
+            : `-CAcreateserial -CAserial ${path.join(tempDir, 'ca-cert.srl')}`;
+
+        await execAsync(
+            `openssl x509 -req ${digest} -in ${csrPath} -force_pubkey ${publicKeyPath} -CA ${caCertPath} -CAkey ${caKeyPath} ${serialArgs} -out ${certPath} -days ${days} -extfile ${configPath} -extensions v3_sign`
+        );
+        return fs.readFileSync(certPath, 'utf8');
+    });
+}
+
+async function describeCsr(csr) {
+    return withTempDir('describe', async (tempDir) => {
+        const csrPath = path.join(tempDir, 'csr.pem');
+        fs.writeFileSync(csrPath, csr);
+        const { stdout } = await execAsync(`openssl req -text -noout -in ${csrPath}`);
+        return stdout;
+    });
+}
+
+async function describeCertificate(cert) {
+    return withTempDir('describe', async (tempDir) => {
+        const certPath = path.join(tempDir, 'cert.pem');
+        fs.writeFileSync(certPath, cert);
+        const { stdout } = await execAsync(`openssl x509 -in ${certPath} -text -noout`);
+        return stdout;
+    });
+}
+
+// Serial, subject, issuer, validity and fingerprint of a certificate
+async function certificateInfo(cert) {
+    return withTempDir('info', async (tempDir) => {
+        const certPath = path.join(tempDir, 'cert.pem');
+        fs.writeFileSync(certPath, cert);
+
+        const { stdout } = await execAsync(
+            `openssl x509 -in ${certPath} -noout -serial -subject -issuer -startdate -enddate -fingerprint -sha256 -nameopt RFC2253`
+        );
+        const field = (name) => {
+            const match = stdout.match(new RegExp(`^${name}\\s*=\\s*(.*)$`, 'mi'));
+            return match ? match[1].trim() : null;
+        };
+        const subject = field('subject');
+        const commonName = (subject.match(/(?:^|,)CN=((?:\\,|[^,])*)/) || [])[1] || null;
+
+        return {
+            serial: field('serial').toUpperCase(),
+            subject,
+            issuer: field('issuer'),
+            commonName,
+            notBefore: new Date(field('notBefore')).toISOString(),
+            notAfter: new Date(field('notAfter')).toISOString(),
+            fingerprint: field('sha256 Fingerprint')
+        };
+    });
+}
+
+// Normalize a PEM or DER request to PEM, check its self-signature and dump it
+async function readCsr(input) {
+    const der = Buffer.isBuffer(input);
+
+    return withTempDir('inspect', async (tempDir) => {
+        const inputPath = path.join(tempDir, der ? 'request.der' : 'request.pem');
+        const csrPath = path.join(tempDir, 'csr.pem');
+        fs.writeFileSync(inputPath, input);
+
+        // Normalize to PEM, which also rejects input that is not a CSR at all
+        try {
+            await execAsync(`openssl req -inform ${der ? 'DER' : 'PEM'} -in ${inputPath} -out ${csrPath}`);
+        } catch (e) {
+            throw invalidInput('Could not parse the CSR: it is not a valid PKCS#10 certificate request');
+        }
+
+        // Proof of possession: the request must be signed by the key it carries.
+        // openssl exits 0 either way and only reports the outcome on stderr.
+        let signatureValid = false;
+        try {
+            const { stderr } = await execAsync(`openssl req -in ${csrPath} -noout -verify`);
+            signatureValid = /verify OK/.test(stderr);
+        } catch (e) { }
+
+        const { stdout: subjectOutput } = await execAsync(
+            `openssl req -in ${csrPath} -noout -subject -nameopt sep_multiline,sname,utf8,esc_ctrl`
+        );
+        const { stdout: csrDetails } = await execAsync(`openssl req -in ${csrPath} -noout -text`);
+
+        return {
+            csr: fs.readFileSync(csrPath, 'utf8'),
+            subject: parseSubject(subjectOutput),
+            signatureValid,
+            csrDetails
+        };
+    });
+}
+
+module.exports = {
+    name: 'openssl',
+    generateKeyPair,
+    createCsr,
+    selfSignCertificate,
+    signCsr,
+    reissueCertificate,
+    describeCsr,
+    describeCertificate,
+    certificateInfo,
+    readCsr
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// HTTP basic credentials checked against scrypt password hashes, for the EST enrollment
+// users (lib/est.js) and the CSR request operators (lib/csr-queue.js)
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    return { salt, hash: crypto.scryptSync(password, salt, 32).toString('hex') };
+}
+
+// Users of an environment variable ("name:password,name2:password2"), hashed like stored ones
+function parseUserList(value, source = 'env') {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [username, ...password] = entry.split(':');
+            return { username, ...hashPassword(password.join(':')), source };
+        });
+}
+
+// Username of a valid "Authorization: Basic ..." header for one of the users, else null
+function authenticate(authorization, users) {
+    const match = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(authorization || '');
+    if (!match) return null;
+
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator < 0) return null;
+
+    const username = decoded.slice(0, separator);
+    const user = users.find(candidate => candidate.username === username);
+    if (!user) return null;
+
+    const { hash } = hashPassword(decoded.slice(separator + 1), user.salt);
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.hash, 'hex')) ? username : null;
+}
+
+module.exports = {
+    hashPassword,
+    parseUserList,
+    authenticate
+};
@@ -0,0 +1,153 @@
+// TLS listener configuration snippets for the supported MQTT brokers.
+// options: { port, tlsVersion: 'tlsv1.2' | 'tlsv1.3' (minimum), mtls: 'required' | 'optional' | 'none' }
+
+const BROKERS = ['mosquitto', 'emqx', 'hivemq'];
+const TLS_VERSIONS = ['tlsv1.2', 'tlsv1.3'];
+const MTLS_MODES = ['required', 'optional', 'none'];
+
+function mosquittoConfig({ port, tlsVersion, mtls }) {
+    const dir = '/etc/mosquitto/certs';
+
+    return `# Mosquitto TLS listener (mosquitto 2.x)
+# Copy broker-key.pem, broker-fullchain.pem and ca-chain.pem to ${dir}/
+# and make broker-key.pem readable by the mosquitto user only.
+
+per_listener_settings true
+
+listener ${port}
+protocol mqtt
+certfile ${dir}/broker-fullchain.pem
+keyfile ${dir}/broker-key.pem
+cafile ${dir}/ca-chain.pem
+tls_version ${tlsVersion}
+${mtls === 'required' ? `
+# Clients must present a certificate signed by the CA in cafile,
+# its Common Name becomes the MQTT username
+require_certificate true
+use_identity_as_username true
+allow_anonymous false
+` : mtls === 'optional' ? `
+# Client certificates are not requested: clients authenticate with username/password.
+# Mosquitto cannot make client certificates optional on one listener, run a second
+# listener with require_certificate true for certificate-based clients.
+require_certificate false
+allow_anonymous false
+password_file /etc/mosquitto/passwd
+` : `
+# Server-only TLS: clients authenticate with username/password
+require_certificate false
+allow_anonymous false
+password_file /etc/mosquitto/passwd
+`}`;
+}
+
+function emqxConfig({ port, tlsVersion, mtls }) {
+    const dir = '${EMQX_ETC_DIR}/certs';
+    const versions = tlsVersion === 'tlsv1.3' ? '["tlsv1.3"]' : '["tlsv1.3", "tlsv1.2"]';
+
+    return `# EMQX 5.x SSL listener, add to etc/emqx.conf
+# Copy broker-key.pem, broker-fullchain.pem and ca-chain.pem to ${dir}/
+
+listeners.ssl.default {
+  bind = "0.0.0.0:${port}"
+  ssl_options {
+    keyfile = "${dir}/broker-key.pem"
+    certfile = "${dir}/broker-fullchain.pem"
+    cacertfile = "${dir}/ca-chain.pem"
+    versions = ${versions}
+    verify = ${mtls === 'none' ? 'verify_none' : 'verify_peer'}
+    fail_if_no_peer_cert = ${mtls === 'required'}
+  }
+}
+${mtls === 'none' ? '' : `
+# Use the client certificate Common Name as the MQTT username
+mqtt.peer_cert_as_username = "cn"
+`}`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function hivemqConfig({ port, tlsVersion, mtls, keystorePassword }) {
+    const protocols = (tlsVersion === 'tlsv1.3' ? ['TLSv1.3'] : ['TLSv1.3', 'TLSv1.2'])
+        .map(protocol => `                    <protocol>${protocol}</protocol>`)
+        .join('\n');
+
+    return `<?xml version="1.0"?>
+<!-- HiveMQ 4.x TLS listener. Copy broker-keystore.p12${mtls === 'none' ? '' : ' and truststore.jks (see create-truststore.sh)'} to conf/ -->
+<hivemq>
+    <listeners>
+        <tls-tcp-listener>
+            <port>${port}</port>
+            <bind-address>0.0.0.0</bind-address>
+            <tls>
+                <protocols>
+${protocols}
+                </protocols>
+                <keystore>
+                    <path>conf/broker-keystore.p12</path>
+                    <password>${escapeXml(keystorePassword)}</password>
+                    <private-key-password>${escapeXml(keystorePassword)}</private-key-password>
+                </keystore>${mtls === 'none' ? '' : `
+                <truststore>
+                    <path>conf/truststore.jks</path>
+                    <password>${escapeXml(keystorePassword)}</password>
+                </truststore>`}
+                <client-authentication-mode>${mtls.toUpperCase()}</client-authentication-mode>
+            </tls>
+        </tls-tcp-listener>
+    </listeners>
+</hivemq>
+`;
+}
+
+// Java ignores certificates in PKCS#12 truststores written by OpenSSL 3.0, so the
+// truststore is built with keytool from the individual CA certificates
+function hivemqTruststoreScript(caCount) {
+    const imports = Array.from({ length: caCount }, (_, index) =>
+        `keytool -importcert -noprompt -alias mqtt-ca-${index + 1} -file ca-${index + 1}.pem -keystore truststore.jks -storetype JKS -storepass "$STOREPASS"`
+    ).join('\n');
+
+    return `#!/bin/sh
+# Builds conf/truststore.jks for HiveMQ from the CA certificates in this directory.
+# Usage: STOREPASS=<password from config.xml> ./create-truststore.sh
+set -e
+: "\${STOREPASS:?Set STOREPASS to the truststore password from config.xml}"
+rm -f truststore.jks
+${imports}
+`;
+}
+
+function bundleReadme({ port, tlsVersion, mtls, brokers, commonName }) {
+    return `MQTT broker TLS bundle for ${commonName}
+
+Listener: port ${port}, minimum ${tlsVersion}, client certificates ${mtls}
+
+broker-key.pem        broker private key, keep it secret
+broker-cert.pem       broker certificate
+broker-fullchain.pem  broker certificate followed by intermediate CA certificates
+ca-chain.pem          CA certificates used to verify client certificates
+
+${brokers.map(broker => ({
+        mosquitto: 'mosquitto/mosquitto.conf  listener block for mosquitto 2.x',
+        emqx: 'emqx/emqx.conf            ssl listener for EMQX 5.x',
+        hivemq: 'hivemq/config.xml         tls-tcp-listener for HiveMQ 4.x (keystore password inside)'
+    })[broker]).join('\n')}
+`;
+}
+
+module.exports = {
+    BROKERS,
+    TLS_VERSIONS,
+    MTLS_MODES,
+    mosquittoConfig,
+    emqxConfig,
+    hivemqConfig,
+    hivemqTruststoreScript,
+    bundleReadme
+};
@@ -0,0 +1,51 @@
+// Field by field comparison of two x509.certificateDetails / requestDetails results, for the
+// side-by-side view: a certificate and its renewal, a CSR and the certificate issued for it, ...
+// Fields a CSR does not have (issuer, serial, validity, ...) compare as null.
+
+// [label, value of details] in display order
+const FIELDS = [
+    ['Subject', details => details.subjectDn],
+    ['Issuer', details => details.issuerDn],
+    ['Serial', details => details.serial],
+    ['Not Before', details => details.validity && details.validity.notBefore],
+    ['Not After', details => details.validity && details.validity.notAfter],
+    ['Public Key', details => publicKeySummary(details.publicKey)],
+    ['Public Key SHA-256', details => details.publicKey.spkiSha256],
+    ['Signature Algorithm', details => details.signatureAlgorithm],
+    ['SHA-256 Fingerprint', details => details.fingerprints && details.fingerprints.sha256],
+    ['Subject Key Identifier', details => details.subjectKeyIdentifier],
+    ['Authority Key Identifier', details => details.authorityKeyIdentifier],
+    ['Self-signed', details => details.selfSigned]
+];
+
+function publicKeySummary({ type, bits, curve }) {
+    return [type, curve || (bits ? `${bits} bit` : null)].filter(Boolean).join(' ');
+}
+
+function extensionValue(details, oid) {
+    const ext = details.extensions.find(candidate => candidate.oid === oid);
+    return ext ? { critical: ext.critical, value: ext.value } : null;
+}
+
+function same(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// { fields: [{ field, oid (extensions), a, b, same }], differences: count, identical }
+function compareDetails(a, b) {
+    const fields = FIELDS.map(([field, value]) => ({ field, a: value(a), b: value(b) }));
+
+    const extensionOids = [...new Set([...a.extensions, ...b.extensions].map(ext => ext.oid))];
+    for (const oid of extensionOids) {
+        const { name } = [...a.extensions, ...b.extensions].find(ext => ext.oid === oid);
+        fields.push({ field: name, oid, a: extensionValue(a, oid), b: extensionValue(b, oid) });
+    }
+
+    const compared = fields.map(field => ({ ...field, same: same(field.a, field.b) }));
+    const differences = compared.filter(field => !field.same).length;
+    return { fields: compared, differences, identical: differences === 0 };
+}
+
+module.exports = {
+    compareDetails
+};
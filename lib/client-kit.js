@@ -0,0 +1,364 @@
+const net = require('net');
+
+// MQTT client connection kit: the client's key, certificate and CA chain with ready-to-run
+// connection snippets, filled in with the broker address and the certificate CN as client ID.
+//   mosquitto  mosquitto_sub / mosquitto_pub scripts
+//   mqttjs     MQTT.js 5.x (Node.js)
+//   python     Eclipse Paho Python 2.x
+//   java       Eclipse Paho Java 1.2.x (mqttv3), TLS set up from the PEM files
+//   esp-idf    esp_mqtt_client_config_t (ESP-IDF 5.x) with the PEMs as C string literals
+// options: { host, port, clientId, topic, keyType: 'ec' | 'rsa' | 'ed25519', withKey }
+
+const HOSTNAME = /^[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?)*$/;
+
+// Java KeyFactory algorithm of a Node asymmetricKeyType
+const JAVA_KEY_ALGORITHMS = { ec: 'EC', rsa: 'RSA', ed25519: 'Ed25519' };
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function checkOptions({ host, port = 8883, topic }) {
+    const brokerHost = String(host || '').trim();
+    if (!brokerHost || (!net.isIP(brokerHost) && !HOSTNAME.test(brokerHost))) {
+        throw invalidInput('host must be the broker host name or IP address the client connects to, without mqtts://');
+    }
+
+    const brokerPort = parseInt(port);
+    if (!(brokerPort >= 1 && brokerPort <= 65535)) {
+        throw invalidInput('port must be between 1 and 65535');
+    }
+
+    if (topic !== undefined && topic !== null && topic !== '' &&
+        (typeof topic !== 'string' || /[#+\x00]/.test(topic) || topic.length > 1024)) {
+        throw invalidInput('topic must be a topic name without the wildcards + and #');
+    }
+    return { host: brokerHost, port: brokerPort, topic: topic || null };
+}
+
+// Default test topic of a client
+function defaultTopic(clientId) {
+    return `devices/${clientId}/status`;
+}
+
+// Single-quoted for sh, so client IDs and topics are passed as they are
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// JavaScript, Python and Java share the double-quoted string syntax for these values
+function quoted(value) {
+    return JSON.stringify(String(value));
+}
+
+// A PEM as a C string literal, one "line\n" per PEM line
+function cLiteral(pem) {
+    return pem.trim().split('\n')
+        .map(line => `    "${line.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}\\n"`)
+        .join('\n');
+}
+
+function mosquittoScript(command, { host, port, clientId, topic }) {
+    const common = `${command} -h ${shellQuote(host)} -p ${port} \\
+    --cafile ca-chain.pem --cert client-fullchain.pem --key client-key.pem \\
+    -i ${shellQuote(clientId)} -t ${shellQuote(topic)}`;
+
+    return `#!/bin/sh
+# ${command === 'mosquitto_sub' ? 'Print every message on the test topic' : 'Publish one message (the first argument) to the test topic'}.
+# Run from anywhere, the files are read from the kit directory.
+cd "$(dirname "$0")/.." || exit 1
+${command === 'mosquitto_sub'
+        ? `${common} -v`
+        : `${common} \\
+    -m "\${1:-hello from ${clientId.replace(/["$`\\]/g, '\\$&')}}"`}
+`;
+}
+
+function mqttJsClient({ host, port, clientId, topic }) {
+    return `// MQTT.js 5.x: npm install, then node client.js
+const fs = require('fs');
+const path = require('path');
+const mqtt = require('mqtt');
+
+const kit = path.join(__dirname, '..');
+const topic = ${quoted(topic)};
+
+const client = mqtt.connect(${quoted(`mqtts://${net.isIP(host) === 6 ? `[${host}]` : host}:${port}`)}, {
+    clientId: ${quoted(clientId)},
+    key: fs.readFileSync(path.join(kit, 'client-key.pem')),
+    cert: fs.readFileSync(path.join(kit, 'client-fullchain.pem')),
+    ca: fs.readFileSync(path.join(kit, 'ca-chain.pem'))
+});
+
+client.on('connect', () => {
+    console.log('Connected as', ${quoted(clientId)});
+    client.subscribe(topic, () => client.publish(topic, 'hello from MQTT.js'));
+});
+
+client.on('message', (messageTopic, message) => {
+    console.log(messageTopic, message.toString());
+    client.end();
+});
+
+client.on('error', error => {
+    console.error('Connection failed:', error.message);
+    client.end();
+});
+`;
+}
+
+function mqttJsPackage() {
+    return `${JSON.stringify({
+        name: 'mqtt-client-kit',
+        private: true,
+        dependencies: { mqtt: '^5.0.0' }
+    }, null, 2)}\n`;
+}
+
+function pahoPythonClient({ host, port, clientId, topic }) {
+    return `# Eclipse Paho Python 2.x: pip install -r requirements.txt, then python client.py
+import os
+import ssl
+
+import paho.mqtt.client as mqtt
+
+KIT = os.path.join(os.path.dirname(os.path.abspath(__file__)), "..")
+HOST = ${quoted(host)}
+PORT = ${port}
+CLIENT_ID = ${quoted(clientId)}
+TOPIC = ${quoted(topic)}
+
+
+def on_connect(client, userdata, flags, reason_code, properties):
+    if reason_code.is_failure:
+        print("Connection refused:", reason_code)
+        client.disconnect()
+        return
+    print("Connected as", CLIENT_ID)
+    client.subscribe(TOPIC)
+    client.publish(TOPIC, "hello from Paho Python")
+
+
+def on_message(client, userdata, message):
+    print(message.topic, message.payload.decode())
+    client.disconnect()
+
+
+client = mqtt.Client(mqtt.CallbackAPIVersion.VERSION2, client_id=CLIENT_ID)
+client.tls_set(
+    ca_certs=os.path.join(KIT, "ca-chain.pem"),
+    certfile=os.path.join(KIT, "client-fullchain.pem"),
+    keyfile=os.path.join(KIT, "client-key.pem"),
+    tls_version=ssl.PROTOCOL_TLS_CLIENT,
+)
+client.on_connect = on_connect
+client.on_message = on_message
+
+client.connect(HOST, PORT)
+client.loop_forever()
+`;
+}
+
+// Java cannot read SEC1 EC keys, the kit adds the key as PKCS#8 for it
+function pahoJavaClient({ host, port, clientId, topic, keyType }) {
+    return `// Eclipse Paho Java (org.eclipse.paho:org.eclipse.paho.client.mqttv3:1.2.5), Java 11+.
+// Run from the java/ directory of the kit:
+//   javac -cp org.eclipse.paho.client.mqttv3-1.2.5.jar MqttTlsClient.java
+//   java -cp org.eclipse.paho.client.mqttv3-1.2.5.jar:. MqttTlsClient
+import java.io.InputStream;
+import java.nio.file.Files;
+import java.nio.file.Path;
+import java.nio.file.Paths;
+import java.security.KeyFactory;
+import java.security.KeyStore;
+import java.security.PrivateKey;
+import java.security.cert.Certificate;
+import java.security.cert.CertificateFactory;
+import java.security.spec.PKCS8EncodedKeySpec;
+import java.util.Base64;
+import java.util.Collection;
+import javax.net.ssl.KeyManagerFactory;
+import javax.net.ssl.SSLContext;
+import javax.net.ssl.SSLSocketFactory;
+import javax.net.ssl.TrustManagerFactory;
+import org.eclipse.paho.client.mqttv3.MqttClient;
+import org.eclipse.paho.client.mqttv3.MqttConnectOptions;
+import org.eclipse.paho.client.mqttv3.MqttMessage;
+import org.eclipse.paho.client.mqttv3.persist.MemoryPersistence;
+
+public class MqttTlsClient {
+    static final String BROKER = ${quoted(`ssl://${net.isIP(host) === 6 ? `[${host}]` : host}:${port}`)};
+    static final String CLIENT_ID = ${quoted(clientId)};
+    static final String TOPIC = ${quoted(topic)};
+    static final Path KIT = Paths.get("..");
+
+    public static void main(String[] args) throws Exception {
+        MqttConnectOptions options = new MqttConnectOptions();
+        options.setSocketFactory(socketFactory());
+        options.setCleanSession(true);
+
+        MqttClient client = new MqttClient(BROKER, CLIENT_ID, new MemoryPersistence());
+        client.connect(options);
+        System.out.println("Connected as " + CLIENT_ID);
+
+        client.subscribe(TOPIC, (topic, message) -> System.out.println(topic + " " + new String(message.getPayload())));
+        client.publish(TOPIC, new MqttMessage("hello from Paho Java".getBytes()));
+
+        Thread.sleep(2000);
+        client.disconnect();
+        client.close();
+    }
+
+    static Collection<? extends Certificate> certificates(String file) throws Exception {
+        try (InputStream in = Files.newInputStream(KIT.resolve(file))) {
+            return CertificateFactory.getInstance("X.509").generateCertificates(in);
+        }
+    }
+
+    // Client identity from client-fullchain.pem and java/client-key-pkcs8.pem, trust from ca-chain.pem
+    static SSLSocketFactory socketFactory() throws Exception {
+        String pem = new String(Files.readAllBytes(KIT.resolve("java/client-key-pkcs8.pem")));
+        byte[] der = Base64.getMimeDecoder().decode(pem.replaceAll("-----[A-Z ]+-----", ""));
+        PrivateKey key = KeyFactory.getInstance("${JAVA_KEY_ALGORITHMS[keyType] || 'EC'}").generatePrivate(new PKCS8EncodedKeySpec(der));
+
+        char[] password = "changeit".toCharArray();
+        KeyStore identity = KeyStore.getInstance("PKCS12");
+        identity.load(null, null);
+        identity.setKeyEntry("client", key, password, certificates("client-fullchain.pem").toArray(new Certificate[0]));
+        KeyManagerFactory keyManagers = KeyManagerFactory.getInstance(KeyManagerFactory.getDefaultAlgorithm());
+        keyManagers.init(identity, password);
+
+        KeyStore trust = KeyStore.getInstance("PKCS12");
+        trust.load(null, null);
+        int index = 0;
+        for (Certificate ca : certificates("ca-chain.pem")) {
+            trust.setCertificateEntry("ca-" + index++, ca);
+        }
+        TrustManagerFactory trustManagers = TrustManagerFactory.getInstance(TrustManagerFactory.getDefaultAlgorithm());
+        trustManagers.init(trust);
+
+        SSLContext context = SSLContext.getInstance("TLS");
+        context.init(keyManagers.getKeyManagers(), trustManagers.getTrustManagers(), null);
+        return context.getSocketFactory();
+    }
+}
+`;
+}
+
+// ESP-IDF 5.x: the PEMs are NUL-terminated string literals, so no certificate_len is needed
+function espIdfConfig({ host, port, clientId, topic, caChain, clientCert, privateKey }) {
+    const key = privateKey
+        ? cLiteral(privateKey)
+        : '    /* The private key was not part of the export: paste client-key.pem here */\n    ""';
+
+    return `/*
+ * MQTT over TLS for ESP-IDF 5.x (esp-mqtt). Add this file to your main component and call
+ * mqtt_client_start() once Wi-Fi is connected.
+ *
+ * The client private key is compiled into the firmware below. For production devices keep it
+ * in encrypted NVS, the Digital Signature peripheral or a secure element instead.
+ */
+#include "esp_log.h"
+#include "mqtt_client.h"
+
+static const char *TAG = "mqtt_tls";
+
+/* ca-chain.pem: the CA certificates the broker certificate is checked against */
+static const char ca_chain_pem[] =
+${cLiteral(caChain)};
+
+/* client-fullchain.pem */
+static const char client_cert_pem[] =
+${cLiteral(clientCert)};
+
+/* client-key.pem */
+static const char client_key_pem[] =
+${key};
+
+static void mqtt_event_handler(void *handler_args, esp_event_base_t base, int32_t event_id, void *event_data)
+{
+    esp_mqtt_event_handle_t event = event_data;
+
+    switch ((esp_mqtt_event_id_t)event_id) {
+    case MQTT_EVENT_CONNECTED:
+        ESP_LOGI(TAG, "Connected as %s", ${quoted(clientId)});
+        esp_mqtt_client_subscribe(event->client, ${quoted(topic)}, 1);
+        esp_mqtt_client_publish(event->client, ${quoted(topic)}, "hello from ESP-IDF", 0, 1, 0);
+        break;
+    case MQTT_EVENT_DATA:
+        ESP_LOGI(TAG, "%.*s: %.*s", event->topic_len, event->topic, event->data_len, event->data);
+        break;
+    case MQTT_EVENT_ERROR:
+        ESP_LOGE(TAG, "MQTT error, TLS stack error 0x%x", event->error_handle->esp_tls_stack_err);
+        break;
+    default:
+        break;
+    }
+}
+
+esp_mqtt_client_handle_t mqtt_client_start(void)
+{
+    const esp_mqtt_client_config_t mqtt_cfg = {
+        .broker = {
+            .address.uri = ${quoted(`mqtts://${net.isIP(host) === 6 ? `[${host}]` : host}:${port}`)},
+            .verification.certificate = ca_chain_pem,
+        },
+        .credentials = {
+            .client_id = ${quoted(clientId)},
+            .authentication = {
+                .certificate = client_cert_pem,
+                .key = client_key_pem,
+            },
+        },
+    };
+
+    esp_mqtt_client_handle_t client = esp_mqtt_client_init(&mqtt_cfg);
+    esp_mqtt_client_register_event(client, ESP_EVENT_ANY_ID, mqtt_event_handler, NULL);
+    esp_mqtt_client_start(client);
+    return client;
+}
+`;
+}
+
+function kitReadme({ host, port, clientId, topic, withKey }) {
+    return `MQTT client kit for ${clientId}
+
+Broker:     mqtts://${net.isIP(host) === 6 ? `[${host}]` : host}:${port}
+Client ID:  ${clientId} (the certificate Common Name)
+Test topic: ${topic}
+
+${withKey ? 'client-key.pem               client private key, keep it secret\n' : ''}client-cert.pem              client certificate
+client-fullchain.pem         client certificate followed by its intermediate CA certificates
+ca-chain.pem                 CA certificates the broker certificate is verified against
+${withKey ? '' : `
+The private key was not part of the export: copy it next to these files as client-key.pem
+(and java/client-key-pkcs8.pem for Java, openssl pkcs8 -topk8 -nocrypt -in client-key.pem).
+`}
+mosquitto/subscribe.sh       mosquitto_sub on the test topic
+mosquitto/publish.sh         mosquitto_pub to the test topic, ./publish.sh "message"
+mqttjs/client.js             MQTT.js: npm install && node client.js
+python/client.py             Paho Python: pip install -r requirements.txt && python client.py
+java/MqttTlsClient.java      Paho Java, build instructions inside${withKey ? '\njava/client-key-pkcs8.pem    the private key as PKCS#8 for Java' : ''}
+esp-idf/mqtt_tls_client.c    esp_mqtt_client_config_t with the PEMs as C literals
+
+The snippets use the certificate CN as client ID. Brokers usually disconnect the older
+connection when a second one uses the same ID, so run one snippet at a time.
+
+ca-chain.pem is the chain of the CA that issued this client certificate. If the broker
+certificate comes from another CA, replace ca-chain.pem with that CA's chain.
+`;
+}
+
+module.exports = {
+    checkOptions,
+    defaultTopic,
+    mosquittoScript,
+    mqttJsClient,
+    mqttJsPackage,
+    pahoPythonClient,
+    pahoJavaClient,
+    espIdfConfig,
+    kitReadme
+};
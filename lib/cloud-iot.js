@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+
+// Offline registration artifacts for AWS IoT Core and Azure IoT Hub / DPS: files and
+// instructions to upload by hand, nothing here talks to the cloud.
+//   AWS    CA registration with a verification certificate (CN = registration code) and a
+//          just-in-time provisioning (JITP) template
+//   Azure  certificate thumbprints and a proof-of-possession certificate (CN = verification code)
+
+const PLATFORMS = ['aws', 'azure'];
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Registration and verification codes are hex strings, AWS uses 64 characters
+function checkCode(label, code) {
+    if (!/^[A-Za-z0-9-]{1,64}$/.test(code)) {
+        throw invalidInput(`${label} must be the code shown by the cloud console (letters, digits and dashes, at most 64)`);
+    }
+    return code;
+}
+
+function checkPlatforms(platforms) {
+    const selected = [].concat(platforms);
+    if (selected.length === 0 || selected.some(platform => !PLATFORMS.includes(platform))) {
+        throw invalidInput(`platforms must be a list of ${PLATFORMS.join(', ')}`);
+    }
+    return selected;
+}
+
+// SHA-1 and SHA-256 of the DER certificate as Azure shows them: upper case hex without colons
+function thumbprints(certPem) {
+    const der = new crypto.X509Certificate(certPem).raw;
+    return {
+        sha1: crypto.createHash('sha1').update(der).digest('hex').toUpperCase(),
+        sha256: crypto.createHash('sha256').update(der).digest('hex').toUpperCase()
+    };
+}
+
+// Thing name = certificate CN. Without policyName the devices get an inline policy that lets
+// them connect with their thing name as client ID and use topics under <topicPrefix>/<thing name>/
+function jitpTemplate({ roleArn, policyName, topicPrefix = 'devices' }) {
+    if (roleArn && !/^arn:aws[a-z-]*:iam::\d{12}:role\/[\w+=,.@\/-]+$/.test(roleArn)) {
+        throw invalidInput('roleArn must be an IAM role ARN, e.g. arn:aws:iam::123456789012:role/JITPRole');
+    }
+    if (policyName && !/^[\w+=,.@-]{1,128}$/.test(policyName)) {
+        throw invalidInput('policyName must be an AWS IoT policy name');
+    }
+    if (!/^[\w-]+(\/[\w-]+)*$/.test(topicPrefix)) {
+        throw invalidInput('topicPrefix must be an MQTT topic without wildcards, e.g. devices');
+    }
+
+    const thing = '${iot:Connection.Thing.ThingName}';
+    const policyDocument = {
+        Version: '2012-10-17',
+        Statement: [
+            { Effect: 'Allow', Action: 'iot:Connect', Resource: `arn:aws:iot:*:*:client/${thing}` },
+            { Effect: 'Allow', Action: ['iot:Publish', 'iot:Receive'], Resource: `arn:aws:iot:*:*:topic/${topicPrefix}/${thing}/*` },
+            { Effect: 'Allow', Action: 'iot:Subscribe', Resource: `arn:aws:iot:*:*:topicfilter/${topicPrefix}/${thing}/*` }
+        ]
+    };
+
+    const templateBody = {
+        Parameters: {
+            'AWS::IoT::Certificate::CommonName': { Type: 'String' },
+            'AWS::IoT::Certificate::Id': { Type: 'String' }
+        },
+        Resources: {
+            thing: {
+                Type: 'AWS::IoT::Thing',
+                Properties: {
+                    ThingName: { Ref: 'AWS::IoT::Certificate::CommonName' }
+                }
+            },
+            certificate: {
+                Type: 'AWS::IoT::Certificate',
+                Properties: {
+                    CertificateId: { Ref: 'AWS::IoT::Certificate::Id' },
+                    Status: 'ACTIVE'
+                }
+            },
+            policy: {
+                Type: 'AWS::IoT::Policy',
+                Properties: policyName
+                    ? { PolicyName: policyName }
+                    : { PolicyDocument: JSON.stringify(policyDocument) }
+            }
+        }
+    };
+
+    // The --registration-config of aws iot register-ca-certificate
+    return {
+        templateBody: JSON.stringify(templateBody),
+        roleArn: roleArn || 'arn:aws:iam::<ACCOUNT_ID>:role/<JITP_ROLE>'
+    };
+}
+
+function awsCaReadme({ commonName, registrationCode, roleArn }) {
+    return `AWS IoT Core CA registration for ${commonName}
+
+ca-cert.pem                 CA certificate to register
+${registrationCode ? `verification-cert.pem       CN=${registrationCode}, signed by the CA
+verification-key.pem        its private key, not needed after registration
+` : ''}provisioning-template.json  just-in-time provisioning (JITP) template, thing name = certificate CN
+${roleArn ? '' : `
+Replace the roleArn placeholder in provisioning-template.json with a role that AWS IoT may
+assume and that has the AWSIoTThingsRegistration managed policy.
+`}
+${registrationCode ? `Register the CA with its verification certificate:
+
+    aws iot register-ca-certificate \\
+        --ca-certificate file://ca-cert.pem \\
+        --verification-cert file://verification-cert.pem \\
+        --set-as-active --allow-auto-registration \\
+        --registration-config file://provisioning-template.json
+` : `Get the registration code of your account and region with
+
+    aws iot get-registration-code
+
+and export again with it to get verification-cert.pem, or register without proof of
+possession (multi-account mode):
+
+    aws iot register-ca-certificate \\
+        --ca-certificate file://ca-cert.pem \\
+        --certificate-mode SNI_ONLY \\
+        --set-as-active --allow-auto-registration \\
+        --registration-config file://provisioning-template.json
+`}
+On their first connection, devices present their certificate followed by this CA certificate
+(device-cert-and-ca-cert.pem in the client export). AWS IoT provisions the thing and closes
+the connection, the device then reconnects with the same certificate.
+`;
+}
+
+function azureCaReadme({ commonName, verificationCode, prints }) {
+    return `Azure IoT Hub / Device Provisioning Service CA registration for ${commonName}
+
+ca-cert.pem             CA certificate to upload
+${verificationCode ? `verification-cert.pem   proof of possession, CN=${verificationCode}, signed by the CA
+verification-key.pem    its private key, not needed after verification
+` : ''}thumbprints.txt         thumbprints of ca-cert.pem
+
+Thumbprint (SHA-1):     ${prints.sha1}
+Thumbprint (SHA-256):   ${prints.sha256}
+
+1. IoT Hub or DPS > Certificates > Add: upload ca-cert.pem.
+2. ${verificationCode
+        ? 'Upload verification-cert.pem as the verification certificate. The certificate status becomes Verified.'
+        : 'Select the certificate, "Generate Verification Code" and export again with that code\n   to get verification-cert.pem (or tick "Set certificate status to verified on upload").'}
+3. IoT Hub: create devices with authentication type "X.509 CA Signed", device ID = certificate CN.
+   DPS: create an enrollment group with "CA Certificate" attestation and select this certificate.
+`;
+}
+
+function awsClientReadme({ commonName, withKey }) {
+    return `AWS IoT Core device files for ${commonName}
+
+device-cert.pem                 device certificate
+device-cert-and-ca-cert.pem     device certificate followed by the CA certificate
+${withKey ? 'private-key.pem                 device private key, keep it secret\n' : ''}
+With just-in-time provisioning, connect with device-cert-and-ca-cert.pem as the client
+certificate and "${commonName}" as the MQTT client ID. Download the server trust anchor
+(AmazonRootCA1.pem) from https://www.amazontrust.com/repository/ and use the endpoint shown
+by "aws iot describe-endpoint --endpoint-type iot:Data-ATS".
+
+Without JITP, register the certificate by hand:
+
+    aws iot register-certificate --certificate-pem file://device-cert.pem \\
+        --ca-certificate-pem file://ca-cert.pem --set-as-active
+`;
+}
+
+function azureClientReadme({ commonName, withKey, prints }) {
+    return `Azure IoT Hub / DPS device files for ${commonName}
+
+device-cert.pem         device certificate
+device-fullchain.pem    device certificate followed by its intermediate CA certificates
+${withKey ? 'private-key.pem         device private key, keep it secret\n' : ''}thumbprints.txt         thumbprints of device-cert.pem
+
+Thumbprint (SHA-1):     ${prints.sha1}
+Thumbprint (SHA-256):   ${prints.sha256}
+
+Device ID / DPS registration ID: ${commonName} (must equal the certificate CN)
+
+IoT Hub, CA-signed:   create the device with authentication type "X.509 CA Signed".
+IoT Hub, thumbprint:  create the device with "X.509 Self-Signed" and the thumbprints above.
+DPS:                  use an enrollment group for the CA, or an individual enrollment with device-cert.pem.
+`;
+}
+
+function thumbprintsFile(commonName, prints) {
+    return `${commonName}
+SHA-1:   ${prints.sha1}
+SHA-256: ${prints.sha256}
+`;
+}
+
+module.exports = {
+    PLATFORMS,
+    checkCode,
+    checkPlatforms,
+    thumbprints,
+    jitpTemplate,
+    awsCaReadme,
+    azureCaReadme,
+    awsClientReadme,
+    azureClientReadme,
+    thumbprintsFile
+};
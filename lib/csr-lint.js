@@ -0,0 +1,96 @@
+// Linting of CSRs against a certificate profile (see lib/profiles.js); the key and extensions
+// come from x509.usageView. parseSubject reads the subject of `openssl req -subject` output.
+
+// Curves the generators offer and MQTT brokers/TLS stacks accept
+const STRONG_CURVES = ['prime256v1', 'secp384r1', 'secp521r1'];
+const MIN_RSA_BITS = 2048;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// "subject=\n    C=US\n    CN=dev1" (-nameopt sep_multiline) into [{ type, value }]
+function parseSubject(output) {
+    return output.split('\n')
+        .slice(1)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const index = line.indexOf('=');
+            return { type: line.slice(0, index), value: line.slice(index + 1) };
+        });
+}
+
+// Findings are { level: 'error' | 'warning', check, message }
+function lintCsr({ subject, publicKey, signatureAlgorithm, extensions, signatureValid }, profile) {
+    const findings = [];
+    const add = (level, check, message) => findings.push({ level, check, message });
+
+    if (!signatureValid) {
+        add('error', 'signature', 'The CSR self-signature does not verify: it was altered or not signed by the key it contains');
+    }
+
+    // Key strength
+    if (publicKey.type === 'EC' && !STRONG_CURVES.includes(publicKey.curve)) {
+        add('error', 'curve', `Curve ${publicKey.curve || 'unknown'} is weak or not widely supported by TLS stacks. Use ${STRONG_CURVES.join(', ')}`);
+    } else if (publicKey.type === 'RSA' && publicKey.bits < MIN_RSA_BITS) {
+        add('error', 'keySize', `RSA key of ${publicKey.bits} bits is too weak, use at least ${MIN_RSA_BITS} bits`);
+    } else if (!['EC', 'RSA'].includes(publicKey.type)) {
+        add('warning', 'keyType', `${publicKey.algorithm} keys are not supported by every MQTT client and broker`);
+    }
+
+    if (/md5|sha1With|ecdsa-with-SHA1$/i.test(signatureAlgorithm)) {
+        add('error', 'signatureAlgorithm', `Signature algorithm ${signatureAlgorithm} is considered broken`);
+    }
+
+    // Subject
+    const commonName = (subject.find(rdn => rdn.type === 'CN') || {}).value;
+    if (!commonName) {
+        add('error', 'commonName', 'The subject has no Common Name (CN)');
+    } else if (profile.uuidCommonName && !UUID_PATTERN.test(commonName)) {
+        add('warning', 'commonName', `CN "${commonName}" is not a UUID user ID`);
+    }
+
+    // Extensions: the signer applies the profile's own extensions, so a mismatch
+    // usually means the CSR was generated for a different purpose
+    const wanted = profile.extendedKeyUsage;
+    const eku = extensions.extendedKeyUsage;
+    if (!eku) {
+        if (wanted.length > 0) {
+            add('warning', 'extendedKeyUsage', `No Extended Key Usage requested, the ${profile.name} profile issues ${wanted.join(', ')}`);
+        }
+    } else if (wanted.some(usage => !eku.values.includes(usage))) {
+        add('error', 'extendedKeyUsage', `Requested Extended Key Usage ${eku.values.join(', ')} does not include ${wanted.join(', ')} required for a ${profile.name} certificate`);
+    }
+
+    const keyUsage = extensions.keyUsage;
+    if (keyUsage && !profile.basicConstraints.ca && keyUsage.values.some(usage => usage === 'keyCertSign' || usage === 'cRLSign')) {
+        add('error', 'keyUsage', 'Key Usage requests certificate or CRL signing, which an end-entity certificate must not have');
+    } else if (keyUsage && profile.keyUsage.values.includes('digitalSignature') && !keyUsage.values.includes('digitalSignature')) {
+        add('warning', 'keyUsage', 'Key Usage does not include digitalSignature, needed for TLS authentication');
+    }
+
+    if (extensions.basicConstraints && extensions.basicConstraints.ca && !profile.basicConstraints.ca) {
+        add('error', 'basicConstraints', 'The CSR requests a CA certificate (CA:TRUE)');
+    }
+
+    const sans = extensions.subjectAltNames || [];
+    const { allowed, required } = profile.subjectAltNames;
+    if (required.length > 0 && !sans.some(san => required.includes(san.type))) {
+        add('error', 'subjectAltName', wanted.includes('serverAuth')
+            ? `No ${required.join(' or ')} Subject Alternative Names requested: clients verify the broker hostname against SANs`
+            : `The ${profile.name} profile requires a ${required.join(' or ')} Subject Alternative Name`);
+    } else if (sans.length === 0 && wanted.includes('clientAuth')) {
+        add('warning', 'subjectAltName', 'No Subject Alternative Names requested: iOS rejects certificates without SANs, add them when signing');
+    }
+
+    const notAllowed = sans.filter(san => !allowed.includes(san.type));
+    if (notAllowed.length > 0) {
+        add('warning', 'subjectAltName', `The ${profile.name} profile does not allow ${[...new Set(notAllowed.map(san => san.type))].join(', ')} SANs, they are dropped unless re-entered when signing`);
+    }
+
+    return findings;
+}
+
+module.exports = {
+    parseSubject,
+    lintCsr
+};
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const basicAuth = require('./basic-auth');
+
+// CSR submission queue: requesters submit CSRs, a CA operator approves (signs) or rejects them,
+// and requesters poll the request ID for the result. One <id>.json per request in
+// REQUESTS_DIR holds the CSR, its parsed details, the decision and, once approved, the
+// certificate. history lists every step with who made it and when.
+const REQUESTS_DIR = process.env.REQUESTS_DIR || path.join(__dirname, '..', 'data', 'requests');
+
+// Operators who may approve or reject, with HTTP basic credentials: REQUEST_OPERATORS="name:password,..."
+const OPERATORS = basicAuth.parseUserList(process.env.REQUEST_OPERATORS);
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const TYPES = ['client', 'broker'];
+
+// Requests being signed right now, so a second approval cannot sign the same CSR twice
+const deciding = new Set();
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function notFound(message) {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
+}
+
+function unauthorized(message) {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+}
+
+function forbidden(message) {
+    const error = new Error(message);
+    error.status = 403;
+    return error;
+}
+
+function conflict(message) {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+}
+
+function requestPath(id) {
+    if (!/^[a-f0-9]{16}$/.test(id || '')) {
+        throw notFound(`Unknown request: ${id}`);
+    }
+    return path.join(REQUESTS_DIR, `${id}.json`);
+}
+
+function writeRequest(record) {
+    fs.mkdirSync(REQUESTS_DIR, { recursive: true });
+    fs.writeFileSync(requestPath(record.id), JSON.stringify(record, null, 2));
+}
+
+// Names and notes are free text, only their length is limited
+function checkText(label, value, maxLength, required) {
+    const text = String(value || '').trim();
+    if (required && !text) {
+        throw invalidInput(`${label} is required`);
+    }
+    if (text.length > maxLength) {
+        throw invalidInput(`${label} must be at most ${maxLength} characters`);
+    }
+    return text;
+}
+
+// report is the server's CSR inspection (see inspectCsr)
+function submitRequest({ type = 'client', note, requestedBy, report }) {
+    if (!TYPES.includes(type)) {
+        throw invalidInput(`Unknown request type: ${type}. Use one of ${TYPES.join(', ')}`);
+    }
+
+    const now = new Date().toISOString();
+    const by = checkText('Requested by', requestedBy, 100, false) || null;
+    const record = {
+        id: crypto.randomBytes(8).toString('hex'),
+        type,
+        profile: report.profile,
+        status: 'pending',
+        note: checkText('Note', note, 2000, false),
+        requestedBy: by,
+        submittedAt: now,
+        subject: report.subject,
+        commonName: report.commonName,
+        subjectAltNames: report.extensions.subjectAltNames || [],
+        publicKey: report.publicKey,
+        findings: report.findings,
+        csr: report.csr,
+        decision: null,
+        history: [{ action: 'submitted', by, at: now }]
+    };
+
+    writeRequest(record);
+    return record;
+}
+
+function getRequest(id) {
+    const filePath = requestPath(id);
+    if (!fs.existsSync(filePath)) {
+        throw notFound(`Unknown request: ${id}`);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Newest first, without the PEMs
+function listRequests({ status } = {}) {
+    if (status && !STATUSES.includes(status)) {
+        throw invalidInput(`Unknown status: ${status}. Use one of ${STATUSES.join(', ')}`);
+    }
+    if (!fs.existsSync(REQUESTS_DIR)) return [];
+
+    return fs.readdirSync(REQUESTS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => JSON.parse(fs.readFileSync(path.join(REQUESTS_DIR, file), 'utf8')))
+        .filter(record => !status || record.status === status)
+        .map(({ csr, cert, fullchain, ...summary }) => summary)
+        .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+}
+
+// Take a pending request for a decision; release() it when done, whatever happened
+// Username of the operator an "Authorization: Basic ..." header belongs to
+function authenticateOperator(authorization) {
+    if (OPERATORS.length === 0) {
+        throw forbidden('No request operators are configured, set REQUEST_OPERATORS=name:password,...');
+    }
+    const username = basicAuth.authenticate(authorization, OPERATORS);
+    if (!username) {
+        throw unauthorized('Deciding a request needs valid operator credentials');
+    }
+    return username;
+}
+
+// operator is the authenticated operator, who cannot decide a request they submitted
+function claimRequest(id, operator, comment) {
+    const by = checkText('Operator', operator, 100, true);
+    const text = checkText('Comment', comment, 2000, false);
+    const record = getRequest(id);
+    if (record.requestedBy === by) {
+        throw forbidden(`${by} submitted request ${id}, another operator has to decide it`);
+    }
+    if (record.status !== 'pending' || deciding.has(id)) {
+        throw conflict(`Request ${id} is already ${deciding.has(id) ? 'being decided' : record.status}`);
+    }
+
+    deciding.add(id);
+    return { record, by, comment: text, release: () => deciding.delete(id) };
+}
+
+// action is approved or rejected; details are what the operator decided (comment, CA, SANs, validity)
+function recordDecision(record, action, by, details, issued = {}) {
+    const at = new Date().toISOString();
+    const { comment } = details;
+    const decided = {
+        ...record,
+        ...issued,
+        status: action,
+        decision: { action, by, at, ...details },
+        history: [...record.history, { action, by, at, comment }]
+    };
+
+    writeRequest(decided);
+    return decided;
+}
+
+module.exports = {
+    STATUSES,
+    TYPES,
+    submitRequest,
+    getRequest,
+    listRequests,
+    authenticateOperator,
+    claimRequest,
+    recordDecision
+};
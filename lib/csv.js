@@ -0,0 +1,87 @@
+// Minimal RFC 4180 CSV support for device lists and manifests
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Parse CSV text into objects keyed by the header row; stray or unterminated quotes are refused
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let closed = false;
+    let line = 1;
+    let quoteLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+                closed = true;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+            closed = false;
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            closed = false;
+            line++;
+        } else if ((closed && !/[ \t]/.test(char)) || (char === '"' && field.trim())) {
+            throw invalidInput(`Device list is not valid CSV: unexpected text around a quote on line ${line}`);
+        } else if (char === '"') {
+            quoted = true;
+            quoteLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw invalidInput(`Device list is not valid CSV: a quoted field on line ${quoteLine} is never closed`);
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(r => r.some(value => value.trim()));
+    const keys = header.map(key => key.trim());
+
+    return records.map(record => Object.fromEntries(
+        keys.map((key, index) => [key, (record[index] || '').trim()])
+    ));
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize objects as CSV using the given column order
+function toCsv(columns, records) {
+    return [columns, ...records.map(record => columns.map(column => record[column]))]
+        .map(values => values.map(csvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    toCsv
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const caStore = require('./ca-store');
+const profiles = require('./profiles');
+const basicAuth = require('./basic-auth');
+
+// EST (RFC 7030) enrollment settings: which stored CA and profile /.well-known/est issues
+// from, and the HTTP basic credentials devices enroll with. Kept in EST_DIR:
+//   est.json        CA, profile and validity saved from the API (the environment gives the defaults)
+//   est-users.json  enrollment users, passwords as scrypt hashes
+// EST_USERS ("name:password,name2:password2") adds users that only live in the environment.
+const EST_DIR = process.env.EST_DIR || path.join(__dirname, '..', 'data', 'est');
+const SETTINGS_PATH = path.join(EST_DIR, 'est.json');
+const USERS_PATH = path.join(EST_DIR, 'est-users.json');
+
+const DEFAULT_SETTINGS = {
+    caId: process.env.EST_CA_ID || '',
+    profile: process.env.EST_PROFILE || 'client',
+    validityDays: process.env.EST_VALIDITY_DAYS ? Number(process.env.EST_VALIDITY_DAYS) : null
+};
+
+const ENV_USERS = basicAuth.parseUserList(process.env.EST_USERS);
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function notFound(message) {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
+}
+
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+function checkSettings({ caId = '', profile, validityDays }) {
+    const ca = caId ? caStore.listCas().find(stored => stored.caId === caId) : null;
+    if (caId && !ca) {
+        throw invalidInput(`Unknown CA: ${caId}`);
+    }
+    // Devices enroll unattended, nobody is there to give the passphrase
+    if (ca && ca.keyEncrypted) {
+        throw invalidInput(`The key of CA ${ca.name} is encrypted, EST needs a CA whose key can sign unattended`);
+    }
+    profiles.getProfile(profile);
+
+    const days = validityDays === null || validityDays === '' ? null : Number(validityDays);
+    if (days !== null && (!Number.isInteger(days) || days < 1)) {
+        throw invalidInput('Validity must be a whole number of days');
+    }
+
+    return { caId, profile, validityDays: days };
+}
+
+function getSettings() {
+    return checkSettings({ ...DEFAULT_SETTINGS, ...readJson(SETTINGS_PATH, {}) });
+}
+
+// Fields left out (undefined) keep their current value
+function saveSettings(settings) {
+    const changed = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+    const checked = checkSettings({ ...getSettings(), ...changed });
+    writeJson(SETTINGS_PATH, checked);
+    return checked;
+}
+
+// The CA enrollment issues from; EST answers 503 until one is configured
+function enrollmentCa() {
+    const { caId } = getSettings();
+    if (!caId) {
+        const error = new Error('EST is not configured: choose the issuing CA first');
+        error.status = 503;
+        throw error;
+    }
+    return caStore.getCa(caId);
+}
+
+function storedUsers() {
+    return readJson(USERS_PATH, []);
+}
+
+// Usernames only, the hashes never leave this module
+function listUsers() {
+    return [
+        ...storedUsers().map(({ username, createdAt }) => ({ username, createdAt, source: 'api' })),
+        ...ENV_USERS.map(({ username }) => ({ username, createdAt: null, source: 'env' }))
+    ];
+}
+
+// Add a user or change its password
+function saveUser(username, password) {
+    if (!/^[A-Za-z0-9._@-]{1,64}$/.test(username || '')) {
+        throw invalidInput('Username must be 1-64 letters, digits or . _ @ -');
+    }
+    if (!password || password.length < 8) {
+        throw invalidInput('Password must be at least 8 characters');
+    }
+    if (ENV_USERS.some(user => user.username === username)) {
+        throw invalidInput(`${username} is set in EST_USERS, change it there`);
+    }
+
+    const record = { username, ...basicAuth.hashPassword(password), createdAt: new Date().toISOString() };
+    writeJson(USERS_PATH, [...storedUsers().filter(user => user.username !== username), record]);
+    return { username, createdAt: record.createdAt, source: 'api' };
+}
+
+function removeUser(username) {
+    const users = storedUsers();
+    if (!users.some(user => user.username === username)) {
+        throw notFound(`Unknown EST user: ${username}`);
+    }
+    writeJson(USERS_PATH, users.filter(user => user.username !== username));
+}
+
+// Username of a valid "Authorization: Basic ..." header, else null
+function authenticate(authorization) {
+    return basicAuth.authenticate(authorization, [...storedUsers(), ...ENV_USERS]);
+}
+
+module.exports = {
+    getSettings,
+    saveSettings,
+    enrollmentCa,
+    listUsers,
+    saveUser,
+    removeUser,
+    authenticate
+};
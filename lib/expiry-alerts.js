@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { INVENTORY_DIR } = require('./inventory');
+
+// Expiry alerts: POST a JSON message to a webhook when a tracked certificate is 30, 7 and
+// 1 day(s) from expiry. Each threshold is sent once per certificate; a failed delivery is
+// retried on the next check. State lives next to the inventory:
+//   alerts.json       webhook settings saved from the API (the environment gives the defaults)
+//   alerts-sent.json  { [inventory id]: { fingerprint, thresholds } } and the last check
+const SETTINGS_PATH = path.join(INVENTORY_DIR, 'alerts.json');
+const SENT_PATH = path.join(INVENTORY_DIR, 'alerts-sent.json');
+
+const DEFAULT_SETTINGS = {
+    webhookUrl: process.env.EXPIRY_WEBHOOK_URL || '',
+    thresholds: (process.env.EXPIRY_ALERT_DAYS || '30,7,1').split(',').map(Number),
+    intervalMinutes: Number(process.env.EXPIRY_CHECK_INTERVAL_MINUTES || 60)
+};
+
+// setInterval takes at most 2^31-1 ms, longer delays fire after 1 ms
+const MAX_INTERVAL_MINUTES = Math.floor((2 ** 31 - 1) / 60000);
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Proof-of-possession certificates for cloud CA registration are only used once
+const SILENT_TYPES = ['verification'];
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+// Normalized settings, largest threshold first
+function checkSettings({ webhookUrl = '', thresholds, intervalMinutes }) {
+    const url = String(webhookUrl).trim();
+    if (url && !/^https?:\/\/[^\s]+$/.test(url)) {
+        throw invalidInput('Webhook URL must be an http(s) URL');
+    }
+
+    const days = (Array.isArray(thresholds) ? thresholds : String(thresholds).split(','))
+        .map(value => Number(String(value).trim()));
+    if (days.length === 0 || days.some(value => !Number.isInteger(value) || value < 1)) {
+        throw invalidInput('Alert thresholds must be whole numbers of days, e.g. 30,7,1');
+    }
+
+    if (!Number.isInteger(Number(intervalMinutes)) || Number(intervalMinutes) < 1 || Number(intervalMinutes) > MAX_INTERVAL_MINUTES) {
+        throw invalidInput(`The check interval must be a whole number of minutes between 1 and ${MAX_INTERVAL_MINUTES}`);
+    }
+
+    return {
+        webhookUrl: url,
+        thresholds: [...new Set(days)].sort((a, b) => b - a),
+        intervalMinutes: Number(intervalMinutes)
+    };
+}
+
+function getSettings() {
+    const settings = { ...DEFAULT_SETTINGS, ...readJson(SETTINGS_PATH, {}) };
+    // Intervals saved (or set in the environment) before the limit was checked run at the limit
+    if (Number(settings.intervalMinutes) > MAX_INTERVAL_MINUTES) {
+        settings.intervalMinutes = MAX_INTERVAL_MINUTES;
+    }
+    return checkSettings(settings);
+}
+
+// Fields left out (undefined) keep their current value
+function saveSettings(settings) {
+    const changed = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+    const checked = checkSettings({ ...getSettings(), ...changed });
+    writeJson(SETTINGS_PATH, checked);
+    return checked;
+}
+
+function getState() {
+    return readJson(SENT_PATH, { sent: {}, lastCheck: null });
+}
+
+// POST a JSON message, any 2xx response counts as delivered
+async function sendWebhook(url, message) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(message),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+    } catch (error) {
+        throw new Error(`Webhook ${url} is unreachable: ${error.cause ? error.cause.message : error.message}`);
+    }
+    if (!response.ok) {
+        throw new Error(`Webhook ${url} answered ${response.status} ${response.statusText}`);
+    }
+}
+
+// What the webhook receives for one certificate
+function alertMessage(entry, threshold, now) {
+    return {
+        event: 'certificate.expiring',
+        threshold,
+        daysRemaining: entry.daysRemaining,
+        certificate: {
+            id: entry.id,
+            source: entry.source,
+            type: entry.type,
+            commonName: entry.commonName,
+            subject: entry.subject,
+            issuer: entry.issuer,
+            caId: entry.caId || null,
+            serial: entry.serial,
+            subjectAltNames: entry.subjectAltNames,
+            notAfter: entry.notAfter,
+            fingerprint: entry.fingerprint
+        },
+        sentAt: now.toISOString()
+    };
+}
+
+// Send the alerts that are due for the given inventory entries (with daysRemaining as of now).
+// A certificate first seen at 5 days left gets the 7-day alert, not the 30-day one as well.
+// With record false nothing is remembered, for simulated dates.
+async function checkExpiring(entries, now = new Date(), { record = true } = {}) {
+    const settings = getSettings();
+    const state = getState();
+    const result = { checkedAt: now.toISOString(), webhookUrl: settings.webhookUrl, sent: [], failed: [] };
+
+    if (!settings.webhookUrl) {
+        result.skipped = 'No webhook URL is configured';
+        return result;
+    }
+
+    for (const entry of entries) {
+        if (entry.revokedAt || entry.daysRemaining < 0 || SILENT_TYPES.includes(entry.type)) continue;
+
+        const due = settings.thresholds.filter(threshold => entry.daysRemaining <= threshold);
+        // Thresholds already alerted for this certificate
+        const previous = state.sent[entry.id] && state.sent[entry.id].fingerprint === entry.fingerprint
+            ? state.sent[entry.id].thresholds
+            : [];
+        const pending = due.filter(threshold => !previous.includes(threshold));
+        if (pending.length === 0) continue;
+
+        const threshold = Math.min(...pending);
+        try {
+            await sendWebhook(settings.webhookUrl, alertMessage(entry, threshold, now));
+            state.sent[entry.id] = { fingerprint: entry.fingerprint, thresholds: due };
+            result.sent.push({ id: entry.id, commonName: entry.commonName, threshold, daysRemaining: entry.daysRemaining });
+        } catch (error) {
+            result.failed.push({ id: entry.id, commonName: entry.commonName, threshold, error: error.message });
+        }
+    }
+
+    if (record) {
+        state.lastCheck = result;
+        writeJson(SENT_PATH, state);
+    }
+    return result;
+}
+
+// Send a sample message so the webhook can be checked without an expiring certificate
+async function sendTestAlert(now = new Date()) {
+    const { webhookUrl } = getSettings();
+    if (!webhookUrl) {
+        throw invalidInput('No webhook URL is configured');
+    }
+
+    const message = {
+        event: 'test',
+        threshold: null,
+        daysRemaining: null,
+        certificate: null,
+        sentAt: now.toISOString()
+    };
+    try {
+        await sendWebhook(webhookUrl, message);
+    } catch (error) {
+        error.status = 502;
+        throw error;
+    }
+    return message;
+}
+
+module.exports = {
+    MAX_INTERVAL_MINUTES,
+    getSettings,
+    saveSettings,
+    getState,
+    checkExpiring,
+    sendTestAlert
+};
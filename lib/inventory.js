@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+
+// Expiry inventory: the certificates this tool keeps track of, wherever they came from.
+//   issued    ledger entries of the stored CAs (lib/ca-store.js)
+//   ca        the stored CAs themselves
+//   imported  certificates pasted in as PEM, kept here:
+//               imported.json  one entry per certificate
+//               certs/         the imported certificates, one <id>.pem each
+const INVENTORY_DIR = process.env.INVENTORY_DIR || path.join(__dirname, '..', 'data', 'inventory');
+const IMPORTED_PATH = path.join(INVENTORY_DIR, 'imported.json');
+
+const SOURCES = ['issued', 'ca', 'imported'];
+const STATUSES = ['valid', 'expiring', 'expired', 'revoked'];
+const SORT_FIELDS = ['daysRemaining', 'notAfter', 'commonName', 'type', 'issuer', 'serial', 'source'];
+
+// Certificates expiring within this many days are reported as "expiring"
+const EXPIRING_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function notFound(message) {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
+}
+
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+// Inventory IDs end up in URLs, so they only use hex digits, letters and dashes
+function issuedId(caId, serial) {
+    return `issued-${caId}-${serial}`;
+}
+
+function vaultId(caId) {
+    return `ca-${caId}`;
+}
+
+function importedId(fingerprint) {
+    return `imported-${fingerprint.replace(/:/g, '').slice(0, 16).toLowerCase()}`;
+}
+
+// Whole days until notAfter, negative once the certificate has expired
+function daysRemaining(notAfter, now = new Date()) {
+    return Math.floor((new Date(notAfter).getTime() - now.getTime()) / DAY_MS);
+}
+
+function statusOf(entry, days) {
+    if (entry.revokedAt) return 'revoked';
+    if (days < 0) return 'expired';
+    return days <= EXPIRING_DAYS ? 'expiring' : 'valid';
+}
+
+// Add daysRemaining and status to an inventory entry
+function withExpiry(entry, now) {
+    const days = daysRemaining(entry.notAfter, now);
+    return { ...entry, daysRemaining: days, status: statusOf(entry, days) };
+}
+
+function listImported() {
+    return readJson(IMPORTED_PATH, []);
+}
+
+function getImported(id) {
+    const record = listImported().find(entry => entry.id === id);
+    if (!record) {
+        throw notFound(`Unknown inventory entry: ${id}`);
+    }
+
+    return {
+        ...record,
+        cert: fs.readFileSync(path.join(INVENTORY_DIR, 'certs', `${record.id}.pem`), 'utf8')
+    };
+}
+
+// Keep an imported certificate; entry holds its parsed details (see the server's import route)
+function saveImported(entry, certPem) {
+    const imported = listImported();
+    const record = { ...entry, id: importedId(entry.fingerprint), source: 'imported', importedAt: new Date().toISOString() };
+
+    fs.mkdirSync(path.join(INVENTORY_DIR, 'certs'), { recursive: true });
+    fs.writeFileSync(path.join(INVENTORY_DIR, 'certs', `${record.id}.pem`), certPem);
+    writeJson(IMPORTED_PATH, [...imported.filter(existing => existing.id !== record.id), record]);
+
+    return record;
+}
+
+function removeImported(id) {
+    if (!id.startsWith('imported-')) {
+        throw invalidInput('Only imported certificates can be removed, issued ones stay in their CA ledger');
+    }
+
+    const imported = listImported();
+    if (!imported.some(entry => entry.id === id)) {
+        throw notFound(`Unknown imported certificate: ${id}`);
+    }
+
+    writeJson(IMPORTED_PATH, imported.filter(entry => entry.id !== id));
+    fs.rmSync(path.join(INVENTORY_DIR, 'certs', `${id}.pem`), { force: true });
+}
+
+// Filter by source, type, caId, status, a search text and expiresWithinDays, then sort.
+// Query values arrive as strings from the API.
+function filterAndSort(entries, query = {}) {
+    const { source, type, status, search, expiresWithinDays, sort = 'daysRemaining', order = 'asc' } = query;
+
+    if (source && !SOURCES.includes(source)) {
+        throw invalidInput(`Unknown source: ${source}. Use one of ${SOURCES.join(', ')}`);
+    }
+    if (status && !STATUSES.includes(status)) {
+        throw invalidInput(`Unknown status: ${status}. Use one of ${STATUSES.join(', ')}`);
+    }
+    if (!SORT_FIELDS.includes(sort)) {
+        throw invalidInput(`Cannot sort by ${sort}. Use one of ${SORT_FIELDS.join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        throw invalidInput('Sort order must be asc or desc');
+    }
+    if (expiresWithinDays !== undefined && expiresWithinDays !== '' && !Number.isInteger(Number(expiresWithinDays))) {
+        throw invalidInput('expiresWithinDays must be a whole number of days');
+    }
+
+    const needle = (search || '').trim().toLowerCase();
+    const matches = entry =>
+        (!source || entry.source === source) &&
+        (!type || entry.type === type) &&
+        (!query.caId || entry.caId === query.caId) &&
+        (!status || entry.status === status) &&
+        (expiresWithinDays === undefined || expiresWithinDays === '' ||
+            (!entry.revokedAt && entry.daysRemaining <= Number(expiresWithinDays))) &&
+        (!needle || [
+            entry.commonName,
+            entry.subject,
+            entry.serial,
+            entry.label,
+            ...entry.subjectAltNames.map(san => san.value)
+        ].some(value => value && value.toLowerCase().includes(needle)));
+
+    const direction = order === 'desc' ? -1 : 1;
+    const compare = (a, b) => {
+        const left = a[sort];
+        const right = b[sort];
+        if (typeof left === 'number' && typeof right === 'number') return (left - right) * direction;
+        return String(left || '').localeCompare(String(right || '')) * direction;
+    };
+
+    return entries.filter(matches).sort(compare);
+}
+
+module.exports = {
+    INVENTORY_DIR,
+    SOURCES,
+    STATUSES,
+    SORT_FIELDS,
+    EXPIRING_DAYS,
+    issuedId,
+    vaultId,
+    importedId,
+    daysRemaining,
+    withExpiry,
+    listImported,
+    getImported,
+    saveImported,
+    removeImported,
+    filterAndSort
+};
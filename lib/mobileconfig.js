@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// Apple configuration profile (.mobileconfig) carrying a PKCS#12 client identity
+// and the trusted root certificate(s), see Apple's "Configuration Profile Reference".
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Base64 wrapped at 52 columns, as Apple's own tools write <data> elements
+function plistData(buffer) {
+    return buffer.toString('base64').match(/.{1,52}/g).join('\n');
+}
+
+function payload({ type, identifier, displayName, fields }) {
+    const extra = Object.entries(fields)
+        .map(([key, value]) => Buffer.isBuffer(value)
+            ? `<key>${key}</key>\n<data>\n${plistData(value)}\n</data>`
+            : `<key>${key}</key>\n<string>${escapeXml(value)}</string>`)
+        .join('\n');
+
+    return `<dict>
+${extra}
+<key>PayloadDisplayName</key>
+<string>${escapeXml(displayName)}</string>
+<key>PayloadIdentifier</key>
+<string>${escapeXml(identifier)}</string>
+<key>PayloadType</key>
+<string>${type}</string>
+<key>PayloadUUID</key>
+<string>${crypto.randomUUID().toUpperCase()}</string>
+<key>PayloadVersion</key>
+<integer>1</integer>
+</dict>`;
+}
+
+// p12: PKCS#12 bundle, roots: [{ name, der }], password: embedded only when given
+function buildMobileconfig({ p12, p12Password, roots = [], commonName, organization, identifier }) {
+    const baseId = identifier || `com.mqtt.identity.${commonName.replace(/[^A-Za-z0-9-]/g, '-')}`;
+
+    const identityFields = { PayloadCertificateFileName: `${commonName}.p12`, PayloadContent: p12 };
+    if (p12Password) {
+        identityFields.Password = p12Password;
+    }
+
+    const payloads = [
+        payload({
+            type: 'com.apple.security.pkcs12',
+            identifier: `${baseId}.identity`,
+            displayName: `${commonName} (MQTT client identity)`,
+            fields: identityFields
+        }),
+        ...roots.map((root, index) => payload({
+            type: 'com.apple.security.root',
+            identifier: `${baseId}.root.${index + 1}`,
+            displayName: root.name,
+            fields: { PayloadCertificateFileName: `${root.name}.cer`, PayloadContent: root.der }
+        }))
+    ];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+<key>PayloadContent</key>
+<array>
+${payloads.join('\n')}
+</array>
+<key>PayloadDescription</key>
+<string>Installs the MQTT client certificate for ${escapeXml(commonName)} and trusts its certificate authority.</string>
+<key>PayloadDisplayName</key>
+<string>MQTT Client - ${escapeXml(commonName)}</string>
+<key>PayloadIdentifier</key>
+<string>${escapeXml(baseId)}</string>
+<key>PayloadOrganization</key>
+<string>${escapeXml(organization || 'MQTT')}</string>
+<key>PayloadRemovalDisallowed</key>
+<false/>
+<key>PayloadType</key>
+<string>Configuration</string>
+<key>PayloadUUID</key>
+<string>${crypto.randomUUID().toUpperCase()}</string>
+<key>PayloadVersion</key>
+<integer>1</integer>
+</dict>
+</plist>
+`;
+}
+
+module.exports = {
+    buildMobileconfig
+};
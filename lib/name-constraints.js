@@ -0,0 +1,251 @@
+const net = require('net');
+const x509 = require('./x509');
+
+// Name constraints and certificate policies of CA certificates. CA generation takes
+//   nameConstraints      { permitted, excluded }, each [{ type, value }], ["DNS:example.com"]
+//                        or one "DNS:example.com;IP:10.0.0.0/8" string
+//   certificatePolicies  policy OIDs (or anyPolicy), an array or a comma separated string
+// with DNS suffixes (.example.com: subdomains only, example.com: the name and its subdomains),
+// IP ranges (10.0.0.0/8 or 10.0.0.0/255.0.0.0, IPv6 alike) and email domains or mailboxes.
+//
+// Before signing, checkIssuance() applies the constraints of the issuing CA and every CA above
+// it the way openssl verify does: SANs, the subject emailAddress, and the CN when it looks like
+// a host name and there are no DNS SANs. URI and directory name constraints are not checked.
+
+const TYPES = { dns: 'DNS', ip: 'IP', email: 'email' };
+
+const ANY_POLICY = '2.5.29.32.0';
+
+const LABEL = '[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?';
+const DOMAIN = new RegExp(`^${LABEL}(\\.${LABEL})*$`);
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Network and mask bytes of "address/prefix" or "address/mask"; a bare address is a single host
+function ipRange(value) {
+    const [address, mask, ...rest] = value.split('/');
+    if (!net.isIP(address) || rest.length > 0) {
+        throw invalidInput(`Invalid IP range in name constraints: ${value}. Use e.g. 10.0.0.0/8 or 2001:db8::/32`);
+    }
+
+    const bytes = x509.ipAddressBytes(address);
+    let maskBytes;
+    if (mask === undefined || /^\d+$/.test(mask)) {
+        const prefix = mask === undefined ? bytes.length * 8 : Number(mask);
+        if (prefix > bytes.length * 8) {
+            throw invalidInput(`Invalid IP range in name constraints: ${value}, the prefix is longer than the address`);
+        }
+        maskBytes = Buffer.from(bytes.map((_, i) => 0xff << (8 - Math.min(8, Math.max(0, prefix - i * 8))) & 0xff));
+    } else if (net.isIP(mask) === net.isIP(address)) {
+        maskBytes = x509.ipAddressBytes(mask);
+    } else {
+        throw invalidInput(`Invalid IP range in name constraints: ${value}, the mask does not fit the address`);
+    }
+
+    const bits = [...maskBytes].map(byte => byte.toString(2).padStart(8, '0')).join('');
+    if (/01/.test(bits)) {
+        throw invalidInput(`Invalid IP range in name constraints: ${value}, the mask is not contiguous`);
+    }
+    if (bytes.some((byte, i) => byte & ~maskBytes[i])) {
+        throw invalidInput(`Invalid IP range in name constraints: ${value} has host bits set, use the network address`);
+    }
+    return { bytes, maskBytes };
+}
+
+// Address or mask bytes as text the backends take back: dotted IPv4, eight IPv6 groups
+function ipText(bytes) {
+    return bytes.length === 4
+        ? [...bytes].join('.')
+        : Array.from({ length: 8 }, (_, i) => bytes.readUInt16BE(i * 2).toString(16)).join(':');
+}
+
+// One constraint base, normalized: lower case names, IP ranges as "address/mask"
+function checkBase(type, value) {
+    if (type === 'IP') {
+        const { bytes, maskBytes } = ipRange(value);
+        return `${ipText(bytes)}/${ipText(maskBytes)}`;
+    }
+
+    const name = value.toLowerCase();
+    if (type === 'DNS' && !DOMAIN.test(name.replace(/^\./, ''))) {
+        throw invalidInput(`Invalid DNS name constraint: ${value}. Use a domain like example.com or .example.com`);
+    }
+    if (type === 'email') {
+        const at = value.lastIndexOf('@');
+        const domain = at >= 0 ? name.slice(at + 1) : name.replace(/^\./, '');
+        if (!DOMAIN.test(domain) || (at >= 0 && (at === 0 || /[\s@]/.test(value.slice(0, at))))) {
+            throw invalidInput(`Invalid email name constraint: ${value}. Use a domain, .domain or a full address`);
+        }
+        return at >= 0 ? `${value.slice(0, at)}@${domain}` : name;
+    }
+    return name;
+}
+
+function parseSubtrees(label, input) {
+    if (input === undefined || input === null || input === '') return [];
+    const entries = Array.isArray(input) ? input : String(input).split(/[;|,\n]/);
+
+    return entries
+        .map(entry => {
+            if (typeof entry !== 'string') return entry || {};
+            const [type, ...value] = entry.split(':');
+            return { type, value: value.join(':') };
+        })
+        .filter(({ value }) => String(value || '').trim())
+        .map(({ type, value }) => {
+            const name = TYPES[String(type || '').trim().toLowerCase()];
+            if (!name) {
+                throw invalidInput(`Unsupported ${label} name constraint type: ${type}. Use DNS, IP or email`);
+            }
+            return { type: name, value: checkBase(name, String(value).trim()) };
+        });
+}
+
+// The nameConstraints extension of a CA request, null when it sets none
+function parseNameConstraints(input) {
+    if (!input) return null;
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw invalidInput('nameConstraints must be an object with permitted and excluded names');
+    }
+
+    const permitted = parseSubtrees('permitted', input.permitted);
+    const excluded = parseSubtrees('excluded', input.excluded);
+    return permitted.length + excluded.length > 0 ? { permitted, excluded } : null;
+}
+
+function parseCertificatePolicies(input) {
+    if (input === undefined || input === null || input === '') return [];
+    const policies = (Array.isArray(input) ? input : String(input).split(/[,;\s]+/))
+        .map(policy => String(policy).trim())
+        .filter(Boolean)
+        .map(policy => policy === 'anyPolicy' ? ANY_POLICY : policy);
+
+    for (const policy of policies) {
+        if (!/^[0-2](\.(0|[1-9]\d*))+$/.test(policy)) {
+            throw invalidInput(`Invalid certificate policy: ${policy}. Use a dotted OID like 1.3.6.1.4.1.99999.1 or anyPolicy`);
+        }
+    }
+    return [...new Set(policies)];
+}
+
+// RFC 5280 and openssl: example.com covers the name and its subdomains, .example.com subdomains only
+function dnsMatches(name, base) {
+    const host = name.toLowerCase();
+    const suffix = base.toLowerCase();
+    return suffix.startsWith('.') ? host.endsWith(suffix) : host === suffix || host.endsWith(`.${suffix}`);
+}
+
+// A full address matches one mailbox, a domain the addresses at that host, .domain its subdomains
+function emailMatches(address, base) {
+    const at = address.lastIndexOf('@');
+    const host = address.slice(at + 1).toLowerCase();
+    if (base.includes('@')) {
+        const baseAt = base.lastIndexOf('@');
+        return address.slice(0, at) === base.slice(0, baseAt) && host === base.slice(baseAt + 1).toLowerCase();
+    }
+    return base.startsWith('.') ? host.endsWith(base.toLowerCase()) : host === base.toLowerCase();
+}
+
+function ipMatches(address, base) {
+    const bytes = x509.ipAddressBytes(address);
+    const [network, mask] = base.split('/').map(x509.ipAddressBytes);
+    return bytes.length === network.length && bytes.every((byte, i) => (byte & mask[i]) === (network[i] & mask[i]));
+}
+
+const MATCHERS = { DNS: dnsMatches, email: emailMatches, IP: ipMatches };
+
+// IP ranges as address/prefix when the mask allows, like they are usually written
+function formatBase({ type, value }) {
+    if (type !== 'IP') return value;
+    const [address, mask] = value.split('/');
+    const bits = [...x509.ipAddressBytes(mask)].map(byte => byte.toString(2).padStart(8, '0')).join('');
+    return /01/.test(bits) ? value : `${address}/${bits.indexOf('0') === -1 ? bits.length : bits.indexOf('0')}`;
+}
+
+const TYPE_NAMES = { DNS: 'DNS names', IP: 'IP ranges', email: 'email domains' };
+
+// Why one name breaks one CA's constraints, or null
+function violation(name, constraints) {
+    const matcher = MATCHERS[name.type];
+    const bases = list => list.filter(base => base.type === name.type);
+    const label = `${name.source} ${name.type}:${name.value}`;
+
+    const excluded = bases(constraints.excluded).find(base => matcher(name.value, base.value));
+    if (excluded) {
+        return `${label} is within the excluded ${TYPE_NAMES[name.type]} (${formatBase(excluded)})`;
+    }
+
+    const permitted = bases(constraints.permitted);
+    if (permitted.length > 0 && !permitted.some(base => matcher(name.value, base.value))) {
+        return `${label} is not within the permitted ${TYPE_NAMES[name.type]} (${permitted.map(formatBase).join(', ')})`;
+    }
+    return null;
+}
+
+// Subject of the CSR or certificate being signed, [] if it cannot be read (the backend says why)
+function subjectOf({ csr, cert }) {
+    try {
+        if (cert) {
+            return x509.parseCertificate(x509.fromPem(cert, ['CERTIFICATE'])).subject;
+        }
+        const der = Buffer.isBuffer(csr) ? csr : x509.fromPem(String(csr), ['CERTIFICATE REQUEST', 'NEW CERTIFICATE REQUEST']);
+        return der ? x509.parseRequest(der).subject : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Names of the certificate to issue that name constraints apply to
+function constrainedNames(subject, subjectAltNames) {
+    const names = subjectAltNames
+        .filter(({ type }) => MATCHERS[type])
+        .map(({ type, value }) => ({ source: 'SAN', type, value }));
+
+    for (const { type, value } of subject) {
+        if (type === 'emailAddress') {
+            names.push({ source: 'Subject emailAddress', type: 'email', value });
+        }
+    }
+
+    // openssl checks a host name looking CN (at least one dot) when there are no DNS SANs
+    const commonName = subject.find(({ type }) => type === 'CN');
+    if (commonName && !subjectAltNames.some(({ type }) => type === 'DNS') &&
+        commonName.value.includes('.') && DOMAIN.test(commonName.value.replace(/^\*\./, ''))) {
+        names.push({ source: 'Common Name (checked as DNS name, there are no DNS SANs)', type: 'DNS', value: commonName.value });
+    }
+    return names;
+}
+
+// Refuse a certificate with these names if the issuing CA or one above it does not allow them.
+// issuerCerts: the issuing CA first, then its chain; the subject comes from the csr or cert PEM.
+function checkIssuance(issuerCerts, { csr, cert, subjectAltNames = [] }) {
+    const names = constrainedNames(subjectOf({ csr, cert }), subjectAltNames);
+    if (names.length === 0) return;
+
+    const problems = [];
+    for (const pem of issuerCerts) {
+        const parsed = x509.parseCertificate(x509.fromPem(pem, ['CERTIFICATE']));
+        const ext = x509.findExtension(parsed, x509.EXTENSIONS.nameConstraints);
+        if (!ext) continue;
+
+        const constraints = x509.decodeNameConstraints(ext.value);
+        const reasons = names.map(name => violation(name, constraints)).filter(Boolean);
+        if (reasons.length > 0) {
+            problems.push(`CA "${x509.formatNameRfc2253(parsed.subject)}" does not allow it: ${reasons.join('; ')}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw invalidInput(`The certificate breaks the name constraints of its issuing CA. ${problems.join('. ')}`);
+    }
+}
+
+module.exports = {
+    parseNameConstraints,
+    parseCertificatePolicies,
+    checkIssuance
+};
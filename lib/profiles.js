@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Named certificate profiles, one JSON or YAML file per profile:
+//   name              profile name used in the `profile` request parameter
+//   description       shown by GET /api/profiles
+//   keyUsage          { critical, values: [digitalSignature, keyEncipherment, ...] }
+//   extendedKeyUsage  [serverAuth, clientAuth, codeSigning, ...]
+//   basicConstraints  { critical, ca }
+//   validity          { defaultDays, maxDays }
+//   subjectAltNames   { allowed: SAN types accepted, required: at least one SAN of these types }
+//   uuidCommonName    lint the CN as a UUID user ID
+// Profiles are read once, restart the server after editing them.
+const PROFILES_DIR = process.env.PROFILES_DIR || path.join(__dirname, '..', 'profiles');
+
+const KEY_USAGES = [
+    'digitalSignature',
+    'nonRepudiation',
+    'keyEncipherment',
+    'dataEncipherment',
+    'keyAgreement',
+    'keyCertSign',
+    'cRLSign',
+    'encipherOnly',
+    'decipherOnly'
+];
+
+const EXTENDED_KEY_USAGES = [
+    'serverAuth',
+    'clientAuth',
+    'codeSigning',
+    'emailProtection',
+    'timeStamping',
+    'OCSPSigning'
+];
+
+const SAN_TYPES = ['DNS', 'IP', 'email', 'URI'];
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Fill in defaults and reject anything openssl would not understand
+function normalizeProfile(raw, file) {
+    const fail = message => new Error(`Invalid certificate profile ${file}: ${message}`);
+
+    if (!raw || !/^[a-z0-9-]+$/.test(raw.name || '')) {
+        throw fail('name must be lowercase letters, digits and dashes');
+    }
+
+    const keyUsage = raw.keyUsage || {};
+    const values = keyUsage.values || [];
+    const unknownUsage = values.find(usage => !KEY_USAGES.includes(usage));
+    if (values.length === 0 || unknownUsage) {
+        throw fail(unknownUsage ? `unknown keyUsage ${unknownUsage}` : 'keyUsage.values is required');
+    }
+
+    const extendedKeyUsage = raw.extendedKeyUsage || [];
+    const unknownEku = extendedKeyUsage.find(usage => !EXTENDED_KEY_USAGES.includes(usage));
+    if (unknownEku) {
+        throw fail(`unknown extendedKeyUsage ${unknownEku}`);
+    }
+
+    const validity = raw.validity || {};
+    const defaultDays = validity.defaultDays || 365;
+    const maxDays = validity.maxDays || defaultDays;
+    if (!Number.isInteger(defaultDays) || !Number.isInteger(maxDays) || defaultDays < 1 || defaultDays > maxDays) {
+        throw fail('validity.defaultDays must be a whole number of days no larger than validity.maxDays');
+    }
+
+    const sans = raw.subjectAltNames || {};
+    const allowed = sans.allowed || SAN_TYPES;
+    const required = sans.required || [];
+    const unknownSan = [...allowed, ...required].find(type => !SAN_TYPES.includes(type));
+    if (unknownSan) {
+        throw fail(`unknown SAN type ${unknownSan}, use ${SAN_TYPES.join(', ')}`);
+    }
+
+    return {
+        name: raw.name,
+        description: raw.description || '',
+        keyUsage: { critical: keyUsage.critical !== false, values },
+        extendedKeyUsage,
+        basicConstraints: {
+            critical: !!(raw.basicConstraints && raw.basicConstraints.critical),
+            ca: !!(raw.basicConstraints && raw.basicConstraints.ca)
+        },
+        validity: { defaultDays, maxDays },
+        subjectAltNames: { allowed, required },
+        uuidCommonName: !!raw.uuidCommonName
+    };
+}
+
+function loadProfiles(dir = PROFILES_DIR) {
+    const profiles = {};
+
+    fs.readdirSync(dir)
+        .filter(file => /\.(json|ya?ml)$/.test(file))
+        .sort()
+        .forEach(file => {
+            const text = fs.readFileSync(path.join(dir, file), 'utf8');
+            const raw = file.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+            const profile = normalizeProfile(raw, file);
+            if (profiles[profile.name]) {
+                throw new Error(`Invalid certificate profile ${file}: profile ${profile.name} is defined twice`);
+            }
+            profiles[profile.name] = profile;
+        });
+
+    return profiles;
+}
+
+let loaded = null;
+
+function listProfiles() {
+    if (!loaded) {
+        loaded = loadProfiles();
+    }
+    return Object.values(loaded);
+}
+
+function getProfile(name) {
+    const profile = listProfiles().find(candidate => candidate.name === name);
+    if (!profile) {
+        throw badRequest(`Unknown profile: ${name}. Use one of ${listProfiles().map(p => p.name).join(', ')}`);
+    }
+    return profile;
+}
+
+// Usages a key type cannot perform: RSA keys have no key agreement, Ed25519 keys only sign
+const UNSUPPORTED_KEY_USAGES = {
+    EC: [],
+    RSA: ['keyAgreement', 'encipherOnly', 'decipherOnly'],
+    ED25519: ['keyEncipherment', 'dataEncipherment', 'keyAgreement', 'encipherOnly', 'decipherOnly']
+};
+
+// keyUsage/extendedKeyUsage of a CSR's requested extensions (see lib/x509.js for the format),
+// leaving out the profile's usages the subject key type (EC, RSA or ED25519) cannot perform
+function requestExtensions(profile, keyType = 'EC') {
+    const unsupported = UNSUPPORTED_KEY_USAGES[keyType] || [];
+    return {
+        keyUsage: {
+            critical: profile.keyUsage.critical,
+            values: profile.keyUsage.values.filter(usage => !unsupported.includes(usage))
+        },
+        extendedKeyUsage: profile.extendedKeyUsage.length > 0
+            ? { critical: false, values: profile.extendedKeyUsage }
+            : null
+    };
+}
+
+// Extensions of a certificate issued under the profile
+function certificateExtensions(profile, keyType = 'EC') {
+    return {
+        basicConstraints: profile.basicConstraints,
+        ...requestExtensions(profile, keyType)
+    };
+}
+
+// Requested validity, or the profile default, capped at the profile maximum
+function resolveValidity(profile, validityDays) {
+    if (validityDays === undefined || validityDays === null || validityDays === '') {
+        return profile.validity.defaultDays;
+    }
+
+    const days = Number(validityDays);
+    if (!Number.isInteger(days) || days < 1) {
+        throw badRequest('Validity must be a whole number of days');
+    }
+    if (days > profile.validity.maxDays) {
+        throw badRequest(`The ${profile.name} profile allows at most ${profile.validity.maxDays} days of validity`);
+    }
+    return days;
+}
+
+// SAN types must be allowed by the profile; with checkRequired at least one required type must be present
+function checkSubjectAltNames(profile, subjectAltNames = [], { checkRequired = true } = {}) {
+    const sans = subjectAltNames.filter(san => san.value && san.value.trim());
+    const { allowed, required } = profile.subjectAltNames;
+
+    const notAllowed = sans.find(san => !allowed.includes(san.type));
+    if (notAllowed) {
+        throw badRequest(`The ${profile.name} profile does not allow ${notAllowed.type} SANs (allowed: ${allowed.join(', ') || 'none'})`);
+    }
+
+    if (checkRequired && required.length > 0 && !sans.some(san => required.includes(san.type))) {
+        throw badRequest(`The ${profile.name} profile requires at least one ${required.join(' or ')} Subject Alternative Name`);
+    }
+}
+
+module.exports = {
+    PROFILES_DIR,
+    SAN_TYPES,
+    loadProfiles,
+    listProfiles,
+    getProfile,
+    requestExtensions,
+    certificateExtensions,
+    resolveValidity,
+    checkSubjectAltNames
+};
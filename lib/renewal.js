@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Helpers for renewing a certificate: which profile and key algorithm it was issued with,
+// and a field-by-field summary of what changed between the old and the new certificate.
+
+// SHA-256 of the SubjectPublicKeyInfo of a certificate, public or private key PEM
+function publicKeyFingerprint(pem) {
+    const spki = crypto.createPublicKey(pem).export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(spki).digest('hex').toUpperCase().match(/../g).join(':');
+}
+
+// keyAlgorithm value (see lib/backends) for a parsed public key, null when it cannot be generated
+function keyAlgorithmOf(publicKey, keyAlgorithms) {
+    const candidate = publicKey.type === 'EC' ? publicKey.curve
+        : publicKey.type === 'RSA' ? `rsa${publicKey.bits}`
+            : publicKey.type.toLowerCase();
+    return keyAlgorithms.includes(candidate) ? candidate : null;
+}
+
+// First profile issuing exactly the certificate's Extended Key Usages
+function matchProfile(extensions, profiles) {
+    const eku = ((extensions.extendedKeyUsage || {}).values || []).slice().sort().join(',');
+    return profiles.find(profile =>
+        !profile.basicConstraints.ca && profile.extendedKeyUsage.slice().sort().join(',') === eku
+    ) || null;
+}
+
+// Comparable fields of a certificate from backend.certificateInfo and x509.usageView
+function summarize(cert, info, { publicKey, signatureAlgorithm, extensions }) {
+    const list = ext => (ext ? ext.values.join(', ') : '');
+
+    return {
+        subject: info.subject,
+        issuer: info.issuer,
+        serial: info.serial,
+        notBefore: info.notBefore,
+        notAfter: info.notAfter,
+        publicKey: `${publicKey.type}${publicKey.curve ? ` ${publicKey.curve}` : ''}${publicKey.bits ? ` (${publicKey.bits} bit)` : ''}`,
+        publicKeyFingerprint: publicKeyFingerprint(cert),
+        signatureAlgorithm,
+        subjectAltNames: (extensions.subjectAltNames || []).map(san => `${san.type}:${san.value}`).join(', '),
+        keyUsage: list(extensions.keyUsage),
+        extendedKeyUsage: list(extensions.extendedKeyUsage),
+        crlDistributionPoint: extensions.crlDistributionPoint || '',
+        ocspUrl: extensions.ocspUrl || ''
+    };
+}
+
+// { changed: [{ field, before, after }], unchanged: [field] }
+function diffSummaries(before, after) {
+    const changed = [];
+    const unchanged = [];
+
+    for (const field of Object.keys(before)) {
+        if (before[field] === after[field]) {
+            unchanged.push(field);
+        } else {
+            changed.push({ field, before: before[field], after: after[field] });
+        }
+    }
+
+    return { changed, unchanged };
+}
+
+module.exports = {
+    publicKeyFingerprint,
+    keyAlgorithmOf,
+    matchProfile,
+    summarize,
+    diffSummaries
+};
@@ -0,0 +1,148 @@
+const tls = require('tls');
+const net = require('net');
+
+// Loopback mTLS handshake between a broker and a client identity. Both sides
+// complete the handshake without rejecting the peer so that the verification
+// result of each side can be reported instead of a bare TLS alert.
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Fail early, with a 400, on keys and certificates that cannot be loaded or do not match
+function secureContext(label, options) {
+    try {
+        tls.createSecureContext(options);
+        return options;
+    } catch (error) {
+        throw invalidInput(`${label}: ${error.message}`);
+    }
+}
+
+function describeCert(cert) {
+    if (!cert || !cert.subject) return null;
+
+    return {
+        subject: cert.subject,
+        issuer: cert.issuer,
+        subjectAltNames: cert.subjectaltname || null,
+        serial: cert.serialNumber,
+        validTo: cert.valid_to,
+        fingerprint256: cert.fingerprint256
+    };
+}
+
+// host: the DNS name or IP address the MQTT clients will use to reach the broker
+function testMtlsHandshake({ caCerts, brokerKey, brokerCert, clientKey, clientCert, host = 'localhost', timeoutMs = 5000 }) {
+    const brokerIdentity = secureContext('Broker key/certificate', { key: brokerKey, cert: brokerCert, ca: caCerts });
+    const clientIdentity = secureContext('Client key/certificate', { key: clientKey, cert: clientCert, ca: caCerts });
+
+    return new Promise((resolve, reject) => {
+        let serverSide = null;
+        let report = null;
+        let settled = false;
+
+        const server = tls.createServer({
+            ...brokerIdentity,
+            requestCert: true,
+            rejectUnauthorized: false
+        }, socket => {
+            serverSide = {
+                authorized: socket.authorized,
+                error: socket.authorized ? null : String(socket.authorizationError),
+                peerCertificate: describeCert(socket.getPeerCertificate())
+            };
+            socket.end();
+        });
+
+        // The test is over once the client has seen the handshake complete or fail
+        const finish = (error, result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            server.close();
+            if (error) reject(error); else resolve(result);
+        };
+
+        const timer = setTimeout(() => {
+            finish(null, { passed: false, handshake: false, error: `No handshake within ${timeoutMs} ms` });
+        }, timeoutMs);
+
+        server.on('tlsClientError', error => {
+            serverSide = { authorized: false, error: error.message, peerCertificate: null };
+        });
+
+        const completeReport = () => ({
+            ...report,
+            clientVerifiedByBroker: serverSide,
+            passed: report.brokerVerifiedByClient.authorized && report.hostname.matched && !!serverSide && serverSide.authorized
+        });
+
+        server.listen(0, '127.0.0.1', () => {
+            const socket = tls.connect({
+                host: '127.0.0.1',
+                port: server.address().port,
+                // SNI only carries DNS names
+                servername: net.isIP(host) ? undefined : host,
+                ...clientIdentity,
+                rejectUnauthorized: false,
+                // Chain and hostname are reported separately, see checkServerIdentity below
+                checkServerIdentity: () => undefined
+            });
+
+            socket.on('secureConnect', () => {
+                const peer = socket.getPeerCertificate();
+                const identityError = tls.checkServerIdentity(host, peer);
+                const cipher = socket.getCipher();
+                const ephemeralKey = socket.getEphemeralKeyInfo();
+
+                const clientSide = {
+                    authorized: socket.authorized,
+                    error: socket.authorized ? null : String(socket.authorizationError),
+                    peerCertificate: describeCert(peer)
+                };
+
+                report = {
+                    handshake: true,
+                    protocol: socket.getProtocol(),
+                    cipher: cipher.standardName || cipher.name,
+                    keyExchange: ephemeralKey && ephemeralKey.type
+                        ? `${ephemeralKey.type} ${ephemeralKey.name || ''} ${ephemeralKey.size ? `(${ephemeralKey.size} bit)` : ''}`.replace(/\s+/g, ' ').trim()
+                        : null,
+                    hostname: {
+                        tested: host,
+                        matched: !identityError,
+                        error: identityError ? identityError.reason || identityError.message : null
+                    },
+                    brokerVerifiedByClient: clientSide
+                };
+
+                // With TLS 1.3 the broker only checks the client certificate after the
+                // client's handshake is done: wait until the broker closes the connection
+                socket.once('end', () => finish(null, completeReport()));
+                socket.resume();
+            });
+
+            socket.on('error', error => {
+                if (report) {
+                    finish(null, completeReport());
+                    return;
+                }
+                finish(null, {
+                    passed: false,
+                    handshake: false,
+                    error: error.message,
+                    clientVerifiedByBroker: serverSide
+                });
+            });
+        });
+
+        server.on('error', error => finish(error));
+    });
+}
+
+module.exports = {
+    testMtlsHandshake
+};
@@ -0,0 +1,641 @@
+const net = require('net');
+const crypto = require('crypto');
+const asn1 = require('./asn1');
+const x509 = require('./x509');
+const nameConstraints = require('./name-constraints');
+
+// Work on certificates, keys and chains made elsewhere, the checks MQTT TLS failures are debugged
+// with:
+//   convert      PEM <-> DER, PKCS#7 (.p7b) bundles <-> PEM chains
+//   matchKeys    do a private key, CSR and certificate belong to the same key pair
+//   verifyChain  verify a leaf against a chain and say exactly why it fails
+//   sortChain    split a chain file into leaf, intermediates and root, in order
+// Inputs are PEM text or base64 DER (one object); DER output is returned as base64.
+// Everything is decoded in-process, whichever PKI backend is configured.
+
+const CONVERSIONS = ['pem', 'der', 'pkcs7'];
+const PURPOSES = {
+    client: ['clientAuth', 'TLS client authentication (MQTT clients)'],
+    server: ['serverAuth', 'TLS server authentication (MQTT brokers)']
+};
+
+const PKCS7_SIGNED_DATA = '1.2.840.113549.1.7.2';
+const PKCS7_DATA = '1.2.840.113549.1.7.1';
+
+// PEM labels as written by openssl, and the ones read back as the same thing
+const LABELS = {
+    'CERTIFICATE': 'certificate',
+    'TRUSTED CERTIFICATE': 'certificate',
+    'CERTIFICATE REQUEST': 'csr',
+    'NEW CERTIFICATE REQUEST': 'csr',
+    'PKCS7': 'pkcs7',
+    'CMS': 'pkcs7',
+    'PRIVATE KEY': 'privateKey',
+    'EC PRIVATE KEY': 'privateKey',
+    'RSA PRIVATE KEY': 'privateKey',
+    'ENCRYPTED PRIVATE KEY': 'privateKey',
+    'PUBLIC KEY': 'publicKey',
+    'X509 CRL': 'crl'
+};
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// --- Reading input ---
+
+function isPkcs7(der) {
+    try {
+        const [type] = asn1.children(asn1.parse(der));
+        return type.tag === asn1.TAGS.OID && asn1.decodeOid(type) === PKCS7_SIGNED_DATA;
+    } catch (e) {
+        return false;
+    }
+}
+
+function isCrl(der) {
+    try {
+        const [tbs] = asn1.children(asn1.parse(der));
+        const fields = asn1.children(tbs);
+        const [algorithm, issuer, thisUpdate] = fields[0].tag === asn1.TAGS.INTEGER ? fields.slice(1) : fields;
+        return algorithm.tag === asn1.TAGS.SEQUENCE && issuer.tag === asn1.TAGS.SEQUENCE &&
+            [asn1.TAGS.UTC_TIME, asn1.TAGS.GENERALIZED_TIME].includes(thisUpdate.tag);
+    } catch (e) {
+        return false;
+    }
+}
+
+// PEM label of a DER object, found by parsing it
+function derLabel(der) {
+    const parses = fn => {
+        try {
+            fn();
+            return true;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    if (isPkcs7(der)) return 'PKCS7';
+    if (parses(() => new crypto.X509Certificate(der))) return 'CERTIFICATE';
+    if (parses(() => x509.parseRequest(der))) return 'CERTIFICATE REQUEST';
+    if (isCrl(der)) return 'X509 CRL';
+    if (parses(() => crypto.createPublicKey({ key: der, format: 'der', type: 'spki' }))) return 'PUBLIC KEY';
+    if (parses(() => crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' }))) return 'PRIVATE KEY';
+    if (parses(() => crypto.createPrivateKey({ key: der, format: 'der', type: 'sec1' }))) return 'EC PRIVATE KEY';
+    if (parses(() => crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs1' }))) return 'RSA PRIVATE KEY';
+
+    // Encrypted PKCS#8 only opens with its passphrase: SEQUENCE { AlgorithmIdentifier, OCTET STRING }
+    try {
+        const [algorithm, data] = asn1.children(asn1.parse(der));
+        if (asn1.children(algorithm)[0].tag === asn1.TAGS.OID && data.tag === asn1.TAGS.OCTET_STRING) {
+            return 'ENCRYPTED PRIVATE KEY';
+        }
+    } catch (e) {
+        // not a key either
+    }
+    return null;
+}
+
+// [{ label, type, der }] of every PEM block in the input, or of one base64 DER object
+function readBlocks(input, field) {
+    const text = String(input || '');
+    if (text.includes('-----BEGIN ')) {
+        const blocks = [];
+        for (const [block, label, body] of text.matchAll(/-----BEGIN ([A-Z0-9 ]+)-----([\s\S]+?)-----END \1-----/g)) {
+            if (/^[\w-]+:/m.test(body)) {
+                throw invalidInput(`${field}: the ${label} block has PEM headers (a legacy encrypted key), which have no DER form. ` +
+                    'Convert it to PKCS#8 first (openssl pkcs8 -topk8)');
+            }
+            blocks.push({ label, type: LABELS[label] || null, der: Buffer.from(body.replace(/\s+/g, ''), 'base64'), pem: block });
+        }
+        if (blocks.length === 0) {
+            throw invalidInput(`${field} has a PEM header but no complete PEM block`);
+        }
+        return blocks;
+    }
+
+    const der = /^[A-Za-z0-9+/=\s]+$/.test(text) ? Buffer.from(text.replace(/\s+/g, ''), 'base64') : null;
+    const label = der && der.length > 0 ? derLabel(der) : null;
+    if (!label) {
+        throw invalidInput(`${field} must be PEM text or base64 DER of a certificate, CSR, PKCS#7 bundle, key or CRL`);
+    }
+    return [{ label, type: LABELS[label], der, pem: x509.toPem(der, label) }];
+}
+
+// Certificates of a PKCS#7 SignedData (a .p7b bundle), in the order they are stored
+function pkcs7Certificates(der) {
+    let certificates;
+    try {
+        const [, content] = asn1.children(asn1.parse(der));
+        const signedData = asn1.decode(content.content);
+        certificates = asn1.children(signedData).find(node => node.tag === 0xa0);
+    } catch (e) {
+        throw invalidInput(`The PKCS#7 bundle could not be read (${e.message}). BER encoded bundles are not supported, ` +
+            'convert them with openssl pkcs7 -print_certs');
+    }
+    return certificates
+        ? asn1.children(certificates).filter(node => node.tag === asn1.TAGS.SEQUENCE).map(node => Buffer.from(node.raw))
+        : [];
+}
+
+// Certs-only PKCS#7 SignedData, like openssl crl2pkcs7 -nocrl. The certificates keep their order
+// (asn1.set would sort them).
+function buildPkcs7(certificates) {
+    return asn1.sequence(
+        asn1.oid(PKCS7_SIGNED_DATA),
+        asn1.explicit(0, asn1.sequence(
+            asn1.integer(1),
+            asn1.set(),
+            asn1.sequence(asn1.oid(PKCS7_DATA)),
+            asn1.encode(0xa0, Buffer.concat(certificates)),
+            asn1.set()
+        ))
+    );
+}
+
+// Certificates (DER) of PEM blocks, DER certificates and PKCS#7 bundles; other blocks are skipped
+function readCertificates(input, field) {
+    const certificates = [];
+    const skipped = [];
+    for (const block of readBlocks(input, field)) {
+        if (block.type === 'certificate') {
+            certificates.push(block.der);
+        } else if (block.type === 'pkcs7') {
+            certificates.push(...pkcs7Certificates(block.der));
+        } else {
+            skipped.push(block.label);
+        }
+    }
+    return { certificates, skipped };
+}
+
+// Parsed certificate with what the checks need, or a 400 naming the field
+function loadCertificate(der, field) {
+    try {
+        const parsed = x509.parseCertificate(der);
+        return {
+            der,
+            pem: x509.toPem(der, 'CERTIFICATE'),
+            parsed,
+            subjectDn: x509.formatNameRfc2253(parsed.subject),
+            issuerDn: x509.formatNameRfc2253(parsed.issuer),
+            fingerprint: crypto.createHash('sha256').update(der).digest('hex'),
+            publicKey: crypto.createPublicKey({ key: parsed.publicKeyInfo, format: 'der', type: 'spki' })
+        };
+    } catch (e) {
+        throw invalidInput(`${field}: a certificate could not be parsed (${e.message})`);
+    }
+}
+
+// Subject of a block for the summaries
+function describeBlock({ type, der }) {
+    try {
+        if (type === 'certificate') return x509.formatNameRfc2253(x509.parseCertificate(der).subject);
+        if (type === 'csr') return x509.formatNameRfc2253(x509.parseRequest(der).subject);
+        if (type === 'pkcs7') return `${pkcs7Certificates(der).length} certificate(s)`;
+    } catch (e) {
+        return null;
+    }
+    return null;
+}
+
+// --- Conversion ---
+
+const EXTENSIONS = {
+    'CERTIFICATE': 'crt',
+    'CERTIFICATE REQUEST': 'csr',
+    'PKCS7': 'p7b',
+    'X509 CRL': 'crl'
+};
+
+// to: pem (DER or PKCS#7 to PEM, a bundle becomes a PEM chain), der (one PEM object to DER) or
+// pkcs7 (certificates to a .p7b bundle, encoding der or pem).
+// { to, label, encoding, output (PEM text or base64 DER), fileName, items: [{ label, subject }] }
+function convert({ input, to = 'pem', encoding }) {
+    if (!CONVERSIONS.includes(to)) {
+        throw invalidInput(`Unknown conversion: ${to}. Use one of ${CONVERSIONS.join(', ')}`);
+    }
+    const blocks = readBlocks(input, 'input');
+    const items = blocks.map(block => ({ label: block.label, subject: describeBlock(block) }));
+
+    if (to === 'pem') {
+        const pems = blocks.flatMap(block => block.type === 'pkcs7'
+            ? pkcs7Certificates(block.der).map(der => x509.toPem(der, 'CERTIFICATE'))
+            : [x509.toPem(block.der, block.type === 'csr' ? 'CERTIFICATE REQUEST' : block.label)]);
+        const chain = blocks.some(block => block.type === 'pkcs7') || pems.length > 1;
+        return { to, label: chain ? 'CERTIFICATE' : blocks[0].label, encoding: 'pem', output: pems.join(''), fileName: chain ? 'chain.pem' : 'converted.pem', items };
+    }
+
+    if (to === 'der') {
+        if (blocks.length > 1) {
+            const certificatesOnly = blocks.every(block => block.type === 'certificate');
+            throw invalidInput(`DER holds a single object, the input has ${blocks.length} PEM blocks` +
+                (certificatesOnly ? ': convert a chain to pkcs7 to keep it in one file' : ''));
+        }
+        const [block] = blocks;
+        const label = block.type === 'csr' ? 'CERTIFICATE REQUEST' : block.label;
+        return {
+            to,
+            label,
+            encoding: 'der',
+            output: block.der.toString('base64'),
+            fileName: `converted.${EXTENSIONS[label] || (block.type === 'privateKey' || block.type === 'publicKey' ? 'key.der' : 'der')}`,
+            items
+        };
+    }
+
+    const others = blocks.filter(block => block.type !== 'certificate' && block.type !== 'pkcs7');
+    if (others.length > 0) {
+        throw invalidInput(`A PKCS#7 bundle only holds certificates, the input also has ${others.map(block => block.label).join(', ')}`);
+    }
+    const output = buildPkcs7(readCertificates(input, 'input').certificates);
+    if (encoding === 'pem') {
+        return { to, label: 'PKCS7', encoding, output: x509.toPem(output, 'PKCS7'), fileName: 'chain.p7b.pem', items };
+    }
+    if (encoding && encoding !== 'der') {
+        throw invalidInput(`Unknown encoding: ${encoding}. Use der or pem`);
+    }
+    return { to, label: 'PKCS7', encoding: 'der', output: output.toString('base64'), fileName: 'chain.p7b', items };
+}
+
+// --- Key pair matching ---
+
+function loadPrivateKey(input, passphrase) {
+    // Legacy encrypted PEM ("Proc-Type: 4,ENCRYPTED") has no DER form, Node reads it as it is
+    if (/Proc-Type: 4,ENCRYPTED/.test(String(input))) {
+        if (!passphrase) {
+            throw invalidInput('The private key is encrypted: its passphrase is required');
+        }
+        try {
+            return crypto.createPrivateKey({ key: String(input), passphrase });
+        } catch (e) {
+            throw invalidInput('The private key could not be decrypted: wrong passphrase or unsupported encryption');
+        }
+    }
+
+    const [block] = readBlocks(input, 'privateKey');
+    if (block.type !== 'privateKey') {
+        throw invalidInput(`privateKey must be a private key, got ${block.label}`);
+    }
+    if (block.label === 'ENCRYPTED PRIVATE KEY' && !passphrase) {
+        throw invalidInput('The private key is encrypted: its passphrase is required');
+    }
+
+    try {
+        return crypto.createPrivateKey({ key: block.pem, passphrase: passphrase || undefined });
+    } catch (e) {
+        throw invalidInput(block.label === 'ENCRYPTED PRIVATE KEY'
+            ? 'The private key could not be decrypted: wrong passphrase or unsupported encryption'
+            : `The private key could not be read (${e.message})`);
+    }
+}
+
+function loadRequest(input) {
+    const [block] = readBlocks(input, 'csr');
+    if (block.type !== 'csr') {
+        throw invalidInput(`csr must be a certificate request, got ${block.label}`);
+    }
+    try {
+        return x509.parseRequest(block.der);
+    } catch (e) {
+        throw invalidInput(`The CSR could not be parsed (${e.message})`);
+    }
+}
+
+// Which of a private key, CSR and certificate (at least two) share one key pair. A certificate
+// input may be a whole chain, its first certificate is checked.
+// { matches, items: [{ item, subject, publicKey }], pairs: [{ a, b, match }], problems }
+function matchKeys({ privateKey, csr, certificate, keyPassphrase }) {
+    const given = value => value !== undefined && value !== null && String(value).trim() !== '';
+    const items = [];
+
+    if (given(privateKey)) {
+        const spki = crypto.createPublicKey(loadPrivateKey(privateKey, keyPassphrase)).export({ type: 'spki', format: 'der' });
+        items.push({ item: 'privateKey', name: 'private key', subject: null, publicKey: x509.publicKeyDetails(spki) });
+    }
+    if (given(csr)) {
+        const request = loadRequest(csr);
+        items.push({
+            item: 'csr',
+            name: 'CSR',
+            subject: x509.formatNameRfc2253(request.subject),
+            publicKey: x509.publicKeyDetails(request.publicKeyInfo),
+            signatureValid: x509.verifyRequest(request)
+        });
+    }
+    if (given(certificate)) {
+        const { certificates } = readCertificates(certificate, 'certificate');
+        if (certificates.length === 0) {
+            throw invalidInput('certificate must be a PEM or DER certificate');
+        }
+        const cert = loadCertificate(certificates[0], 'certificate');
+        items.push({ item: 'certificate', name: 'certificate', subject: cert.subjectDn, publicKey: x509.publicKeyDetails(cert.parsed.publicKeyInfo) });
+    }
+
+    if (items.length < 2) {
+        throw invalidInput('Give at least two of privateKey, csr and certificate to compare');
+    }
+
+    const keyText = ({ publicKey }) => `${publicKey.type}${publicKey.curve ? ` ${publicKey.curve}` : ` ${publicKey.bits} bit`}, SHA-256 ${publicKey.spkiSha256.slice(0, 23)}...`;
+    const pairs = [];
+    const problems = [];
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            const match = items[i].publicKey.spkiSha256 === items[j].publicKey.spkiSha256;
+            pairs.push({ a: items[i].item, b: items[j].item, match });
+            if (!match) {
+                problems.push(`The ${items[j].name} (${keyText(items[j])}) does not belong to the ${items[i].name} (${keyText(items[i])})`);
+            }
+        }
+    }
+    const csrItem = items.find(item => item.item === 'csr');
+    if (csrItem && !csrItem.signatureValid) {
+        problems.push('The CSR self-signature does not verify: it was changed after signing or is corrupt');
+    }
+
+    return {
+        matches: pairs.every(pair => pair.match),
+        items: items.map(({ name, ...item }) => item),
+        pairs,
+        problems
+    };
+}
+
+// --- Chain building ---
+
+function isSelfSigned(cert) {
+    return cert.parsed.subjectName.equals(cert.parsed.issuerName) &&
+        x509.verifySignature(cert.parsed.tbs, cert.parsed.signatureAlgorithm, cert.parsed.signature, cert.publicKey);
+}
+
+function isCa(cert) {
+    const basic = x509.findExtension(cert.parsed, x509.EXTENSIONS.basicConstraints);
+    return !!basic && x509.decodeBasicConstraints(basic.value).ca;
+}
+
+function signedBy(cert, issuer) {
+    return x509.verifySignature(cert.parsed.tbs, cert.parsed.signatureAlgorithm, cert.parsed.signature, issuer.publicKey);
+}
+
+function keyIdText(buffer) {
+    return buffer ? buffer.toString('hex').toUpperCase().match(/../g).join(':') : null;
+}
+
+function authorityKeyId(cert) {
+    const ext = x509.findExtension(cert.parsed, x509.EXTENSIONS.authorityKeyIdentifier);
+    if (!ext) return null;
+    const keyId = asn1.children(asn1.parse(ext.value)).find(node => node.tag === 0x80);
+    return keyId ? keyIdText(keyId.content) : null;
+}
+
+function subjectKeyId(cert) {
+    return keyIdText(x509.subjectKeyIdentifier(cert.parsed));
+}
+
+// The certificate in pool that signed cert: { issuer } or { issuer: null, candidates } where
+// candidates have the issuer's name but not the key that made the signature
+function findIssuer(cert, pool) {
+    const candidates = pool.filter(other => other !== cert && other.parsed.subjectName.equals(cert.parsed.issuerName));
+    const issuer = candidates.find(candidate => signedBy(cert, candidate));
+    return { issuer: issuer || null, candidates };
+}
+
+function withoutDuplicates(certs) {
+    const seen = new Set();
+    return certs.filter(cert => !seen.has(cert.fingerprint) && seen.add(cert.fingerprint));
+}
+
+// Follow issuers from start up to a self-signed root or the first missing issuer
+function buildPath(start, pool) {
+    const path = [start];
+    for (let current = start; !isSelfSigned(current);) {
+        const { issuer, candidates } = findIssuer(current, pool);
+        if (!issuer || path.includes(issuer)) {
+            return { path, missing: { cert: current, candidates } };
+        }
+        path.push(issuer);
+        current = issuer;
+    }
+    return { path, missing: null };
+}
+
+function pathEntry(cert, role) {
+    return {
+        role,
+        subject: cert.subjectDn,
+        issuer: cert.issuerDn,
+        serial: cert.parsed.serialNumber.toString('hex').toUpperCase(),
+        notBefore: cert.parsed.notBefore.toISOString(),
+        notAfter: cert.parsed.notAfter.toISOString(),
+        subjectKeyIdentifier: subjectKeyId(cert),
+        authorityKeyIdentifier: authorityKeyId(cert)
+    };
+}
+
+function roleOf(index, path, complete) {
+    if (index === 0) return 'leaf';
+    return complete && index === path.length - 1 ? 'root' : 'intermediate';
+}
+
+// --- Verification ---
+
+function extendedKeyUsage(cert) {
+    const ext = x509.findExtension(cert.parsed, x509.EXTENSIONS.extendedKeyUsage);
+    return ext ? x509.decodeExtendedKeyUsage(ext.value) : null;
+}
+
+function daysBetween(a, b) {
+    return Math.floor(Math.abs(a - b) / 86400000);
+}
+
+// Why the chain would be refused, the way openssl verify and TLS stacks see it
+function chainProblems(path, missing, { at, purpose, host }) {
+    const problems = [];
+    const problem = (code, cert, message) => problems.push({ code, certificate: cert.subjectDn, message });
+    const name = (cert, index) => `"${cert.subjectDn}" (${roleOf(index, path, !missing)})`;
+
+    if (missing) {
+        const { cert, candidates } = missing;
+        const wanted = `"${cert.issuerDn}"${authorityKeyId(cert) ? ` with key ID ${authorityKeyId(cert)}` : ''}`;
+        if (candidates.length > 0) {
+            problem('bad-signature', cert, `The signature of "${cert.subjectDn}" does not verify with the key of ` +
+                `${candidates.map(candidate => `"${candidate.subjectDn}" (key ID ${subjectKeyId(candidate) || 'none'})`).join(', ')}: ` +
+                `it was issued by another CA with the same name, looking for ${wanted}. ` +
+                'The CA was re-created with a new key, or the chain comes from another environment');
+        } else {
+            problem('issuer-not-found', cert, `No certificate in the chain issued "${cert.subjectDn}": looking for ${wanted}. ` +
+                'Add the issuing CA (and the root) to the chain');
+        }
+    }
+
+    path.forEach((cert, index) => {
+        const { notBefore, notAfter } = cert.parsed;
+        if (notAfter < at) {
+            problem('expired', cert, `${name(cert, index)} expired on ${notAfter.toISOString()}, ${daysBetween(at, notAfter)} days ago`);
+        } else if (notBefore > at) {
+            problem('not-yet-valid', cert, `${name(cert, index)} is not valid until ${notBefore.toISOString()}, ` +
+                `in ${daysBetween(notBefore, at)} days: check the clock of the device`);
+        }
+
+        if (index === 0) return;
+        const basic = x509.findExtension(cert.parsed, x509.EXTENSIONS.basicConstraints);
+        const constraints = basic ? x509.decodeBasicConstraints(basic.value) : { ca: false, pathlen: null };
+        if (!constraints.ca) {
+            problem('not-a-ca', cert, `${name(cert, index)} issued "${path[index - 1].subjectDn}" but is not a CA certificate ` +
+                `(${basic ? 'CA:FALSE' : 'no basic constraints'})`);
+        }
+        const keyUsage = x509.findExtension(cert.parsed, x509.EXTENSIONS.keyUsage);
+        if (keyUsage && !x509.decodeKeyUsage(keyUsage.value).includes('keyCertSign')) {
+            problem('key-usage', cert, `${name(cert, index)} may not sign certificates: its key usage lacks keyCertSign`);
+        }
+        // CA certificates below this one, the leaf does not count
+        const below = index - 1;
+        if (constraints.ca && constraints.pathlen !== null && below > constraints.pathlen) {
+            problem('path-length', cert, `${name(cert, index)} allows ${constraints.pathlen} CA certificate(s) below it (pathlen), ` +
+                `the chain has ${below}`);
+        }
+    });
+
+    if (purpose) {
+        const [usage, description] = PURPOSES[purpose];
+        path.forEach((cert, index) => {
+            const usages = extendedKeyUsage(cert);
+            if (usages && !usages.includes(usage) && !usages.includes('anyExtendedKeyUsage')) {
+                problem('missing-eku', cert, `${name(cert, index)} does not allow ${description}: its extended key usage is ` +
+                    `${usages.join(', ')}, ${usage} is missing`);
+            }
+        });
+    }
+
+    if (host) {
+        const leaf = new crypto.X509Certificate(path[0].der);
+        const matched = net.isIP(host) ? leaf.checkIP(host) : leaf.checkHost(host);
+        if (!matched) {
+            problem('host-mismatch', path[0], `"${path[0].subjectDn}" is not valid for ${host}: ` +
+                `its names are ${leaf.subjectAltName || `only the subject (${path[0].subjectDn})`}`);
+        }
+    }
+
+    // Name constraints of every CA above the leaf, as enforced when signing here
+    const issuers = path.slice(1);
+    if (issuers.length > 0) {
+        const sanExt = x509.findExtension(path[0].parsed, x509.EXTENSIONS.subjectAltName);
+        try {
+            nameConstraints.checkIssuance(issuers.map(cert => cert.pem), {
+                cert: path[0].pem,
+                subjectAltNames: sanExt ? x509.decodeSubjectAltNames(sanExt.value) : []
+            });
+        } catch (error) {
+            problem('name-constraints', path[0], error.message);
+        }
+    }
+
+    return problems;
+}
+
+// Verify the first certificate of certificate against the others and chain (intermediates and
+// root, PEM, DER or PKCS#7). purpose: client or server checks the extended key usage, host the
+// names a broker certificate must carry, at (ISO 8601) another verification time.
+// { valid, problems: [{ code, certificate, message }], path: [{ role, subject, ... }], unused }
+function verifyChain({ certificate, chain, purpose, host, at }) {
+    if (purpose && !PURPOSES[purpose]) {
+        throw invalidInput(`Unknown purpose: ${purpose}. Use ${Object.keys(PURPOSES).join(' or ')}`);
+    }
+    const time = at ? new Date(at) : new Date();
+    if (Number.isNaN(time.getTime())) {
+        throw invalidInput(`Invalid verification time: ${at}. Use ISO 8601, e.g. 2025-01-31T12:00:00Z`);
+    }
+
+    const given = readCertificates(certificate, 'certificate').certificates.map(der => loadCertificate(der, 'certificate'));
+    if (given.length === 0) {
+        throw invalidInput('certificate must be a PEM or DER certificate');
+    }
+    const supplied = chain ? readCertificates(chain, 'chain').certificates.map(der => loadCertificate(der, 'chain')) : [];
+
+    const [leaf] = given;
+    const pool = withoutDuplicates([...given.slice(1), ...supplied]).filter(cert => cert.fingerprint !== leaf.fingerprint);
+    const { path, missing } = buildPath(leaf, pool);
+    const problems = chainProblems(path, missing, { at: time, purpose, host: host ? String(host).trim() : null });
+
+    return {
+        valid: problems.length === 0,
+        verifiedAt: time.toISOString(),
+        problems,
+        path: path.map((cert, index) => pathEntry(cert, roleOf(index, path, !missing))),
+        unused: pool.filter(cert => !path.includes(cert)).map(cert => cert.subjectDn)
+    };
+}
+
+// --- Chain sorting ---
+
+// The certificate a chain starts from: an end-entity certificate that issued nothing else here,
+// or without one, the lowest CA
+function chainStart(certs) {
+    const issuesOthers = cert => certs.some(other => other !== cert && findIssuer(other, [cert]).issuer);
+    const lowest = certs.filter(cert => !issuesOthers(cert) && !isSelfSigned(cert));
+    return lowest.find(cert => !isCa(cert)) || lowest[0] || certs.find(cert => !isSelfSigned(cert)) || certs[0];
+}
+
+// Put the certificates of a chain file in order (leaf, intermediates, root), dropping duplicates.
+// Certificates that do not belong to the chain are returned as unrelated, other PEM blocks
+// (keys, CSRs) are named in skipped.
+function sortChain({ pem }) {
+    const { certificates, skipped } = readCertificates(pem, 'pem');
+    if (certificates.length === 0) {
+        throw invalidInput('pem has no certificates');
+    }
+
+    const all = certificates.map(der => loadCertificate(der, 'pem'));
+    const certs = withoutDuplicates(all);
+    const start = chainStart(certs);
+    const { path, missing } = buildPath(start, certs);
+
+    // A self-signed end-entity certificate is its own chain: a leaf, not a root
+    const leaf = isCa(start) ? null : start;
+    const root = missing || path[path.length - 1] === leaf ? null : path[path.length - 1];
+    const intermediates = path.filter(cert => cert !== leaf && cert !== root);
+    const unrelated = certs.filter(cert => !path.includes(cert));
+    const pems = list => list.map(cert => cert.pem).join('');
+
+    const warnings = [];
+    if (missing) {
+        warnings.push(`The chain is incomplete: the issuer of "${missing.cert.subjectDn}" ("${missing.cert.issuerDn}") is not in the file`);
+    }
+    if (all.length > certs.length) {
+        warnings.push(`${all.length - certs.length} duplicate certificate(s) removed`);
+    }
+    if (unrelated.length > 0) {
+        warnings.push(`${unrelated.length} certificate(s) do not belong to this chain: ${unrelated.map(cert => `"${cert.subjectDn}"`).join(', ')}`);
+    }
+    if (skipped.some(label => /PRIVATE KEY/.test(label))) {
+        warnings.push('The file contains a private key: keep keys out of chain files you distribute');
+    }
+
+    const ordered = [...path, ...unrelated];
+    return {
+        reordered: certificates.length !== ordered.length || all.some((cert, index) => cert !== ordered[index]),
+        complete: !missing,
+        path: path.map((cert, index) => pathEntry(cert, cert === leaf ? 'leaf' : cert === root ? 'root' : 'intermediate')),
+        leaf: leaf ? leaf.pem : null,
+        intermediates: pems(intermediates),
+        root: root ? root.pem : null,
+        // fullchain.pem as a broker serves it, and the chain a client or broker trusts
+        fullchain: pems(leaf ? [leaf, ...intermediates] : intermediates),
+        caChain: pems(root ? [...intermediates, root] : intermediates),
+        unrelated: pems(unrelated),
+        skipped,
+        warnings
+    };
+}
+
+module.exports = {
+    CONVERSIONS,
+    PURPOSES: Object.keys(PURPOSES),
+    convert,
+    matchKeys,
+    verifyChain,
+    sortChain
+};
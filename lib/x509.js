@@ -0,0 +1,1054 @@
+const crypto = require('crypto');
+const net = require('net');
+const asn1 = require('./asn1');
+
+// X.509 certificates and PKCS#10 requests on top of lib/asn1.js: building, signing,
+// parsing, and a text dump laid out like `openssl x509 -text` / `openssl req -text`.
+//
+// Subjects are [{ type, value }] with openssl short names (C, ST, L, O, OU, CN, ...).
+// Extensions are described as:
+//   subjectKeyIdentifier    true
+//   authorityKeyIdentifier  true
+//   basicConstraints        { critical, ca, pathlen }
+//   keyUsage                { critical, values: [digitalSignature, ...] }
+//   extendedKeyUsage        { critical, values: [serverAuth, ...] }
+//   nameConstraints         { permitted: [{ type, value }], excluded: [...] }, always critical;
+//                           DNS and email bases as text, IP as "address/mask" like openssl
+//   certificatePolicies     [policy OID, ...]
+//   subjectAltNames         [{ type: DNS | IP | email | URI, value }]
+//   crlDistributionPoint    URL
+//   ocspUrl                 URL
+//   ocspNoCheck             true
+
+const NAME_ATTRIBUTES = {
+    C: '2.5.4.6',
+    ST: '2.5.4.8',
+    L: '2.5.4.7',
+    O: '2.5.4.10',
+    OU: '2.5.4.11',
+    CN: '2.5.4.3',
+    serialNumber: '2.5.4.5',
+    emailAddress: '1.2.840.113549.1.9.1',
+    SN: '2.5.4.4',
+    GN: '2.5.4.42',
+    title: '2.5.4.12',
+    DC: '0.9.2342.19200300.100.1.25',
+    UID: '0.9.2342.19200300.100.1.1'
+};
+
+const SIGNATURE_ALGORITHMS = {
+    '1.2.840.10045.4.1': 'ecdsa-with-SHA1',
+    '1.2.840.10045.4.3.2': 'ecdsa-with-SHA256',
+    '1.2.840.10045.4.3.3': 'ecdsa-with-SHA384',
+    '1.2.840.10045.4.3.4': 'ecdsa-with-SHA512',
+    '1.2.840.113549.1.1.4': 'md5WithRSAEncryption',
+    '1.2.840.113549.1.1.5': 'sha1WithRSAEncryption',
+    '1.2.840.113549.1.1.11': 'sha256WithRSAEncryption',
+    '1.2.840.113549.1.1.12': 'sha384WithRSAEncryption',
+    '1.2.840.113549.1.1.13': 'sha512WithRSAEncryption',
+    '1.3.101.112': 'ED25519'
+};
+
+const KEY_ALGORITHMS = {
+    '1.2.840.10045.2.1': 'id-ecPublicKey',
+    '1.2.840.113549.1.1.1': 'rsaEncryption',
+    '1.3.101.112': 'ED25519'
+};
+
+const CURVES = {
+    '1.2.840.10045.3.1.7': { name: 'prime256v1', nist: 'P-256', bits: 256 },
+    '1.3.132.0.34': { name: 'secp384r1', nist: 'P-384', bits: 384 },
+    '1.3.132.0.35': { name: 'secp521r1', nist: 'P-521', bits: 521 },
+    '1.3.132.0.10': { name: 'secp256k1', nist: null, bits: 256 }
+};
+
+const EXTENSIONS = {
+    subjectKeyIdentifier: '2.5.29.14',
+    keyUsage: '2.5.29.15',
+    subjectAltName: '2.5.29.17',
+    basicConstraints: '2.5.29.19',
+    crlDistributionPoints: '2.5.29.31',
+    authorityKeyIdentifier: '2.5.29.35',
+    extendedKeyUsage: '2.5.29.37',
+    nameConstraints: '2.5.29.30',
+    certificatePolicies: '2.5.29.32',
+    authorityInfoAccess: '1.3.6.1.5.5.7.1.1',
+    ocspNoCheck: '1.3.6.1.5.5.7.48.1.5'
+};
+
+// Extension names as printed by openssl
+const EXTENSION_LABELS = {
+    '2.5.29.14': 'X509v3 Subject Key Identifier',
+    '2.5.29.15': 'X509v3 Key Usage',
+    '2.5.29.17': 'X509v3 Subject Alternative Name',
+    '2.5.29.19': 'X509v3 Basic Constraints',
+    '2.5.29.30': 'X509v3 Name Constraints',
+    '2.5.29.31': 'X509v3 CRL Distribution Points',
+    '2.5.29.32': 'X509v3 Certificate Policies',
+    '2.5.29.35': 'X509v3 Authority Key Identifier',
+    '2.5.29.37': 'X509v3 Extended Key Usage',
+    '1.3.6.1.5.5.7.1.1': 'Authority Information Access',
+    '1.3.6.1.5.5.7.48.1.5': 'OCSP No Check'
+};
+
+// Bit positions of the KeyUsage BIT STRING
+const KEY_USAGES = [
+    ['digitalSignature', 'Digital Signature'],
+    ['nonRepudiation', 'Non Repudiation'],
+    ['keyEncipherment', 'Key Encipherment'],
+    ['dataEncipherment', 'Data Encipherment'],
+    ['keyAgreement', 'Key Agreement'],
+    ['keyCertSign', 'Certificate Sign'],
+    ['cRLSign', 'CRL Sign'],
+    ['encipherOnly', 'Encipher Only'],
+    ['decipherOnly', 'Decipher Only']
+];
+
+const EXTENDED_KEY_USAGES = {
+    serverAuth: ['1.3.6.1.5.5.7.3.1', 'TLS Web Server Authentication'],
+    clientAuth: ['1.3.6.1.5.5.7.3.2', 'TLS Web Client Authentication'],
+    codeSigning: ['1.3.6.1.5.5.7.3.3', 'Code Signing'],
+    emailProtection: ['1.3.6.1.5.5.7.3.4', 'E-mail Protection'],
+    timeStamping: ['1.3.6.1.5.5.7.3.8', 'Time Stamping'],
+    OCSPSigning: ['1.3.6.1.5.5.7.3.9', 'OCSP Signing'],
+    anyExtendedKeyUsage: ['2.5.29.37.0', 'Any Extended Key Usage']
+};
+
+const EXTENSION_REQUEST = '1.2.840.113549.1.9.14';
+const OCSP_ACCESS = '1.3.6.1.5.5.7.48.1';
+const CA_ISSUERS_ACCESS = '1.3.6.1.5.5.7.48.2';
+const ANY_POLICY = '2.5.29.32.0';
+const CPS_QUALIFIER = '1.3.6.1.5.5.7.2.1';
+
+// GeneralName context tags
+const GENERAL_NAMES = { email: 1, DNS: 2, URI: 6, IP: 7 };
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function toPem(der, label) {
+    return `-----BEGIN ${label}-----\n${der.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END ${label}-----\n`;
+}
+
+// DER bytes of the first PEM block with one of the given labels
+function fromPem(pem, labels) {
+    const match = String(pem).match(/-----BEGIN ([A-Z0-9 ]+)-----([\s\S]+?)-----END \1-----/);
+    if (!match || !labels.includes(match[1])) {
+        return null;
+    }
+    return Buffer.from(match[2].replace(/\s+/g, ''), 'base64');
+}
+
+// --- Encoding ---
+
+// openssl's string types for the default utf8only string mask
+function encodeNameValue(type, value) {
+    if (type === 'C') {
+        if (!/^[A-Za-z]{2}$/.test(value)) {
+            throw invalidInput('Country (C) must be a two-letter code');
+        }
+        return asn1.printableString(value);
+    }
+    if (type === 'serialNumber') {
+        if (!/^[A-Za-z0-9 '()+,\-./:=?]+$/.test(value)) {
+            throw invalidInput('serialNumber may only contain letters, digits, spaces and \'()+,-./:=?');
+        }
+        return asn1.printableString(value);
+    }
+    if (type === 'emailAddress' || type === 'DC') {
+        if (!/^[\x20-\x7e]+$/.test(value)) {
+            throw invalidInput(`${type} must be ASCII`);
+        }
+        return asn1.ia5String(value);
+    }
+    return asn1.utf8String(value);
+}
+
+function encodeName(subject) {
+    return asn1.sequence(...subject.map(({ type, value }) => {
+        if (!NAME_ATTRIBUTES[type]) {
+            throw invalidInput(`Unsupported subject attribute: ${type}`);
+        }
+        return asn1.set(asn1.sequence(asn1.oid(NAME_ATTRIBUTES[type]), encodeNameValue(type, value)));
+    }));
+}
+
+function ipAddressBytes(value) {
+    if (net.isIPv4(value)) {
+        return Buffer.from(value.split('.').map(Number));
+    }
+    if (net.isIPv6(value)) {
+        // Expand "::" and an embedded IPv4 tail into eight 16-bit groups
+        let address = value;
+        const ipv4 = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+        if (ipv4) {
+            const [a, b, c, d] = ipv4[1].split('.').map(Number);
+            address = address.replace(ipv4[1], `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`);
+        }
+        const [head, tail] = address.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+        const groups = tail === undefined
+            ? headGroups
+            : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+        return Buffer.from(groups.map(group => group.padStart(4, '0')).join(''), 'hex');
+    }
+    throw invalidInput(`Invalid IP address in Subject Alternative Name: ${value}`);
+}
+
+function encodeGeneralName({ type, value }) {
+    if (!(type in GENERAL_NAMES)) {
+        throw invalidInput(`Unsupported Subject Alternative Name type: ${type}`);
+    }
+    const content = type === 'IP'
+        ? asn1.octetString(ipAddressBytes(value))
+        : asn1.ia5String(value);
+    return asn1.implicit(GENERAL_NAMES[type], content);
+}
+
+// GeneralSubtree base of a name constraint: an IP range is the address followed by its mask
+function encodeSubtreeBase({ type, value }) {
+    if (type !== 'IP') {
+        return encodeGeneralName({ type, value });
+    }
+    const [address, mask] = value.split('/');
+    const bytes = Buffer.concat([ipAddressBytes(address), ipAddressBytes(mask || '')]);
+    return asn1.implicit(GENERAL_NAMES.IP, asn1.octetString(bytes));
+}
+
+function encodeNameConstraints({ permitted = [], excluded = [] }) {
+    const subtrees = (number, bases) => bases.length > 0
+        ? asn1.implicit(number, asn1.sequence(...bases.map(base => asn1.sequence(encodeSubtreeBase(base)))))
+        : null;
+    return asn1.sequence(subtrees(0, permitted), subtrees(1, excluded));
+}
+
+function encodeKeyUsage(values) {
+    let bits = 0;
+    for (const usage of values) {
+        const index = KEY_USAGES.findIndex(([name]) => name === usage);
+        if (index === -1) {
+            throw invalidInput(`Unknown key usage: ${usage}`);
+        }
+        bits |= 1 << (15 - index);
+    }
+
+    // DER: no trailing zero bytes, unused bits counted in the last byte
+    const bytes = Buffer.from([bits >> 8, bits & 0xff]).subarray(0, bits & 0xff ? 2 : 1);
+    if (bits === 0) {
+        return asn1.bitString(Buffer.alloc(0));
+    }
+    const last = bytes[bytes.length - 1];
+    let unused = 0;
+    while (!(last & (1 << unused))) unused++;
+    return asn1.bitString(bytes, unused);
+}
+
+function extension(oid, critical, value) {
+    return asn1.sequence(asn1.oid(oid), critical ? asn1.boolean(true) : null, asn1.octetString(value));
+}
+
+// SHA-1 of the subjectPublicKey BIT STRING, like openssl's subjectKeyIdentifier = hash
+function keyIdentifier(publicKeyInfo) {
+    const [, subjectPublicKey] = asn1.children(asn1.parse(publicKeyInfo));
+    return crypto.createHash('sha1').update(subjectPublicKey.content.subarray(1)).digest();
+}
+
+// Encode extensions in openssl config order. context: { publicKeyInfo, issuer: { keyId, name, serial } }
+function encodeExtensions(extensions, context = {}) {
+    const encoded = [];
+    const { basicConstraints, keyUsage, extendedKeyUsage, nameConstraints, certificatePolicies = [], subjectAltNames = [] } = extensions;
+
+    if (extensions.subjectKeyIdentifier) {
+        encoded.push(extension(EXTENSIONS.subjectKeyIdentifier, false,
+            asn1.octetString(keyIdentifier(context.publicKeyInfo))));
+    }
+
+    if (extensions.authorityKeyIdentifier && context.issuer) {
+        const { keyId, name, serial } = context.issuer;
+        encoded.push(extension(EXTENSIONS.authorityKeyIdentifier, false, keyId
+            ? asn1.sequence(asn1.implicit(0, asn1.octetString(keyId)))
+            : asn1.sequence(
+                asn1.encode(0xa1, asn1.explicit(4, name)),
+                asn1.implicit(2, asn1.integer(serial))
+            )));
+    }
+
+    if (basicConstraints) {
+        encoded.push(extension(EXTENSIONS.basicConstraints, basicConstraints.critical, asn1.sequence(
+            basicConstraints.ca ? asn1.boolean(true) : null,
+            basicConstraints.ca && Number.isInteger(basicConstraints.pathlen) ? asn1.integer(basicConstraints.pathlen) : null
+        )));
+    }
+
+    if (keyUsage && keyUsage.values.length > 0) {
+        encoded.push(extension(EXTENSIONS.keyUsage, keyUsage.critical, encodeKeyUsage(keyUsage.values)));
+    }
+
+    if (extendedKeyUsage && extendedKeyUsage.values.length > 0) {
+        encoded.push(extension(EXTENSIONS.extendedKeyUsage, extendedKeyUsage.critical, asn1.sequence(
+            ...extendedKeyUsage.values.map(usage => {
+                if (!EXTENDED_KEY_USAGES[usage]) {
+                    throw invalidInput(`Unknown extended key usage: ${usage}`);
+                }
+                return asn1.oid(EXTENDED_KEY_USAGES[usage][0]);
+            })
+        )));
+    }
+
+    if (nameConstraints && (nameConstraints.permitted || []).length + (nameConstraints.excluded || []).length > 0) {
+        encoded.push(extension(EXTENSIONS.nameConstraints, true, encodeNameConstraints(nameConstraints)));
+    }
+
+    if (certificatePolicies.length > 0) {
+        encoded.push(extension(EXTENSIONS.certificatePolicies, false,
+            asn1.sequence(...certificatePolicies.map(policy => asn1.sequence(asn1.oid(policy))))));
+    }
+
+    if (subjectAltNames.length > 0) {
+        encoded.push(extension(EXTENSIONS.subjectAltName, false,
+            asn1.sequence(...subjectAltNames.map(encodeGeneralName))));
+    }
+
+    if (extensions.crlDistributionPoint) {
+        const fullName = asn1.implicit(0, asn1.sequence(encodeGeneralName({ type: 'URI', value: extensions.crlDistributionPoint })));
+        encoded.push(extension(EXTENSIONS.crlDistributionPoints, false,
+            asn1.sequence(asn1.sequence(asn1.explicit(0, fullName)))));
+    }
+
+    if (extensions.ocspUrl) {
+        encoded.push(extension(EXTENSIONS.authorityInfoAccess, false, asn1.sequence(asn1.sequence(
+            asn1.oid(OCSP_ACCESS),
+            encodeGeneralName({ type: 'URI', value: extensions.ocspUrl })
+        ))));
+    }
+
+    if (extensions.ocspNoCheck) {
+        encoded.push(extension(EXTENSIONS.ocspNoCheck, false, asn1.nullValue()));
+    }
+
+    return encoded;
+}
+
+// Digest a key signs with: P-384 uses SHA-384, P-521 SHA-512, other EC curves and RSA SHA-256.
+// Ed25519 hashes internally and takes none.
+function digestFor(privateKey) {
+    if (privateKey.asymmetricKeyType === 'ec') {
+        const { namedCurve } = privateKey.asymmetricKeyDetails;
+        return namedCurve === 'secp384r1' ? 'sha384' : namedCurve === 'secp521r1' ? 'sha512' : 'sha256';
+    }
+    if (privateKey.asymmetricKeyType === 'rsa') {
+        return 'sha256';
+    }
+    if (privateKey.asymmetricKeyType === 'ed25519') {
+        return null;
+    }
+    throw invalidInput(`Unsupported signing key type: ${privateKey.asymmetricKeyType}`);
+}
+
+// Signature algorithm and hash matching the signing key
+function signatureAlgorithm(privateKey) {
+    const hash = digestFor(privateKey);
+    if (privateKey.asymmetricKeyType === 'ec') {
+        const oid = { sha256: '1.2.840.10045.4.3.2', sha384: '1.2.840.10045.4.3.3', sha512: '1.2.840.10045.4.3.4' }[hash];
+        return { hash, identifier: asn1.sequence(asn1.oid(oid)) };
+    }
+    if (privateKey.asymmetricKeyType === 'rsa') {
+        return { hash, identifier: asn1.sequence(asn1.oid('1.2.840.113549.1.1.11'), asn1.nullValue()) };
+    }
+    return { hash, identifier: asn1.sequence(asn1.oid('1.3.101.112')) };
+}
+
+function signed(body, privateKey) {
+    const algorithm = signatureAlgorithm(privateKey);
+    const signature = crypto.sign(algorithm.hash, body, privateKey);
+    return asn1.sequence(body, algorithm.identifier, asn1.bitString(signature));
+}
+
+function publicKeyInfoOf(key) {
+    return crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+}
+
+// PKCS#10 request signed by privateKey (a KeyObject)
+function buildRequest({ privateKey, subject, extensions }) {
+    const encodedExtensions = encodeExtensions(extensions);
+    const attributes = encodedExtensions.length > 0
+        ? asn1.sequence(asn1.oid(EXTENSION_REQUEST), asn1.set(asn1.sequence(...encodedExtensions)))
+        : null;
+
+    const info = asn1.sequence(
+        asn1.integer(0),
+        encodeName(subject),
+        publicKeyInfoOf(privateKey),
+        asn1.encode(0xa0, attributes || Buffer.alloc(0))
+    );
+
+    return signed(info, privateKey);
+}
+
+// Certificate for a subject name and public key, signed by issuer.privateKey.
+// issuer: { privateKey, name (DER), keyId, serial } - the subject itself when self-signed
+function buildCertificate({ serial, subjectName, publicKeyInfo, notBefore, notAfter, extensions, issuer }) {
+    const algorithm = signatureAlgorithm(issuer.privateKey);
+    const encodedExtensions = encodeExtensions(extensions, { publicKeyInfo, issuer });
+
+    const tbs = asn1.sequence(
+        asn1.explicit(0, asn1.integer(2)),
+        asn1.integer(serial),
+        algorithm.identifier,
+        issuer.name,
+        asn1.sequence(asn1.time(notBefore), asn1.time(notAfter)),
+        subjectName,
+        publicKeyInfo,
+        encodedExtensions.length > 0 ? asn1.explicit(3, asn1.sequence(...encodedExtensions)) : null
+    );
+
+    return signed(tbs, issuer.privateKey);
+}
+
+// --- Parsing ---
+
+function decodeName(node) {
+    return asn1.children(node).flatMap(rdn => asn1.children(rdn).map(attribute => {
+        const [type, value] = asn1.children(attribute);
+        const oid = asn1.decodeOid(type);
+        return {
+            type: Object.keys(NAME_ATTRIBUTES).find(name => NAME_ATTRIBUTES[name] === oid) || oid,
+            value: asn1.decodeString(value)
+        };
+    }));
+}
+
+function decodeExtensions(node) {
+    return asn1.children(node).map(ext => {
+        const items = asn1.children(ext);
+        const critical = items.length === 3 && items[1].content[0] !== 0;
+        return {
+            oid: asn1.decodeOid(items[0]),
+            critical,
+            value: items[items.length - 1].content
+        };
+    });
+}
+
+function decodeAlgorithm(node) {
+    const oid = asn1.decodeOid(asn1.children(node)[0]);
+    return SIGNATURE_ALGORITHMS[oid] || oid;
+}
+
+function parseCertificate(der) {
+    const [tbs, algorithm, signature] = asn1.children(asn1.parse(der));
+    const fields = asn1.children(tbs);
+    const hasVersion = fields[0].tag === 0xa0;
+    const [serial, , issuer, validity, subject, publicKeyInfo, ...optional] = hasVersion ? fields.slice(1) : fields;
+    const [notBefore, notAfter] = asn1.children(validity);
+    const extensionsNode = optional.find(node => node.tag === 0xa3);
+
+    return {
+        der,
+        tbs: tbs.raw,
+        version: hasVersion ? asn1.decodeInteger(asn1.decode(fields[0].content))[0] + 1 : 1,
+        serialNumber: asn1.decodeInteger(serial),
+        signatureAlgorithm: decodeAlgorithm(algorithm),
+        issuer: decodeName(issuer),
+        issuerName: issuer.raw,
+        notBefore: asn1.decodeTime(notBefore),
+        notAfter: asn1.decodeTime(notAfter),
+        subject: decodeName(subject),
+        subjectName: subject.raw,
+        publicKeyInfo: publicKeyInfo.raw,
+        extensions: extensionsNode ? decodeExtensions(asn1.decode(extensionsNode.content)) : [],
+        signature: signature.content.subarray(1)
+    };
+}
+
+function parseRequest(der) {
+    const [info, algorithm, signature] = asn1.children(asn1.parse(der));
+    const [version, subject, publicKeyInfo, attributes] = asn1.children(info);
+
+    let extensions = null;
+    const otherAttributes = [];
+    for (const attribute of attributes ? asn1.children(attributes) : []) {
+        const [type, values] = asn1.children(attribute);
+        if (asn1.decodeOid(type) === EXTENSION_REQUEST) {
+            extensions = decodeExtensions(asn1.children(values)[0]);
+        } else {
+            otherAttributes.push(asn1.decodeOid(type));
+        }
+    }
+
+    return {
+        der,
+        info: info.raw,
+        version: asn1.decodeInteger(version)[0],
+        subject: decodeName(subject),
+        subjectName: subject.raw,
+        publicKeyInfo: publicKeyInfo.raw,
+        extensions,
+        otherAttributes,
+        signatureAlgorithm: decodeAlgorithm(algorithm),
+        signature: signature.content.subarray(1)
+    };
+}
+
+// Hash used by a signature algorithm name, null for Ed25519 (which hashes internally)
+function signatureHash(name) {
+    const match = name.match(/sha(1|256|384|512)/i);
+    return match ? `sha${match[1]}` : /md5/i.test(name) ? 'md5' : null;
+}
+
+// Verify the signature over data (a TBSCertificate or CertificationRequestInfo)
+function verifySignature(data, signatureAlgorithmName, signature, publicKey) {
+    try {
+        return crypto.verify(signatureHash(signatureAlgorithmName), data, publicKey, signature);
+    } catch (e) {
+        return false;
+    }
+}
+
+function verifyRequest(request) {
+    return verifySignature(request.info, request.signatureAlgorithm, request.signature,
+        crypto.createPublicKey({ key: request.publicKeyInfo, format: 'der', type: 'spki' }));
+}
+
+function findExtension(parsed, oid) {
+    return (parsed.extensions || []).find(ext => ext.oid === oid) || null;
+}
+
+function subjectKeyIdentifier(cert) {
+    const ext = findExtension(cert, EXTENSIONS.subjectKeyIdentifier);
+    return ext ? asn1.parse(ext.value).content : null;
+}
+
+function decodeBasicConstraints(value) {
+    const items = asn1.children(asn1.parse(value));
+    const ca = items.length > 0 && items[0].tag === asn1.TAGS.BOOLEAN && items[0].content[0] !== 0;
+    const pathlen = items.find(item => item.tag === asn1.TAGS.INTEGER);
+    return { ca, pathlen: pathlen ? asn1.decodeInteger(pathlen).readUIntBE(0, asn1.decodeInteger(pathlen).length) : null };
+}
+
+function decodeGeneralName(node) {
+    const type = Object.keys(GENERAL_NAMES).find(name => GENERAL_NAMES[name] === node.number);
+    if (node.number === 4) {
+        return { type: 'DirName', value: decodeName(asn1.decode(node.content)) };
+    }
+    if (type === 'IP') {
+        return { type, value: formatIpBytes(node.content) };
+    }
+    return { type: type || `[${node.number}]`, value: node.content.toString('latin1') };
+}
+
+// Address or mask bytes as text, IPv6 in openssl's uncompressed upper case groups
+function formatIpBytes(bytes) {
+    return bytes.length === 4
+        ? [...bytes].join('.')
+        : Array.from({ length: bytes.length / 2 }, (_, i) => bytes.readUInt16BE(i * 2).toString(16).toUpperCase()).join(':');
+}
+
+// { permitted: [{ type, value }], excluded: [...] }, IP ranges as "address/mask"
+function decodeNameConstraints(value) {
+    const constraints = { permitted: [], excluded: [] };
+    for (const subtrees of asn1.children(asn1.parse(value))) {
+        const list = subtrees.number === 0 ? constraints.permitted : constraints.excluded;
+        for (const subtree of asn1.children(subtrees)) {
+            const [base] = asn1.children(subtree);
+            if (base.number === GENERAL_NAMES.IP) {
+                const half = base.content.length / 2;
+                list.push({
+                    type: 'IP',
+                    value: `${formatIpBytes(base.content.subarray(0, half))}/${formatIpBytes(base.content.subarray(half))}`
+                });
+            } else {
+                list.push(decodeGeneralName(base));
+            }
+        }
+    }
+    return constraints;
+}
+
+// [{ policy, cps: [url] }]
+function decodeCertificatePolicies(value) {
+    return asn1.children(asn1.parse(value)).map(info => {
+        const [policy, qualifiers] = asn1.children(info);
+        const cps = qualifiers
+            ? asn1.children(qualifiers)
+                .map(asn1.children)
+                .filter(([id]) => asn1.decodeOid(id) === CPS_QUALIFIER)
+                .map(([, uri]) => uri.content.toString('latin1'))
+            : [];
+        return { policy: asn1.decodeOid(policy), cps };
+    });
+}
+
+// --- Text output ---
+
+function hexPairs(buffer, upper = false) {
+    const hex = [...buffer].map(byte => byte.toString(16).padStart(2, '0'));
+    return (upper ? hex.map(pair => pair.toUpperCase()) : hex).join(':');
+}
+
+// Colon separated hex dump, perLine bytes per line, each line but the last ending in ':'
+function hexDump(buffer, indent, perLine) {
+    const lines = [];
+    for (let offset = 0; offset < buffer.length; offset += perLine) {
+        const chunk = hexPairs(buffer.subarray(offset, offset + perLine));
+        lines.push(`${' '.repeat(indent)}${chunk}${offset + perLine < buffer.length ? ':' : ''}`);
+    }
+    return lines;
+}
+
+// "C = US, O = "A, Inc", CN = dev 1" as in openssl -text
+function formatName(name) {
+    return name.map(({ type, value }) => {
+        const quoted = /[,+"\\<>;]|^[ #]| $/.test(value)
+            ? `"${value.replace(/(["\\])/g, '\\$1')}"`
+            : value;
+        return `${type} = ${quoted}`;
+    }).join(', ');
+}
+
+// RFC 2253 as printed by openssl -nameopt RFC2253: reversed, backslash escapes, UTF-8 as \XX
+function formatNameRfc2253(name) {
+    return [...name].reverse().map(({ type, value }) => {
+        const escaped = [...Buffer.from(value, 'utf8')].map((byte, index, bytes) => {
+            const char = String.fromCharCode(byte);
+            if (byte >= 0x80 || byte < 0x20 || byte === 0x7f) return `\\${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+            if (/[,+"\\<>;]/.test(char)) return `\\${char}`;
+            if ((index === 0 && (char === '#' || char === ' ')) || (index === bytes.length - 1 && char === ' ')) return `\\${char}`;
+            return char;
+        }).join('');
+        return `${type}=${escaped}`;
+    }).join(',');
+}
+
+function formatNameSlashes(name) {
+    return name.map(({ type, value }) => `/${type}=${value}`).join('');
+}
+
+function formatTime(date) {
+    const month = date.toUTCString().split(' ')[2];
+    const pad = value => String(value).padStart(2, '0');
+    return `${month} ${String(date.getUTCDate()).padStart(2, ' ')} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${date.getUTCFullYear()} GMT`;
+}
+
+// Key type, size and curve of a SubjectPublicKeyInfo
+function describePublicKey(publicKeyInfo) {
+    const [algorithm, subjectPublicKey] = asn1.children(asn1.parse(publicKeyInfo));
+    const [algorithmOid, parameters] = asn1.children(algorithm);
+    const oid = asn1.decodeOid(algorithmOid);
+    const keyBits = subjectPublicKey.content.subarray(1);
+
+    if (KEY_ALGORITHMS[oid] === 'id-ecPublicKey') {
+        const curveOid = parameters && parameters.tag === asn1.TAGS.OID ? asn1.decodeOid(parameters) : null;
+        const curve = CURVES[curveOid] || { name: curveOid, nist: null, bits: (keyBits.length - 1) * 4 };
+        return { type: 'EC', algorithm: 'id-ecPublicKey', bits: curve.bits, curve: curve.name, nistCurve: curve.nist, point: keyBits };
+    }
+    if (KEY_ALGORITHMS[oid] === 'rsaEncryption') {
+        const [modulus, exponent] = asn1.children(asn1.parse(keyBits));
+        const magnitude = asn1.decodeInteger(modulus);
+        return {
+            type: 'RSA',
+            algorithm: 'rsaEncryption',
+            bits: magnitude.length * 8 - Math.clz32(magnitude[0]) + 24,
+            modulus: modulus.content,
+            exponent: asn1.decodeInteger(exponent).readUIntBE(0, asn1.decodeInteger(exponent).length)
+        };
+    }
+    if (KEY_ALGORITHMS[oid] === 'ED25519') {
+        return { type: 'ED25519', algorithm: 'ED25519', bits: 256, point: keyBits };
+    }
+    return { type: oid, algorithm: oid, bits: null, point: keyBits };
+}
+
+function publicKeyLines(publicKeyInfo, indent) {
+    const key = describePublicKey(publicKeyInfo);
+    const pad = ' '.repeat(indent);
+    const lines = [`${pad}Public Key Algorithm: ${key.algorithm}`];
+
+    if (key.type === 'EC') {
+        lines.push(`${pad}    Public-Key: (${key.bits} bit)`, `${pad}    pub:`, ...hexDump(key.point, indent + 8, 15));
+        lines.push(`${pad}    ASN1 OID: ${key.curve}`);
+        if (key.nistCurve) lines.push(`${pad}    NIST CURVE: ${key.nistCurve}`);
+    } else if (key.type === 'RSA') {
+        lines.push(`${pad}    Public-Key: (${key.bits} bit)`, `${pad}    Modulus:`, ...hexDump(key.modulus, indent + 8, 15));
+        lines.push(`${pad}    Exponent: ${key.exponent} (0x${key.exponent.toString(16)})`);
+    } else if (key.type === 'ED25519') {
+        lines.push(`${pad}    ED25519 Public-Key:`, `${pad}    pub:`, ...hexDump(key.point, indent + 8, 15));
+    } else {
+        lines.push(...hexDump(key.point, indent + 4, 15));
+    }
+
+    return lines;
+}
+
+// Value lines of one extension, at the given indent
+function extensionValueLines({ oid, value }, indent) {
+    const pad = ' '.repeat(indent);
+
+    switch (oid) {
+        case EXTENSIONS.subjectKeyIdentifier:
+            return [`${pad}${hexPairs(asn1.parse(value).content, true)}`];
+
+        case EXTENSIONS.authorityKeyIdentifier:
+            return asn1.children(asn1.parse(value)).map(item => {
+                if (item.number === 0) return `${pad}${hexPairs(item.content, true)}`;
+                if (item.number === 1) return `${pad}DirName:${formatNameSlashes(decodeGeneralName(asn1.decode(item.content)).value)}`;
+                return `${pad}serial:${hexPairs(item.content, true)}`;
+            });
+
+        case EXTENSIONS.basicConstraints: {
+            const { ca, pathlen } = decodeBasicConstraints(value);
+            return [`${pad}CA:${ca ? 'TRUE' : 'FALSE'}${pathlen !== null ? `, pathlen:${pathlen}` : ''}`];
+        }
+
+        case EXTENSIONS.keyUsage:
+            return [`${pad}${decodeKeyUsage(value).map(usage => KEY_USAGES.find(([name]) => name === usage)[1]).join(', ')}`];
+
+        case EXTENSIONS.extendedKeyUsage:
+            return [`${pad}${decodeExtendedKeyUsage(value).map(usage => EXTENDED_KEY_USAGES[usage] ? EXTENDED_KEY_USAGES[usage][1] : usage).join(', ')}`];
+
+        case EXTENSIONS.subjectAltName:
+            return [`${pad}${decodeSubjectAltNames(value).map(({ type, value: name }) =>
+                type === 'DirName' ? `DirName:${formatNameSlashes(name)}` : `${type === 'IP' ? 'IP Address' : type}:${name}`).join(', ')}`];
+
+        case EXTENSIONS.nameConstraints: {
+            const { permitted, excluded } = decodeNameConstraints(value);
+            const names = list => list.map(({ type, value: name }) =>
+                `${pad}  ${type === 'DirName' ? `DirName:${formatNameSlashes(name)}` : `${type}:${name}`}`);
+            return [
+                ...(permitted.length > 0 ? [`${pad}Permitted:`, ...names(permitted)] : []),
+                ...(excluded.length > 0 ? [`${pad}Excluded:`, ...names(excluded)] : [])
+            ];
+        }
+
+        case EXTENSIONS.certificatePolicies:
+            return decodeCertificatePolicies(value).flatMap(({ policy, cps }) => [
+                `${pad}Policy: ${policy === ANY_POLICY ? 'X509v3 Any Policy' : policy}`,
+                ...cps.map(uri => `${pad}  CPS: ${uri}`)
+            ]);
+
+        case EXTENSIONS.crlDistributionPoints:
+            return asn1.children(asn1.parse(value)).flatMap(point => {
+                const distributionPoint = asn1.children(point).find(item => item.number === 0 && item.tagClass === 2);
+                if (!distributionPoint) return [];
+                const fullName = asn1.decode(distributionPoint.content);
+                return [`${pad}Full Name:`, ...asn1.children(fullName).map(name => {
+                    const { type, value: uri } = decodeGeneralName(name);
+                    return `${pad}  ${type}:${uri}`;
+                })];
+            });
+
+        case EXTENSIONS.authorityInfoAccess:
+            return asn1.children(asn1.parse(value)).map(description => {
+                const [method, location] = asn1.children(description);
+                const methodOid = asn1.decodeOid(method);
+                const label = methodOid === OCSP_ACCESS ? 'OCSP' : methodOid === CA_ISSUERS_ACCESS ? 'CA Issuers' : methodOid;
+                const { type, value: uri } = decodeGeneralName(location);
+                return `${pad}${label} - ${type}:${uri}`;
+            });
+
+        case EXTENSIONS.ocspNoCheck:
+            return [''];
+
+        default:
+            return hexDump(value, indent, 18);
+    }
+}
+
+function extensionLines(extensions, indent) {
+    return extensions.flatMap(ext => {
+        let valueLines;
+        try {
+            valueLines = extensionValueLines(ext, indent + 4);
+        } catch (e) {
+            valueLines = hexDump(ext.value, indent + 4, 18);
+        }
+        return [
+            `${' '.repeat(indent)}${EXTENSION_LABELS[ext.oid] || ext.oid}: ${ext.critical ? 'critical' : ''}`,
+            ...valueLines
+        ];
+    });
+}
+
+function serialLines(serialNumber) {
+    const value = BigInt(`0x${serialNumber.toString('hex') || '0'}`);
+    if (serialNumber.length <= 8 && value < 2n ** 63n) {
+        return [`        Serial Number: ${value} (0x${value.toString(16)})`];
+    }
+    return ['        Serial Number:', `            ${hexPairs(serialNumber)}`];
+}
+
+function signatureLines(algorithm, signature) {
+    return [
+        `    Signature Algorithm: ${algorithm}`,
+        '    Signature Value:',
+        ...hexDump(signature, 8, 18)
+    ];
+}
+
+function certificateText(cert) {
+    return [
+        'Certificate:',
+        '    Data:',
+        `        Version: ${cert.version} (0x${(cert.version - 1).toString(16)})`,
+        ...serialLines(cert.serialNumber),
+        `        Signature Algorithm: ${cert.signatureAlgorithm}`,
+        `        Issuer: ${formatName(cert.issuer)}`,
+        '        Validity',
+        `            Not Before: ${formatTime(cert.notBefore)}`,
+        `            Not After : ${formatTime(cert.notAfter)}`,
+        `        Subject: ${formatName(cert.subject)}`,
+        '        Subject Public Key Info:',
+        ...publicKeyLines(cert.publicKeyInfo, 12),
+        ...(cert.extensions.length > 0 ? ['        X509v3 extensions:', ...extensionLines(cert.extensions, 12)] : []),
+        ...signatureLines(cert.signatureAlgorithm, cert.signature)
+    ].join('\n') + '\n';
+}
+
+function requestText(request) {
+    const attributes = request.extensions
+        ? ['            Requested Extensions:', ...extensionLines(request.extensions, 16)]
+        : ['            (none)', '            Requested Extensions:'];
+
+    return [
+        'Certificate Request:',
+        '    Data:',
+        `        Version: ${request.version + 1} (0x${request.version.toString(16)})`,
+        `        Subject: ${formatName(request.subject)}`,
+        '        Subject Public Key Info:',
+        ...publicKeyLines(request.publicKeyInfo, 12),
+        '        Attributes:',
+        ...request.otherAttributes.map(oid => `            ${oid}`),
+        ...attributes,
+        ...signatureLines(request.signatureAlgorithm, request.signature)
+    ].join('\n') + '\n';
+}
+
+// --- Structured output ---
+// The same content as certificateText/requestText as plain JSON: names as RDN arrays plus their
+// RFC 2253 string, hex as colon separated upper case pairs like openssl, every extension decoded.
+
+function generalNameDetails(name) {
+    const { type, value } = decodeGeneralName(name);
+    return { type, value: type === 'DirName' ? formatNameRfc2253(value) : value };
+}
+
+// Decoded value of one extension; extensions this module does not know stay hex
+function extensionValue({ oid, value }) {
+    switch (oid) {
+        case EXTENSIONS.subjectKeyIdentifier:
+            return hexPairs(asn1.parse(value).content, true);
+
+        case EXTENSIONS.authorityKeyIdentifier: {
+            const details = { keyIdentifier: null, issuer: [], serial: null };
+            for (const item of asn1.children(asn1.parse(value))) {
+                if (item.number === 0) details.keyIdentifier = hexPairs(item.content, true);
+                if (item.number === 1) details.issuer = asn1.children(item).map(generalNameDetails);
+                if (item.number === 2) details.serial = hexPairs(item.content, true);
+            }
+            return details;
+        }
+
+        case EXTENSIONS.basicConstraints:
+            return decodeBasicConstraints(value);
+
+        case EXTENSIONS.keyUsage:
+            return decodeKeyUsage(value);
+
+        case EXTENSIONS.extendedKeyUsage:
+            return asn1.children(asn1.parse(value)).map(item => {
+                const usageOid = asn1.decodeOid(item);
+                const name = Object.keys(EXTENDED_KEY_USAGES).find(usage => EXTENDED_KEY_USAGES[usage][0] === usageOid);
+                return { oid: usageOid, name: name || null, description: name ? EXTENDED_KEY_USAGES[name][1] : null };
+            });
+
+        case EXTENSIONS.subjectAltName:
+            return asn1.children(asn1.parse(value)).map(generalNameDetails);
+
+        case EXTENSIONS.nameConstraints: {
+            const { permitted, excluded } = decodeNameConstraints(value);
+            const bases = list => list.map(({ type, value: name }) =>
+                ({ type, value: type === 'DirName' ? formatNameRfc2253(name) : name }));
+            return { permitted: bases(permitted), excluded: bases(excluded) };
+        }
+
+        case EXTENSIONS.certificatePolicies:
+            return decodeCertificatePolicies(value);
+
+        case EXTENSIONS.crlDistributionPoints:
+            return asn1.children(asn1.parse(value)).flatMap(point => {
+                const distributionPoint = asn1.children(point).find(item => item.number === 0 && item.tagClass === 2);
+                if (!distributionPoint) return [];
+                return asn1.children(asn1.decode(distributionPoint.content)).map(generalNameDetails);
+            });
+
+        case EXTENSIONS.authorityInfoAccess:
+            return asn1.children(asn1.parse(value)).map(description => {
+                const [method, location] = asn1.children(description);
+                const methodOid = asn1.decodeOid(method);
+                return {
+                    method: methodOid === OCSP_ACCESS ? 'OCSP' : methodOid === CA_ISSUERS_ACCESS ? 'CA Issuers' : methodOid,
+                    ...generalNameDetails(location)
+                };
+            });
+
+        case EXTENSIONS.ocspNoCheck:
+            return true;
+
+        default:
+            return { der: hexPairs(value, true) };
+    }
+}
+
+function extensionDetails(extensions) {
+    return extensions.map(ext => {
+        let value;
+        try {
+            value = extensionValue(ext);
+        } catch (e) {
+            value = { der: hexPairs(ext.value, true), error: 'Could not be decoded' };
+        }
+        return { oid: ext.oid, name: EXTENSION_LABELS[ext.oid] || ext.oid, critical: ext.critical, value };
+    });
+}
+
+function publicKeyDetails(publicKeyInfo) {
+    const key = describePublicKey(publicKeyInfo);
+    return {
+        type: key.type,
+        algorithm: key.algorithm,
+        bits: key.bits,
+        ...(key.type === 'EC' && { curve: key.curve, nistCurve: key.nistCurve }),
+        ...(key.type === 'RSA' && { exponent: key.exponent }),
+        spkiSha256: hexPairs(crypto.createHash('sha256').update(publicKeyInfo).digest(), true)
+    };
+}
+
+function certificateDetails(cert) {
+    const fingerprint = algorithm => hexPairs(crypto.createHash(algorithm).update(cert.der).digest(), true);
+    const authorityKey = findExtension(cert, EXTENSIONS.authorityKeyIdentifier);
+    const subjectKey = subjectKeyIdentifier(cert);
+    const selfIssued = cert.subjectName.equals(cert.issuerName);
+
+    return {
+        version: cert.version,
+        serial: cert.serialNumber.toString('hex').toUpperCase(),
+        subject: cert.subject,
+        subjectDn: formatNameRfc2253(cert.subject),
+        issuer: cert.issuer,
+        issuerDn: formatNameRfc2253(cert.issuer),
+        validity: { notBefore: cert.notBefore.toISOString(), notAfter: cert.notAfter.toISOString() },
+        publicKey: publicKeyDetails(cert.publicKeyInfo),
+        signatureAlgorithm: cert.signatureAlgorithm,
+        fingerprints: { sha1: fingerprint('sha1'), sha256: fingerprint('sha256') },
+        subjectKeyIdentifier: subjectKey ? hexPairs(subjectKey, true) : null,
+        authorityKeyIdentifier: authorityKey ? extensionDetails([authorityKey])[0].value.keyIdentifier || null : null,
+        selfSigned: selfIssued && verifySignature(cert.tbs, cert.signatureAlgorithm, cert.signature,
+            crypto.createPublicKey({ key: cert.publicKeyInfo, format: 'der', type: 'spki' })),
+        extensions: extensionDetails(cert.extensions)
+    };
+}
+
+function requestDetails(request) {
+    return {
+        version: request.version + 1,
+        subject: request.subject,
+        subjectDn: formatNameRfc2253(request.subject),
+        publicKey: publicKeyDetails(request.publicKeyInfo),
+        signatureAlgorithm: request.signatureAlgorithm,
+        signatureValid: verifyRequest(request),
+        attributes: request.otherAttributes,
+        extensions: extensionDetails(request.extensions || [])
+    };
+}
+
+function decodeKeyUsage(value) {
+    const bitString = asn1.parse(value).content;
+    const bits = ((bitString[1] || 0) << 8) | (bitString[2] || 0);
+    return KEY_USAGES.filter((_, index) => bits & (1 << (15 - index))).map(([name]) => name);
+}
+
+function decodeExtendedKeyUsage(value) {
+    return asn1.children(asn1.parse(value)).map(item => {
+        const oid = asn1.decodeOid(item);
+        return Object.keys(EXTENDED_KEY_USAGES).find(name => EXTENDED_KEY_USAGES[name][0] === oid) || oid;
+    });
+}
+
+function decodeSubjectAltNames(value) {
+    return asn1.children(asn1.parse(value)).map(decodeGeneralName);
+}
+
+// Key, signature algorithm and the profile-relevant extensions of a parsed certificate or request,
+// in the shape lib/csr-lint.js, lib/renewal.js and the signing checks work with
+function usageView(parsed) {
+    const key = describePublicKey(parsed.publicKeyInfo);
+    const extensions = {};
+    const other = {};
+
+    for (const ext of parsed.extensions || []) {
+        if (ext.oid === EXTENSIONS.keyUsage) {
+            extensions.keyUsage = { critical: ext.critical, values: decodeKeyUsage(ext.value) };
+        } else if (ext.oid === EXTENSIONS.extendedKeyUsage) {
+            extensions.extendedKeyUsage = { critical: ext.critical, values: decodeExtendedKeyUsage(ext.value) };
+        } else if (ext.oid === EXTENSIONS.subjectAltName) {
+            extensions.subjectAltNames = extensionValue(ext);
+        } else if (ext.oid === EXTENSIONS.basicConstraints) {
+            extensions.basicConstraints = { critical: ext.critical, ...decodeBasicConstraints(ext.value) };
+        } else if (ext.oid === EXTENSIONS.crlDistributionPoints) {
+            const uri = extensionValue(ext).find(name => name.type === 'URI');
+            extensions.crlDistributionPoint = uri ? uri.value : null;
+        } else if (ext.oid === EXTENSIONS.authorityInfoAccess && extensionValue(ext).some(item => item.method === 'OCSP')) {
+            extensions.ocspUrl = extensionValue(ext).find(item => item.method === 'OCSP').value;
+        } else {
+            other[EXTENSION_LABELS[ext.oid] || ext.oid] = { critical: ext.critical, value: extensionValue(ext) };
+        }
+    }
+
+    if (Object.keys(other).length > 0) {
+        extensions.other = other;
+    }
+
+    return {
+        publicKey: { type: key.type, algorithm: key.algorithm, bits: key.bits, curve: key.curve || null, nistCurve: key.nistCurve || null },
+        signatureAlgorithm: parsed.signatureAlgorithm,
+        extensions
+    };
+}
+
+module.exports = {
+    EXTENSIONS,
+    CURVES,
+    toPem,
+    fromPem,
+    encodeName,
+    keyIdentifier,
+    digestFor,
+    buildRequest,
+    buildCertificate,
+    parseCertificate,
+    parseRequest,
+    verifySignature,
+    verifyRequest,
+    findExtension,
+    subjectKeyIdentifier,
+    decodeBasicConstraints,
+    decodeKeyUsage,
+    decodeExtendedKeyUsage,
+    decodeSubjectAltNames,
+    usageView,
+    decodeNameConstraints,
+    decodeCertificatePolicies,
+    ipAddressBytes,
+    describePublicKey,
+    formatName,
+    formatNameRfc2253,
+    certificateText,
+    requestText,
+    publicKeyDetails,
+    certificateDetails,
+    requestDetails
+};
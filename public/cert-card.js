@@ -0,0 +1,177 @@
+// Readable cards for the certDetailsJson / csrDetailsJson the API returns next to the openssl
+// text, and a side-by-side table for POST /api/compare. The card styles are added to the page
+// the first time one is rendered, so the pages only need the script.
+(function () {
+    const STYLES = `
+        .cert-card { background: white; border: 1px solid #e1e8ed; border-radius: 6px; padding: 12px 15px; font-size: 13px; }
+        .cert-card h4 { color: #333; font-size: 15px; margin-bottom: 8px; word-break: break-all; }
+        .cert-card .badge { display: inline-block; font-size: 11px; font-weight: 600; padding: 2px 8px; border-radius: 10px; margin: 0 4px 8px 0; background: #eef1fd; color: #4c5fd5; }
+        .cert-card .badge.bad { background: #fee; color: #c0392b; }
+        .cert-card .badge.ok { background: #d4edda; color: #155724; }
+        .cert-card table { width: 100%; border-collapse: collapse; }
+        .cert-card th, .cert-card td { text-align: left; vertical-align: top; padding: 4px 6px; border-bottom: 1px solid #f0f2f5; word-break: break-all; }
+        .cert-card th { color: #666; font-weight: 600; width: 34%; word-break: normal; }
+        .cert-card .section th { color: #667eea; padding-top: 10px; }
+        .cert-card code { font-family: 'Courier New', monospace; font-size: 12px; }
+        .cert-compare { width: 100%; border-collapse: collapse; font-size: 13px; margin-top: 15px; }
+        .cert-compare th, .cert-compare td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid #e1e8ed; word-break: break-all; }
+        .cert-compare thead th { background: #f8f9fa; color: #555; }
+        .cert-compare tr.differs td { background: #fff3cd; }
+        .cert-compare td.field { font-weight: 600; color: #555; width: 20%; word-break: normal; }
+    `;
+
+    const EXTENSION_OIDS = {
+        subjectKeyIdentifier: '2.5.29.14',
+        keyUsage: '2.5.29.15',
+        subjectAltName: '2.5.29.17',
+        basicConstraints: '2.5.29.19',
+        nameConstraints: '2.5.29.30',
+        crlDistributionPoints: '2.5.29.31',
+        certificatePolicies: '2.5.29.32',
+        authorityKeyIdentifier: '2.5.29.35',
+        extendedKeyUsage: '2.5.29.37',
+        authorityInfoAccess: '1.3.6.1.5.5.7.1.1',
+        ocspNoCheck: '1.3.6.1.5.5.7.48.1.5'
+    };
+
+    function addStyles() {
+        if (document.getElementById('cert-card-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'cert-card-styles';
+        style.textContent = STYLES;
+        document.head.appendChild(style);
+    }
+
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function names(list) {
+        return list.map(({ type, value }) => `${type}:${value}`);
+    }
+
+    // Lines of one decoded extension value, as text
+    function extensionLines({ oid, value }) {
+        switch (oid) {
+            case EXTENSION_OIDS.basicConstraints:
+                return [`CA: ${value.ca ? 'yes' : 'no'}${value.pathlen !== null ? `, pathlen ${value.pathlen}` : ''}`];
+            case EXTENSION_OIDS.keyUsage:
+                return [value.join(', ')];
+            case EXTENSION_OIDS.extendedKeyUsage:
+                return [value.map(usage => usage.name || usage.oid).join(', ')];
+            case EXTENSION_OIDS.subjectAltName:
+            case EXTENSION_OIDS.crlDistributionPoints:
+                return names(value);
+            case EXTENSION_OIDS.authorityKeyIdentifier:
+                return [value.keyIdentifier, ...names(value.issuer), value.serial && `serial ${value.serial}`].filter(Boolean);
+            case EXTENSION_OIDS.nameConstraints:
+                return [
+                    ...names(value.permitted).map(name => `permitted ${name}`),
+                    ...names(value.excluded).map(name => `excluded ${name}`)
+                ];
+            case EXTENSION_OIDS.certificatePolicies:
+                return value.map(({ policy, cps }) => [policy, ...cps].join(' '));
+            case EXTENSION_OIDS.authorityInfoAccess:
+                return value.map(({ method, type, value: location }) => `${method}: ${type}:${location}`);
+            case EXTENSION_OIDS.ocspNoCheck:
+                return ['yes'];
+            default:
+                return typeof value === 'string' ? [value] : [value.der];
+        }
+    }
+
+    function publicKeyText(key) {
+        if (key.type === 'EC') return `EC ${key.curve}${key.nistCurve ? ` (${key.nistCurve})` : ''}`;
+        if (key.type === 'RSA') return `RSA ${key.bits} bit, e=${key.exponent}`;
+        return key.bits ? `${key.type} (${key.bits} bit)` : key.type;
+    }
+
+    function validityText(validity) {
+        const notAfter = new Date(validity.notAfter);
+        const days = Math.floor((notAfter - Date.now()) / 86400000);
+        const left = days < 0 ? 'expired' : `${days} days left`;
+        return `${validity.notBefore.slice(0, 10)} → ${validity.notAfter.slice(0, 10)} (${left})`;
+    }
+
+    function row(label, value) {
+        return `<tr><th>${escapeHtml(label)}</th><td>${value}</td></tr>`;
+    }
+
+    function lines(values) {
+        return values.map(value => `<code>${escapeHtml(value)}</code>`).join('<br>');
+    }
+
+    function badges(details, type) {
+        const isCa = details.extensions.some(ext => ext.oid === EXTENSION_OIDS.basicConstraints && ext.value.ca);
+        const list = [[type === 'csr' ? 'CSR' : 'Certificate', '']];
+        if (isCa) list.push(['CA', '']);
+        if (details.selfSigned) list.push(['Self-signed', '']);
+        if (type === 'csr') list.push(details.signatureValid ? ['Signature OK', 'ok'] : ['Bad signature', 'bad']);
+        if (details.validity && new Date(details.validity.notAfter) < new Date()) list.push(['Expired', 'bad']);
+        return list.map(([label, kind]) => `<span class="badge ${kind}">${escapeHtml(label)}</span>`).join('');
+    }
+
+    // Card HTML of certificate (type 'certificate') or CSR (type 'csr') details
+    function cardHtml(details, type = 'certificate') {
+        const commonName = (details.subject.find(rdn => rdn.type === 'CN') || {}).value;
+        const rows = [
+            row('Subject', lines(details.subject.map(({ type: name, value }) => `${name}=${value}`))),
+            details.issuer && row('Issuer', lines(details.issuer.map(({ type: name, value }) => `${name}=${value}`))),
+            details.serial && row('Serial', lines([details.serial])),
+            details.validity && row('Validity', escapeHtml(validityText(details.validity))),
+            row('Public Key', escapeHtml(publicKeyText(details.publicKey))),
+            row('Signature', escapeHtml(details.signatureAlgorithm)),
+            details.fingerprints && row('SHA-1', lines([details.fingerprints.sha1])),
+            details.fingerprints && row('SHA-256', lines([details.fingerprints.sha256])),
+            details.subjectKeyIdentifier && row('Subject Key ID', lines([details.subjectKeyIdentifier])),
+            details.authorityKeyIdentifier && row('Authority Key ID', lines([details.authorityKeyIdentifier])),
+            details.extensions.length > 0 && '<tr class="section"><th colspan="2">Extensions</th></tr>',
+            ...details.extensions
+                .filter(ext => ext.oid !== EXTENSION_OIDS.subjectKeyIdentifier && ext.oid !== EXTENSION_OIDS.authorityKeyIdentifier)
+                .map(ext => row(`${ext.name}${ext.critical ? ' (critical)' : ''}`, lines(extensionLines(ext))))
+        ];
+
+        return `<div class="cert-card">
+            <h4>${escapeHtml(commonName || details.subjectDn || '(empty subject)')}</h4>
+            ${badges(details, type)}
+            <table>${rows.filter(Boolean).join('')}</table>
+        </div>`;
+    }
+
+    function render(container, details, type) {
+        addStyles();
+        container.innerHTML = details ? cardHtml(details, type) : '';
+    }
+
+    // One side of a compare row; extension rows carry { critical, value } and their OID
+    function compareValue(value, oid) {
+        if (value === null || value === undefined) return '<em>—</em>';
+        if (oid) {
+            return `${value.critical ? 'critical<br>' : ''}${lines(extensionLines({ oid, value: value.value }))}`;
+        }
+        return lines([String(value)]);
+    }
+
+    // Two cards side by side and the field table of a POST /api/compare result
+    function renderCompare(container, result) {
+        addStyles();
+        const rows = result.fields.map(field => `<tr class="${field.same ? '' : 'differs'}">
+            <td class="field">${escapeHtml(field.field)}</td>
+            <td>${compareValue(field.a, field.oid)}</td>
+            <td>${compareValue(field.b, field.oid)}</td>
+        </tr>`).join('');
+
+        container.innerHTML = `
+            <div class="grid-2">${cardHtml(result.a.details, result.a.type)}${cardHtml(result.b.details, result.b.type)}</div>
+            <table class="cert-compare">
+                <thead><tr><th>Field</th><th>A</th><th>B</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    window.CertCard = {
+        render,
+        renderCompare
+    };
+})();
@@ -0,0 +1,292 @@
+// In-browser key generation: an ECDSA key pair from WebCrypto and a PKCS#10 CSR built and
+// signed on the page, so the private key never leaves the browser. The DER encoding follows
+// lib/x509.js, only the CSR is sent to the server (POST /api/validate-csr).
+(function () {
+    const CURVES = {
+        prime256v1: { namedCurve: 'P-256', hash: 'SHA-256', signatureOid: '1.2.840.10045.4.3.2', size: 32 },
+        secp384r1: { namedCurve: 'P-384', hash: 'SHA-384', signatureOid: '1.2.840.10045.4.3.3', size: 48 },
+        secp521r1: { namedCurve: 'P-521', hash: 'SHA-512', signatureOid: '1.2.840.10045.4.3.4', size: 66 }
+    };
+
+    const NAME_ATTRIBUTES = {
+        C: '2.5.4.6',
+        ST: '2.5.4.8',
+        L: '2.5.4.7',
+        O: '2.5.4.10',
+        OU: '2.5.4.11',
+        CN: '2.5.4.3',
+        serialNumber: '2.5.4.5',
+        emailAddress: '1.2.840.113549.1.9.1'
+    };
+
+    // Bit positions of the KeyUsage BIT STRING
+    const KEY_USAGES = [
+        'digitalSignature',
+        'nonRepudiation',
+        'keyEncipherment',
+        'dataEncipherment',
+        'keyAgreement',
+        'keyCertSign',
+        'cRLSign',
+        'encipherOnly',
+        'decipherOnly'
+    ];
+
+    const EXTENDED_KEY_USAGES = {
+        serverAuth: '1.3.6.1.5.5.7.3.1',
+        clientAuth: '1.3.6.1.5.5.7.3.2',
+        codeSigning: '1.3.6.1.5.5.7.3.3',
+        emailProtection: '1.3.6.1.5.5.7.3.4',
+        timeStamping: '1.3.6.1.5.5.7.3.8',
+        OCSPSigning: '1.3.6.1.5.5.7.3.9',
+        anyExtendedKeyUsage: '2.5.29.37.0'
+    };
+
+    const EXTENSION_REQUEST = '1.2.840.113549.1.9.14';
+    const GENERAL_NAMES = { email: 1, DNS: 2, URI: 6, IP: 7 };
+
+    // DER encoding on plain byte arrays
+
+    function encode(tag, content) {
+        const length = content.length;
+        const header = [tag];
+        if (length < 0x80) {
+            header.push(length);
+        } else {
+            const bytes = [];
+            for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+                bytes.unshift(remaining & 0xff);
+            }
+            header.push(0x80 | bytes.length, ...bytes);
+        }
+        return [...header, ...content];
+    }
+
+    function sequence(...items) {
+        return encode(0x30, items.filter(Boolean).flat());
+    }
+
+    // DER sorts SET OF elements by their encoding
+    function set(...items) {
+        const compare = (a, b) => {
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                if (a[i] !== b[i]) return a[i] - b[i];
+            }
+            return a.length - b.length;
+        };
+        return encode(0x31, items.filter(Boolean).sort(compare).flat());
+    }
+
+    // Unsigned big-endian bytes as a positive INTEGER
+    function integer(bytes) {
+        let start = 0;
+        while (start < bytes.length - 1 && bytes[start] === 0) start++;
+        const magnitude = Array.from(bytes.slice(start));
+        return encode(0x02, magnitude[0] & 0x80 ? [0, ...magnitude] : magnitude);
+    }
+
+    function oid(dotted) {
+        const parts = dotted.split('.').map(Number);
+        const bytes = [40 * parts[0] + parts[1]];
+        for (const part of parts.slice(2)) {
+            const base128 = [part & 0x7f];
+            for (let remaining = Math.floor(part / 128); remaining > 0; remaining = Math.floor(remaining / 128)) {
+                base128.unshift((remaining & 0x7f) | 0x80);
+            }
+            bytes.push(...base128);
+        }
+        return encode(0x06, bytes);
+    }
+
+    function text(tag, value) {
+        return encode(tag, Array.from(new TextEncoder().encode(value)));
+    }
+
+    // [n] IMPLICIT: replaces the tag of a TLV, keeping its constructed bit
+    function implicit(number, item) {
+        return [0x80 | (item[0] & 0x20) | number, ...item.slice(1)];
+    }
+
+    // Same string types and checks as encodeNameValue in lib/x509.js
+    function encodeNameValue(type, value) {
+        if (type === 'C') {
+            if (!/^[A-Za-z]{2}$/.test(value)) {
+                throw new Error('Country (C) must be a two-letter code');
+            }
+            return text(0x13, value);
+        }
+        if (type === 'serialNumber') {
+            if (!/^[A-Za-z0-9 '()+,\-./:=?]+$/.test(value)) {
+                throw new Error('serialNumber may only contain letters, digits, spaces and \'()+,-./:=?');
+            }
+            return text(0x13, value);
+        }
+        if (type === 'emailAddress') {
+            if (!/^[\x20-\x7e]+$/.test(value)) {
+                throw new Error('emailAddress must be ASCII');
+            }
+            return text(0x16, value);
+        }
+        return text(0x0c, value);
+    }
+
+    function encodeName(subject) {
+        return sequence(...subject.map(({ type, value }) =>
+            set(sequence(oid(NAME_ATTRIBUTES[type]), encodeNameValue(type, value)))
+        ));
+    }
+
+    function ipAddressBytes(value) {
+        if (/^\d{1,3}(\.\d{1,3}){3}$/.test(value)) {
+            const octets = value.split('.').map(Number);
+            if (octets.every(octet => octet <= 255)) return octets;
+        } else if (value.includes(':')) {
+            // Expand "::" into eight 16-bit groups
+            const [head, tail] = value.split('::');
+            const headGroups = head ? head.split(':') : [];
+            const tailGroups = tail ? tail.split(':') : [];
+            const groups = tail === undefined
+                ? headGroups
+                : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+            if (groups.length === 8 && groups.every(group => /^[0-9a-fA-F]{1,4}$/.test(group))) {
+                return groups.flatMap(group => [parseInt(group, 16) >> 8, parseInt(group, 16) & 0xff]);
+            }
+        }
+        throw new Error(`Invalid IP address in Subject Alternative Name: ${value}`);
+    }
+
+    function encodeGeneralName({ type, value }) {
+        if (!(type in GENERAL_NAMES)) {
+            throw new Error(`Unsupported Subject Alternative Name type: ${type}`);
+        }
+        const content = type === 'IP' ? encode(0x04, ipAddressBytes(value)) : text(0x16, value);
+        return implicit(GENERAL_NAMES[type], content);
+    }
+
+    function encodeKeyUsage(values) {
+        let bits = 0;
+        for (const usage of values) {
+            bits |= 1 << (15 - KEY_USAGES.indexOf(usage));
+        }
+        if (bits === 0) {
+            return encode(0x03, [0]);
+        }
+
+        // DER: no trailing zero bytes, unused bits counted in the last byte
+        const bytes = bits & 0xff ? [bits >> 8, bits & 0xff] : [bits >> 8];
+        const last = bytes[bytes.length - 1];
+        let unused = 0;
+        while (!(last & (1 << unused))) unused++;
+        return encode(0x03, [unused, ...bytes]);
+    }
+
+    function extension(id, critical, value) {
+        return sequence(oid(id), critical ? encode(0x01, [0xff]) : null, encode(0x04, value));
+    }
+
+    // keyUsage, extendedKeyUsage and subjectAltNames in the lib/x509.js extensions format
+    function encodeExtensions({ keyUsage, extendedKeyUsage, subjectAltNames = [] }) {
+        const encoded = [];
+        if (keyUsage && keyUsage.values.length > 0) {
+            encoded.push(extension('2.5.29.15', keyUsage.critical, encodeKeyUsage(keyUsage.values)));
+        }
+        if (extendedKeyUsage && extendedKeyUsage.values.length > 0) {
+            encoded.push(extension('2.5.29.37', extendedKeyUsage.critical,
+                sequence(...extendedKeyUsage.values.map(usage => oid(EXTENDED_KEY_USAGES[usage])))));
+        }
+        if (subjectAltNames.length > 0) {
+            encoded.push(extension('2.5.29.17', false, sequence(...subjectAltNames.map(encodeGeneralName))));
+        }
+        return encoded;
+    }
+
+    // WebCrypto returns ECDSA signatures as r || s, X.509 wants SEQUENCE { r INTEGER, s INTEGER }
+    function ecdsaSignatureDer(signature, size) {
+        return sequence(integer(signature.slice(0, size)), integer(signature.slice(size)));
+    }
+
+    function toPem(bytes, label) {
+        let binary = '';
+        for (const byte of bytes) binary += String.fromCharCode(byte);
+        const base64 = btoa(binary).match(/.{1,64}/g).join('\n');
+        return `-----BEGIN ${label}-----\n${base64}\n-----END ${label}-----\n`;
+    }
+
+    // Subject in the same order as the server builds it, empty fields left out
+    function subjectOf({ country, state, locality, organization, organizationalUnit, commonName, serialNumber, email }) {
+        return [
+            ['C', country],
+            ['ST', state],
+            ['L', locality],
+            ['O', organization],
+            ['OU', organizationalUnit],
+            ['CN', commonName],
+            ['serialNumber', serialNumber],
+            ['emailAddress', email]
+        ]
+            .filter(([, value]) => value && String(value).trim())
+            .map(([type, value]) => ({ type, value: String(value).trim() }));
+    }
+
+    // Generate an EC key pair and a CSR signed with it, requesting the profile's key usages
+    // (a profile from GET /api/profiles). Returns { privateKey (PKCS#8 PEM), publicKey, csr }
+    async function generateCsr({ curve, fields, profile, subjectAltNames = [] }) {
+        const params = CURVES[curve];
+        if (!params) {
+            throw new Error(`In-browser key generation supports the EC curves ${Object.keys(CURVES).join(', ')}`);
+        }
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error('WebCrypto is not available: open the page over https or from localhost');
+        }
+
+        const subject = subjectOf(fields);
+        for (const { type, value } of subject) {
+            if (/[\x00-\x1f\x7f]/.test(value)) {
+                throw new Error(`Subject ${type} must be non-empty text without control characters`);
+            }
+        }
+
+        const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: params.namedCurve }, true, ['sign', 'verify']);
+        const publicKeyInfo = new Uint8Array(await crypto.subtle.exportKey('spki', keyPair.publicKey));
+        const privateKeyInfo = new Uint8Array(await crypto.subtle.exportKey('pkcs8', keyPair.privateKey));
+
+        const encodedExtensions = encodeExtensions({
+            keyUsage: profile ? profile.keyUsage : null,
+            extendedKeyUsage: profile ? { critical: false, values: profile.extendedKeyUsage } : null,
+            subjectAltNames
+        });
+        const attributes = encodedExtensions.length > 0
+            ? sequence(oid(EXTENSION_REQUEST), set(sequence(...encodedExtensions)))
+            : [];
+
+        const info = sequence(
+            integer([0]),
+            encodeName(subject),
+            Array.from(publicKeyInfo),
+            encode(0xa0, attributes)
+        );
+
+        const signature = new Uint8Array(await crypto.subtle.sign(
+            { name: 'ECDSA', hash: params.hash },
+            keyPair.privateKey,
+            new Uint8Array(info)
+        ));
+
+        const request = sequence(
+            info,
+            sequence(oid(params.signatureOid)),
+            encode(0x03, [0, ...ecdsaSignatureDer(signature, params.size)])
+        );
+
+        return {
+            privateKey: toPem(privateKeyInfo, 'PRIVATE KEY'),
+            publicKey: toPem(publicKeyInfo, 'PUBLIC KEY'),
+            csr: toPem(request, 'CERTIFICATE REQUEST')
+        };
+    }
+
+    window.LocalCsr = {
+        CURVES: Object.keys(CURVES),
+        generateCsr
+    };
+})();
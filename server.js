@@ -1,625 +1,3096 @@
 const express = require('express');
+const https = require('https');
 const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { promisify } = require('util');
 const cors = require('cors');
+const archiver = require('archiver');
+const caStore = require('./lib/ca-store');
+const { buildMobileconfig } = require('./lib/mobileconfig');
+const { parseCsv, toCsv } = require('./lib/csv');
+const csrLint = require('./lib/csr-lint');
+const { testMtlsHandshake } = require('./lib/tls-tester');
+const brokerConfig = require('./lib/broker-config');
+const cloudIot = require('./lib/cloud-iot');
+const profiles = require('./lib/profiles');
+const renewal = require('./lib/renewal');
+const inventory = require('./lib/inventory');
+const expiryAlerts = require('./lib/expiry-alerts');
+const est = require('./lib/est');
+const csrQueue = require('./lib/csr-queue');
+const auditLog = require('./lib/audit-log');
+const keyFormat = require('./lib/key-format');
+const nameConstraints = require('./lib/name-constraints');
+const certCompare = require('./lib/cert-compare');
+const toolbox = require('./lib/toolbox');
+const clientKit = require('./lib/client-kit');
+const backend = require('./lib/backends');
+const x509 = require('./lib/x509');
 const execAsync = promisify(exec);
+// openssl pkcs12 prompts on the terminal when it cannot read a key, and ignores SIGTERM
+const OPENSSL_EXEC_LIMITS = { timeout: 30000, killSignal: 'SIGKILL' };
 const app = express();
 const PORT = 3000;
+// Optional TLS listener for EST, re-enrollment authenticates with the client certificate
+const EST_TLS_PORT = process.env.EST_TLS_PORT ? Number(process.env.EST_TLS_PORT) : null;
 
 app.use(cors({
     origin: 'http://localhost:8080',
     methods: ['GET', 'POST', 'OPTIONS'],
     allowedHeaders: ['Content-Type'],
+    exposedHeaders: ['Content-Disposition', 'X-Batch-Succeeded', 'X-Batch-Failed'],
 }));
 
-app.use(express.json());
+// Batch provisioning requests carry whole device lists
+app.use(express.json({ limit: '5mb' }));
 app.use(express.static('public'));
 
-// Client CSR Generation Endpoint with SAN Support
-app.post('/api/generate-csr', async (req, res) => {
-    try {
-        const {
-            curve = 'prime256v1',
-            commonName,
-            serialNumber,
-            organization,
-            organizationalUnit,
-            country,
-            state,
-            locality,
-            email,
-            subjectAltNames = []
-        } = req.body;
+// Validation errors carry a 400 status so the endpoints can report them as-is
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// CRL Distribution Point and OCSP URL going into a certificate, both optional
+function validateDistributionUrls({ crlDistributionPoint, ocspUrl }) {
+    if (crlDistributionPoint && !/^https?:\/\/[^\s,]+$/.test(crlDistributionPoint)) {
+        throw badRequest('CRL Distribution Point must be an http(s) URL');
+    }
 
-        if (!commonName || !organization || !country || !state || !locality) {
-            return res.status(400).json({
-                error: 'Missing required fields'
-            });
-        }
+    if (ocspUrl && !/^https?:\/\/[^\s,]+$/.test(ocspUrl)) {
+        throw badRequest('OCSP URL must be an http(s) URL');
+    }
+}
+
+// Split a PEM bundle into its individual certificates
+function splitPemCertificates(pem) {
+    return (pem || '').match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+}
+
+// A certificate is a root when its subject and issuer are identical
+async function isSelfSigned(cert) {
+    const { subject, issuer } = await backend.certificateInfo(cert);
+    return subject === issuer;
+}
+
+// Read serial, subject, validity and fingerprint of a certificate for the ledger
+async function readCertInfo(cert) {
+    const { issuer, ...info } = await backend.certificateInfo(cert);
+    return info;
+}
+
+// Structured details sent next to the openssl-style text, decoded in-process whichever backend
+// produced the PEM
+function certificateJson(cert) {
+    return x509.certificateDetails(x509.parseCertificate(x509.fromPem(cert, ['CERTIFICATE'])));
+}
+
+function csrJson(csr) {
+    return x509.requestDetails(x509.parseRequest(x509.fromPem(csr, ['CERTIFICATE REQUEST', 'NEW CERTIFICATE REQUEST'])));
+}
+
+// Key, signature algorithm and extensions as { publicKey, signatureAlgorithm, extensions }
+function certificateUsage(cert) {
+    return x509.usageView(x509.parseCertificate(x509.fromPem(cert, ['CERTIFICATE'])));
+}
+
+function csrUsage(csr) {
+    return x509.usageView(x509.parseRequest(x509.fromPem(csr, ['CERTIFICATE REQUEST', 'NEW CERTIFICATE REQUEST'])));
+}
+
+// Sign a fresh CRL for a stored CA from its ledger and keep it as the CA's current CRL
+async function generateCrl(caId, nextUpdateHours = 168, caKeyPassphrase) {
+    const ca = caStore.getCa(caId);
+    const caKey = storedCaKey(ca, caKeyPassphrase);
+
+    const tempDir = path.join(__dirname, 'temp', `crl-${Date.now()}`);
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    const caKeyPath = path.join(tempDir, 'ca-key.pem');
+    const caCertPath = path.join(tempDir, 'ca-cert.pem');
+    const indexPath = path.join(tempDir, 'index.txt');
+    const configPath = path.join(tempDir, 'crl.cnf');
+    const crlPath = path.join(tempDir, 'crl.pem');
+    const crlDerPath = path.join(tempDir, 'crl.der');
 
-        const tempDir = path.join(__dirname, 'temp', Date.now().toString());
-        fs.mkdirSync(tempDir, { recursive: true });
+    try {
+        fs.writeFileSync(caKeyPath, caKey, { mode: 0o600 });
+        fs.writeFileSync(caCertPath, ca.caCert);
+        fs.writeFileSync(indexPath, caStore.opensslIndex(caId));
+        // The ledger does not keep subjects in the index, so they are not unique
+        fs.writeFileSync(`${indexPath}.attr`, 'unique_subject = no\n');
+
+        // Sign with the digest matching the CA key, Ed25519 keys take none
+        const hashAlgorithm = x509.digestFor(crypto.createPrivateKey(caKey)) || 'default';
+
+        const crlConfig = `
+[ ca ]
+default_ca = CA_default
+
+[ CA_default ]
+database    = ${indexPath}
+crlnumber   = ${caStore.crlNumberPath(caId)}
+certificate = ${caCertPath}
+private_key = ${caKeyPath}
+default_md  = ${hashAlgorithm}
+crl_extensions = crl_ext
+
+[ crl_ext ]
+authorityKeyIdentifier = keyid:always
+`;
 
-        const privateKeyPath = path.join(tempDir, 'private-key.pem');
-        const csrPath = path.join(tempDir, 'csr.pem');
-        const configPath = path.join(tempDir, 'openssl.cnf');
+        fs.writeFileSync(configPath, crlConfig);
+
+        await execAsync(
+            `openssl ca -gencrl -config ${configPath} -crlhours ${nextUpdateHours} -out ${crlPath}`
+        );
+        await execAsync(
+            `openssl crl -in ${crlPath} -outform DER -out ${crlDerPath}`
+        );
+
+        const crl = {
+            pem: fs.readFileSync(crlPath, 'utf8'),
+            der: fs.readFileSync(crlDerPath),
+            nextUpdate: new Date(Date.now() + nextUpdateHours * 3600 * 1000).toISOString()
+        };
+        caStore.saveCrl(caId, crl);
+
+        return crl;
+    } finally {
+        // openssl ca leaves .attr/.old side files next to the database
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+// Private key of a stored CA. Keys generated with a passphrase stay encrypted in the vault.
+function storedCaKey(ca, caKeyPassphrase) {
+    return keyFormat.decryptPrivateKey(ca.caKey, caKeyPassphrase, `The key of CA ${ca.meta.name}`);
+}
+
+// The vault keeps a new CA key encrypted when it was generated with a keyPassphrase
+async function vaultKey(caKey, { keyPassphrase, keyKdf }) {
+    return keyPassphrase ? (await keyFormat.formatPrivateKey(caKey, { keyPassphrase, keyKdf })).key : caKey;
+}
+
+// Such a CA gets its first CRL while the passphrase is at hand, so its CRL URL answers from the start
+async function initialCrl(caId, { keyPassphrase }) {
+    if (keyPassphrase) {
+        await generateCrl(caId, undefined, keyPassphrase);
+    }
+}
+
+// Resolve the issuing CA from a stored caId, or from a pasted key + certificate (+ chain).
+// A pasted or stored key may be encrypted, caKeyPassphrase decrypts it for this request only.
+function resolveIssuer({ caId, caKey, caCert, caChain, caKeyPassphrase }) {
+    if (caId) {
+        const ca = caStore.getCa(caId);
+        return {
+            caId,
+            caKey: storedCaKey(ca, caKeyPassphrase),
+            issuerCerts: splitPemCertificates(ca.caChain),
+            serialPath: ca.serialPath
+        };
+    }
 
-        try {
-            // Generate ECC private key
-            await execAsync(`openssl ecparam -name ${curve} -genkey -noout -out ${privateKeyPath}`);
-
-            // Build Subject Alternative Names section
-            let sanSection = '';
-            if (subjectAltNames && subjectAltNames.length > 0) {
-                const sanEntries = subjectAltNames
-                    .filter(san => san.value && san.value.trim())
-                    .map((san, index) => `${san.type}.${index + 1} = ${san.value.trim()}`)
-                    .join('\n');
-
-                if (sanEntries) {
-                    sanSection = `
-[ alt_names ]
-${sanEntries}`;
-                }
-            }
+    return {
+        caId: null,
+        caKey: keyFormat.decryptPrivateKey(caKey, caKeyPassphrase, 'CA Key'),
+        issuerCerts: splitPemCertificates(`${caCert}\n${caChain || ''}`),
+        serialPath: null
+    };
+}
+
+// Build the leaf + intermediates bundle. Roots are left out, peers already trust them.
+async function buildFullchain(signedCert, issuerCerts) {
+    const chain = [signedCert.trim()];
+
+    for (const pem of issuerCerts) {
+        if (!(await isSelfSigned(pem))) {
+            chain.push(pem.trim());
+        }
+    }
 
-            // Create OpenSSL config file with Key Usage extensions and SAN
-            const opensslConfig = `
-[ req ]
-default_bits       = 2048
-distinguished_name = req_distinguished_name
-req_extensions     = v3_req
-prompt             = no
-
-[ req_distinguished_name ]
-C  = ${country}
-ST = ${state}
-L  = ${locality}
-O  = ${organization}
-${organizationalUnit ? `OU = ${organizationalUnit}` : ''}
-CN = ${commonName}
-${serialNumber ? `serialNumber = ${serialNumber}` : ''}
-${email ? `emailAddress = ${email}` : ''}
-
-[ v3_req ]
-keyUsage = critical, digitalSignature, keyAgreement
-extendedKeyUsage = clientAuth
-${subjectAltNames && subjectAltNames.length > 0 ? 'subjectAltName = @alt_names' : ''}
-${sanSection}
-`;
+    return chain.join('\n') + '\n';
+}
+
+// Subject RDNs in the order the generators have always used, empty fields left out
+function subjectOf({ country, state, locality, organization, organizationalUnit, commonName, serialNumber, email }) {
+    return [
+        ['C', country],
+        ['ST', state],
+        ['L', locality],
+        ['O', organization],
+        ['OU', organizationalUnit],
+        ['CN', commonName],
+        ['serialNumber', serialNumber],
+        ['emailAddress', email]
+    ]
+        .filter(([, value]) => value && String(value).trim())
+        .map(([type, value]) => ({ type, value: String(value).trim() }));
+}
+
+// Drop the empty SAN rows the forms send and trim the rest
+function cleanSubjectAltNames(subjectAltNames = []) {
+    if (!Array.isArray(subjectAltNames) ||
+        subjectAltNames.some(san => !san || typeof san.type !== 'string' || !['string', 'undefined'].includes(typeof san.value))) {
+        throw badRequest('subjectAltNames must be a list of { type, value } entries with string values');
+    }
 
-            fs.writeFileSync(configPath, opensslConfig);
+    return subjectAltNames
+        .filter(san => san.value && san.value.trim())
+        .map(san => ({ type: SAN_TYPE_NAMES[san.type.trim().toLowerCase()] || san.type.trim(), value: san.value.trim() }));
+}
 
-            // Generate CSR with extensions
-            await execAsync(
-                `openssl req -new -key ${privateKeyPath} -out ${csrPath} -config ${configPath}`
-            );
+// Append to the audit log. A failing write is reported but does not fail the request:
+// by then the key or certificate has already been created.
+function audit(req, operation, details) {
+    try {
+        auditLog.append({ operation, source: 'api', ip: req.ip, ...details });
+    } catch (error) {
+        console.error(`Error writing the audit log for ${operation}:`, error);
+    }
+}
 
-            // Read files
-            const privateKey = fs.readFileSync(privateKeyPath, 'utf8');
-            const csr = fs.readFileSync(csrPath, 'utf8');
+// Subject and SANs a failed generation request asked for
+function requestedNames(body = {}) {
+    try {
+        return {
+            subject: x509.formatNameRfc2253(subjectOf(body)) || null,
+            subjectAltNames: cleanSubjectAltNames(parseSanList(body.subjectAltNames))
+        };
+    } catch (error) {
+        return {};
+    }
+}
+
+// Key type of a CSR's public key (EC, RSA or ED25519), so the issued Key Usage fits the key
+async function csrKeyType(csr) {
+    return csrUsage((await backend.readCsr(csr)).csr).publicKey.type;
+}
+
+// Generate a client key pair and CSR with Key Usage extensions and SAN
+async function generateClientCsr(options) {
+    const {
+        curve = 'prime256v1',
+        keyAlgorithm = curve,
+        commonName,
+        serialNumber,
+        organization,
+        organizationalUnit,
+        country,
+        state,
+        locality,
+        email,
+        subjectAltNames = [],
+        profile = 'client'
+    } = options;
+
+    if (!commonName || !organization || !country || !state || !locality) {
+        throw badRequest('Missing required fields');
+    }
 
-            // Extract public key
-            const { stdout: publicKey } = await execAsync(
-                `openssl ec -in ${privateKeyPath} -pubout 2>/dev/null`
-            );
+    // Required SAN types are enforced when signing, SANs can still be added there
+    const certProfile = profiles.getProfile(profile);
+    const sans = cleanSubjectAltNames(subjectAltNames);
+    profiles.checkSubjectAltNames(certProfile, sans, { checkRequired: false });
 
-            // Verify CSR includes extensions
-            const { stdout: csrText } = await execAsync(
-                `openssl req -text -noout -in ${csrPath}`
-            );
+    keyFormat.checkKeyOutput(options, backend.keyType(keyAlgorithm));
 
-            // Cleanup
-            fs.unlinkSync(privateKeyPath);
-            fs.unlinkSync(csrPath);
-            fs.unlinkSync(configPath);
-            fs.rmdirSync(tempDir);
-
-            res.json({
-                success: true,
-                privateKey,
-                publicKey,
-                csr,
-                csrDetails: csrText,
-                subjectAltNames // Return SAN for signing endpoint
-            });
+    // Generate the key pair: an EC curve, RSA or Ed25519
+    const { privateKey, publicKey } = await backend.generateKeyPair(keyAlgorithm);
 
-        } catch (error) {
-            try {
-                if (fs.existsSync(privateKeyPath)) fs.unlinkSync(privateKeyPath);
-                if (fs.existsSync(csrPath)) fs.unlinkSync(csrPath);
-                if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
-                if (fs.existsSync(tempDir)) fs.rmdirSync(tempDir);
-            } catch (e) { }
-            throw error;
+    // CSR with the profile's Key Usage extensions and SAN
+    const csr = await backend.createCsr({
+        privateKey,
+        subject: subjectOf({ country, state, locality, organization, organizationalUnit, commonName, serialNumber, email }),
+        extensions: {
+            ...profiles.requestExtensions(certProfile, backend.keyType(keyAlgorithm)),
+            subjectAltNames: sans
         }
+    });
+
+    // Verify CSR includes extensions
+    const csrText = await backend.describeCsr(csr);
+    const output = await keyFormat.formatPrivateKey(privateKey, options);
+
+    return {
+        privateKey: output.key,
+        keyFormat: output.keyFormat,
+        publicKey,
+        csr,
+        csrDetails: csrText,
+        csrDetailsJson: csrJson(csr),
+        keyAlgorithm,
+        profile: certProfile.name,
+        subjectAltNames // Return SAN for signing endpoint
+    };
+}
 
+// Client CSR Generation Endpoint with SAN Support
+app.post('/api/generate-csr', async (req, res) => {
+    try {
+        const result = await generateClientCsr(req.body);
+        audit(req, 'generate-csr', { csr: result.csr, profile: result.profile });
+        res.json({
+            success: true,
+            ...result
+        });
     } catch (error) {
+        audit(req, 'generate-csr', { error, ...requestedNames(req.body) });
         console.error('Error:', error);
-        res.status(500).json({
-            error: 'Failed to generate CSR',
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to generate CSR',
             message: error.message
         });
     }
 });
 
-// Broker CSR Generation Endpoint
-app.post('/api/generate-broker-csr', async (req, res) => {
-    try {
-        const {
-            curve = 'prime256v1',
-            commonName,
-            organization,
-            organizationalUnit,
-            country,
-            state,
-            locality,
-            email,
-            subjectAltNames = []
-        } = req.body;
-
-        if (!commonName) {
-            return res.status(400).json({
-                error: 'Common Name (CN) is required for broker certificate'
-            });
-        }
+// Generate a broker key pair and CSR with server authentication extensions
+async function generateBrokerCsr(options) {
+    const {
+        curve = 'prime256v1',
+        keyAlgorithm = curve,
+        commonName,
+        organization,
+        organizationalUnit,
+        country,
+        state,
+        locality,
+        email,
+        subjectAltNames = [],
+        profile = 'broker'
+    } = options;
+
+    if (!commonName) {
+        throw badRequest('Common Name (CN) is required for broker certificate');
+    }
 
-        const tempDir = path.join(__dirname, 'temp', `broker-${Date.now()}`);
-        fs.mkdirSync(tempDir, { recursive: true });
+    const certProfile = profiles.getProfile(profile);
+    const sans = cleanSubjectAltNames(subjectAltNames);
+    profiles.checkSubjectAltNames(certProfile, sans, { checkRequired: false });
 
-        const privateKeyPath = path.join(tempDir, 'broker-private-key.pem');
-        const csrPath = path.join(tempDir, 'broker-csr.pem');
-        const configPath = path.join(tempDir, 'broker-openssl.cnf');
+    keyFormat.checkKeyOutput(options, backend.keyType(keyAlgorithm));
 
-        try {
-            // Generate ECC private key
-            await execAsync(`openssl ecparam -name ${curve} -genkey -noout -out ${privateKeyPath}`);
-
-            // Build Subject Alternative Names
-            let sanSection = '';
-            if (subjectAltNames && subjectAltNames.length > 0) {
-                const sanEntries = subjectAltNames
-                    .filter(san => san.value && san.value.trim())
-                    .map((san, index) => `${san.type}.${index + 1} = ${san.value.trim()}`)
-                    .join('\n');
-
-                if (sanEntries) {
-                    sanSection = `
-[ alt_names ]
-${sanEntries}`;
-                }
-            }
+    // Generate the key pair: an EC curve, RSA or Ed25519
+    const { privateKey, publicKey } = await backend.generateKeyPair(keyAlgorithm);
 
-            // Create OpenSSL config file with broker-specific extensions
-            const opensslConfig = `
-[ req ]
-default_bits       = 2048
-distinguished_name = req_distinguished_name
-req_extensions     = v3_req
-prompt             = no
-
-[ req_distinguished_name ]
-${country ? `C  = ${country}` : ''}
-${state ? `ST = ${state}` : ''}
-${locality ? `L  = ${locality}` : ''}
-${organization ? `O  = ${organization}` : ''}
-${organizationalUnit ? `OU = ${organizationalUnit}` : ''}
-CN = ${commonName}
-${email ? `emailAddress = ${email}` : ''}
-
-[ v3_req ]
-keyUsage = critical, digitalSignature, keyEncipherment, keyAgreement
-extendedKeyUsage = serverAuth
-${subjectAltNames && subjectAltNames.length > 0 ? 'subjectAltName = @alt_names' : ''}
-${sanSection}
-`;
+    // CSR with the broker profile's extensions and SAN
+    const csr = await backend.createCsr({
+        privateKey,
+        subject: subjectOf({ country, state, locality, organization, organizationalUnit, commonName, email }),
+        extensions: {
+            ...profiles.requestExtensions(certProfile, backend.keyType(keyAlgorithm)),
+            subjectAltNames: sans
+        }
+    });
+
+    // Verify CSR includes extensions
+    const csrText = await backend.describeCsr(csr);
+    const output = await keyFormat.formatPrivateKey(privateKey, options);
+
+    return {
+        privateKey: output.key,
+        keyFormat: output.keyFormat,
+        publicKey,
+        csr,
+        csrDetails: csrText,
+        csrDetailsJson: csrJson(csr),
+        keyAlgorithm,
+        type: 'broker',
+        profile: certProfile.name,
+        subjectAltNames
+    };
+}
 
-            fs.writeFileSync(configPath, opensslConfig);
+// Broker CSR Generation Endpoint
+app.post('/api/generate-broker-csr', async (req, res) => {
+    try {
+        const result = await generateBrokerCsr(req.body);
+        audit(req, 'generate-broker-csr', { csr: result.csr, profile: result.profile });
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        audit(req, 'generate-broker-csr', { error, ...requestedNames(req.body) });
+        console.error('Error generating broker CSR:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to generate broker CSR',
+            message: error.message
+        });
+    }
+});
 
-            // Generate CSR with extensions
-            await execAsync(
-                `openssl req -new -key ${privateKeyPath} -out ${csrPath} -config ${configPath}`
-            );
+// Generate a Root CA key and self-signed certificate, kept in the vault unless store is false
+async function generateRootCa(options) {
+    const {
+        curve = 'prime256v1',
+        keyAlgorithm = curve,
+        commonName = 'MQTT Root CA',
+        organization = 'MQTT Organization',
+        organizationalUnit,
+        country = 'US',
+        state = 'California',
+        locality = 'San Francisco',
+        validityDays = 3650,
+        pathlen,
+        email,
+        store = true
+    } = options;
+
+    // No pathlen leaves the depth below the Root CA unlimited
+    const pathLength = pathlen === undefined || pathlen === null || pathlen === '' ? null : parseInt(pathlen, 10);
+    if (pathLength !== null && (isNaN(pathLength) || pathLength < 0)) {
+        throw badRequest('pathlen must be a non-negative integer');
+    }
+    const constraints = nameConstraints.parseNameConstraints(options.nameConstraints);
+    const certificatePolicies = nameConstraints.parseCertificatePolicies(options.certificatePolicies);
+    keyFormat.checkKeyOutput(options, backend.keyType(keyAlgorithm));
+
+    // Generate the CA private key: an EC curve, RSA or Ed25519
+    const { privateKey: caKey } = await backend.generateKeyPair(keyAlgorithm);
+
+    // Self-signed CA certificate, signed with the algorithm matching the key
+    const caCert = await backend.selfSignCertificate({
+        privateKey: caKey,
+        subject: subjectOf({ country, state, locality, organization, organizationalUnit, commonName, email }),
+        days: validityDays,
+        extensions: {
+            subjectKeyIdentifier: true,
+            authorityKeyIdentifier: true,
+            basicConstraints: { critical: true, ca: true, pathlen: pathLength },
+            keyUsage: { critical: true, values: ['digitalSignature', 'cRLSign', 'keyCertSign'] },
+            nameConstraints: constraints,
+            certificatePolicies
+        }
+    });
 
-            // Read files
-            const privateKey = fs.readFileSync(privateKeyPath, 'utf8');
-            const csr = fs.readFileSync(csrPath, 'utf8');
+    // Get CA certificate details
+    const certText = await backend.describeCertificate(caCert);
 
-            // Extract public key
-            const { stdout: publicKey } = await execAsync(
-                `openssl ec -in ${privateKeyPath} -pubout 2>/dev/null`
-            );
+    // Keep the Root CA in the vault so signing requests can refer to it by caId
+    let caId = null;
+    if (store) {
+        const { subject, notAfter } = await readCertInfo(caCert);
+        ({ caId } = caStore.saveCa({ caKey: await vaultKey(caKey, options), caCert, name: commonName, type: 'root', subject, notAfter }));
+        await initialCrl(caId, options);
+    }
 
-            // Verify CSR includes extensions
-            const { stdout: csrText } = await execAsync(
-                `openssl req -text -noout -in ${csrPath}`
-            );
+    // The response has the key in the requested format
+    const output = await keyFormat.formatPrivateKey(caKey, options);
 
-            // Cleanup
-            fs.unlinkSync(privateKeyPath);
-            fs.unlinkSync(csrPath);
-            fs.unlinkSync(configPath);
-            fs.rmdirSync(tempDir);
-
-            res.json({
-                success: true,
-                privateKey,
-                publicKey,
-                csr,
-                csrDetails: csrText,
-                type: 'broker',
-                subjectAltNames
-            });
+    return {
+        caId,
+        caKey: output.key,
+        keyFormat: output.keyFormat,
+        caCert,
+        thumbprints: cloudIot.thumbprints(caCert),
+        certDetails: certText,
+        certDetailsJson: certificateJson(caCert)
+    };
+}
 
-        } catch (error) {
-            try {
-                if (fs.existsSync(privateKeyPath)) fs.unlinkSync(privateKeyPath);
-                if (fs.existsSync(csrPath)) fs.unlinkSync(csrPath);
-                if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
-                if (fs.existsSync(tempDir)) fs.rmdirSync(tempDir);
-            } catch (e) { }
-            throw error;
-        }
+// Generate Root CA Certificate
+app.post('/api/generate-root-ca', async (req, res) => {
+    try {
+        const result = await generateRootCa(req.body);
+        audit(req, 'generate-root-ca', { cert: result.caCert, caId: result.caId });
+        res.json({
+            success: true,
+            ...result
+        });
 
     } catch (error) {
-        console.error('Error generating broker CSR:', error);
-        res.status(500).json({
-            error: 'Failed to generate broker CSR',
+        audit(req, 'generate-root-ca', { error, ...requestedNames(req.body) });
+        console.error('Error generating Root CA:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to generate Root CA',
             message: error.message
         });
     }
 });
 
-// Generate Root CA Certificate
-app.post('/api/generate-root-ca', async (req, res) => {
-    try {
-        const {
-            curve = 'prime256v1',
-            commonName = 'MQTT Root CA',
-            organization = 'MQTT Organization',
-            organizationalUnit,
-            country = 'US',
-            state = 'California',
-            locality = 'San Francisco',
-            validityDays = 3650,
-            email
-        } = req.body;
+// Issue an Intermediate CA signed by a Root (or another Intermediate) CA
+async function generateIntermediateCa(options) {
+    const {
+        caId,
+        caKey,
+        caCert,
+        curve = 'prime256v1',
+        keyAlgorithm = curve,
+        commonName = 'MQTT Intermediate CA',
+        organization = 'MQTT Organization',
+        organizationalUnit,
+        country = 'US',
+        state = 'California',
+        locality = 'San Francisco',
+        validityDays = 1825,
+        pathlen = 0,
+        email,
+        store = true
+    } = options;
+
+    if (!caId && (!caKey || !caCert)) {
+        throw badRequest('Either a stored CA ID or the issuing CA Key and CA Certificate are required');
+    }
 
-        const tempDir = path.join(__dirname, 'temp', `ca-${Date.now()}`);
-        fs.mkdirSync(tempDir, { recursive: true });
+    const pathLength = parseInt(pathlen, 10);
+    if (isNaN(pathLength) || pathLength < 0) {
+        throw badRequest('pathlen must be a non-negative integer');
+    }
+    const constraints = nameConstraints.parseNameConstraints(options.nameConstraints);
+    const certificatePolicies = nameConstraints.parseCertificatePolicies(options.certificatePolicies);
+    keyFormat.checkKeyOutput(options, backend.keyType(keyAlgorithm));
+
+    const issuer = resolveIssuer(options);
+    const { issuerCerts } = issuer;
+    if (issuerCerts.length === 0) {
+        throw badRequest('CA Certificate is not a valid PEM certificate');
+    }
 
-        const caKeyPath = path.join(tempDir, 'ca-key.pem');
-        const caCertPath = path.join(tempDir, 'ca-cert.pem');
-        const configPath = path.join(tempDir, 'ca-openssl.cnf');
+    // The issuer must be a CA, and its own pathlen must leave room for another level
+    const { basicConstraints } = certificateUsage(issuerCerts[0]).extensions;
 
-        try {
-            // Generate ECC private key for CA
-            await execAsync(`openssl ecparam -name ${curve} -genkey -noout -out ${caKeyPath}`);
-
-            // Create OpenSSL config for CA
-            const opensslConfig = `
-[ req ]
-default_bits       = 2048
-distinguished_name = req_distinguished_name
-x509_extensions    = v3_ca
-prompt             = no
-
-[ req_distinguished_name ]
-C  = ${country}
-ST = ${state}
-L  = ${locality}
-O  = ${organization}
-${organizationalUnit ? `OU = ${organizationalUnit}` : ''}
-CN = ${commonName}
-${email ? `emailAddress = ${email}` : ''}
-
-[ v3_ca ]
-subjectKeyIdentifier = hash
-authorityKeyIdentifier = keyid:always,issuer
-basicConstraints = critical,CA:true
-keyUsage = critical, digitalSignature, cRLSign, keyCertSign
-`;
+    if (!basicConstraints || !basicConstraints.ca) {
+        throw badRequest('The issuing certificate is not a CA certificate');
+    }
 
-            fs.writeFileSync(configPath, opensslConfig);
+    if (basicConstraints.pathlen === 0) {
+        throw badRequest('The issuing CA has pathlen:0, which allows no intermediate CAs below it');
+    }
+    if (basicConstraints.pathlen !== null && pathLength >= basicConstraints.pathlen) {
+        throw badRequest(`The issuing CA has pathlen:${basicConstraints.pathlen}, so the intermediate pathlen must be at most ${basicConstraints.pathlen - 1}`);
+    }
 
-            // Determine hash algorithm based on curve
-            const hashAlgorithm = curve === 'secp384r1' ? 'sha384' :
-                curve === 'secp521r1' ? 'sha512' : 'sha256';
+    // Generate the Intermediate CA key and request, signed below with the issuer's own algorithm
+    const { privateKey: intermediateKey } = await backend.generateKeyPair(keyAlgorithm);
+    const csr = await backend.createCsr({
+        privateKey: intermediateKey,
+        subject: subjectOf({ country, state, locality, organization, organizationalUnit, commonName, email }),
+        extensions: {}
+    });
+
+    // Stored CAs keep a persistent serial file, pasted keys get a random serial
+    const intermediateCert = await backend.signCsr({
+        csr,
+        caKey: issuer.caKey,
+        caCert: issuerCerts[0],
+        serialPath: issuer.serialPath,
+        days: validityDays,
+        extensions: {
+            subjectKeyIdentifier: true,
+            authorityKeyIdentifier: true,
+            basicConstraints: { critical: true, ca: true, pathlen: pathLength },
+            keyUsage: { critical: true, values: ['digitalSignature', 'cRLSign', 'keyCertSign'] },
+            nameConstraints: constraints,
+            certificatePolicies
+        }
+    });
 
-            // Generate self-signed CA certificate with appropriate hash
-            await execAsync(
-                `openssl req -new -x509 -${hashAlgorithm} -days ${validityDays} -key ${caKeyPath} -out ${caCertPath} -config ${configPath}`
-            );
+    // Get Intermediate CA certificate details
+    const certText = await backend.describeCertificate(intermediateCert);
 
-            // Read files
-            const caKey = fs.readFileSync(caKeyPath, 'utf8');
-            const caCert = fs.readFileSync(caCertPath, 'utf8');
+    const intermediateChain = [intermediateCert.trim(), ...issuerCerts].join('\n') + '\n';
+    const certInfo = await readCertInfo(intermediateCert);
 
-            // Get CA certificate details
-            const { stdout: certText } = await execAsync(
-                `openssl x509 -in ${caCertPath} -text -noout`
-            );
+    if (issuer.caId) {
+        caStore.recordIssued(issuer.caId, {
+            ...certInfo,
+            subjectAltNames: [],
+            profile: 'intermediate'
+        }, intermediateCert);
+    }
 
-            // Cleanup
-            fs.unlinkSync(caKeyPath);
-            fs.unlinkSync(caCertPath);
-            fs.unlinkSync(configPath);
-            fs.rmdirSync(tempDir);
-
-            res.json({
-                success: true,
-                caKey,
-                caCert,
-                certDetails: certText
-            });
+    // Keep the Intermediate CA in the vault so it can sign by caId
+    let intermediateId = null;
+    if (store) {
+        ({ caId: intermediateId } = caStore.saveCa({
+            caKey: await vaultKey(intermediateKey, options),
+            caCert: intermediateCert,
+            caChain: intermediateChain,
+            name: commonName,
+            type: 'intermediate',
+            parentId: issuer.caId,
+            subject: certInfo.subject,
+            notAfter: certInfo.notAfter
+        }));
+        await initialCrl(intermediateId, options);
+    }
 
-        } catch (error) {
-            try {
-                if (fs.existsSync(caKeyPath)) fs.unlinkSync(caKeyPath);
-                if (fs.existsSync(caCertPath)) fs.unlinkSync(caCertPath);
-                if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
-                if (fs.existsSync(tempDir)) fs.rmdirSync(tempDir);
-            } catch (e) { }
-            throw error;
-        }
+    const output = await keyFormat.formatPrivateKey(intermediateKey, options);
+
+    return {
+        caId: intermediateId,
+        caKey: output.key,
+        keyFormat: output.keyFormat,
+        caCert: intermediateCert,
+        caChain: intermediateChain,
+        certDetails: certText,
+        certDetailsJson: certificateJson(intermediateCert)
+    };
+}
+
+// Intermediate CA Generation Endpoint
+app.post('/api/generate-intermediate-ca', async (req, res) => {
+    try {
+        const result = await generateIntermediateCa(req.body);
+        audit(req, 'generate-intermediate-ca', { cert: result.caCert, caId: result.caId });
+        res.json({
+            success: true,
+            ...result
+        });
 
     } catch (error) {
-        console.error('Error generating Root CA:', error);
+        audit(req, 'generate-intermediate-ca', { error, ...requestedNames(req.body) });
+        console.error('Error generating Intermediate CA:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to generate Intermediate CA',
+            message: error.message
+        });
+    }
+});
+
+// Parse, verify and lint a CSR (PEM text, base64 DER or a DER buffer)
+async function inspectCsr(csr, profile = 'client') {
+    const certProfile = profiles.getProfile(profile);
+
+    let der = null;
+    if (Buffer.isBuffer(csr)) {
+        der = csr;
+    } else if (typeof csr === 'string' && !csr.includes('-----BEGIN') && /^[A-Za-z0-9+/=\s]+$/.test(csr.trim())) {
+        der = Buffer.from(csr.replace(/\s+/g, ''), 'base64');
+    } else if (typeof csr !== 'string' || !/-----BEGIN (NEW )?CERTIFICATE REQUEST-----/.test(csr)) {
+        throw badRequest('CSR must be a PEM or DER PKCS#10 certificate request');
+    }
+
+    // Proof of possession: signatureValid tells whether the request is signed by the key it carries
+    const { csr: csrPem, subject, signatureValid, csrDetails } = await backend.readCsr(der || csr);
+
+    const { publicKey, signatureAlgorithm, extensions } = csrUsage(csrPem);
+    const findings = csrLint.lintCsr({ subject, publicKey, signatureAlgorithm, extensions, signatureValid }, certProfile);
+
+    return {
+        profile,
+        signatureValid,
+        passed: !findings.some(finding => finding.level === 'error'),
+        subject,
+        commonName: (subject.find(rdn => rdn.type === 'CN') || {}).value || null,
+        publicKey,
+        signatureAlgorithm,
+        extensions,
+        findings,
+        csr: csrPem,
+        csrDetails,
+        csrDetailsJson: csrJson(csrPem)
+    };
+}
+
+// Certificate profiles available to the CSR and signing endpoints
+app.get('/api/profiles', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            profiles: profiles.listProfiles()
+        });
+    } catch (error) {
+        console.error('Error loading certificate profiles:', error);
         res.status(500).json({
-            error: 'Failed to generate Root CA',
+            error: 'Failed to load certificate profiles',
             message: error.message
         });
     }
 });
 
-// Sign Client CSR - LibreSSL Compatible (manually add SAN)
-app.post('/api/sign-client-cert', async (req, res) => {
+// CSR Inspection Endpoint: JSON { csr, profile } or a raw DER body (application/pkcs10, ?profile=)
+app.post('/api/inspect-csr', express.raw({ type: 'application/pkcs10' }), async (req, res) => {
     try {
-        const {
-            csr,
-            caKey,
-            caCert,
-            validityDays = 365,
-            subjectAltNames = [] // Accept SAN from frontend
-        } = req.body;
+        const isDer = Buffer.isBuffer(req.body);
+        const csr = isDer ? req.body : req.body.csr;
+        const profile = (isDer ? req.query.profile : req.body.profile) || 'client';
 
-        if (!csr || !caKey || !caCert) {
+        if (!csr || csr.length === 0) {
             return res.status(400).json({
-                error: 'CSR, CA Key, and CA Certificate are required'
+                error: 'CSR is required'
             });
         }
 
-        const tempDir = path.join(__dirname, 'temp', `sign-client-${Date.now()}`);
-        fs.mkdirSync(tempDir, { recursive: true });
-
-        const csrPath = path.join(tempDir, 'client.csr');
-        const caKeyPath = path.join(tempDir, 'ca-key.pem');
-        const caCertPath = path.join(tempDir, 'ca-cert.pem');
-        const certPath = path.join(tempDir, 'client-cert.pem');
-        const configPath = path.join(tempDir, 'sign.cnf');
-        const serialPath = path.join(tempDir, 'ca-cert.srl');
-
-        try {
-            // Write files
-            fs.writeFileSync(csrPath, csr);
-            fs.writeFileSync(caKeyPath, caKey);
-            fs.writeFileSync(caCertPath, caCert);
-
-            // Build Subject Alternative Names section
-            let sanSection = '';
-            if (subjectAltNames && subjectAltNames.length > 0) {
-                const sanEntries = subjectAltNames
-                    .filter(san => san.value && san.value.trim())
-                    .map((san, index) => `${san.type}.${index + 1} = ${san.value.trim()}`)
-                    .join('\n');
-
-                if (sanEntries) {
-                    sanSection = `
-[ alt_names ]
-${sanEntries}`;
-                }
-            }
-
-            // Create signing config with client extensions and SAN
-            const signingConfig = `
-[ v3_client ]
-basicConstraints = CA:FALSE
-subjectKeyIdentifier = hash
-authorityKeyIdentifier = keyid,issuer
-keyUsage = critical, digitalSignature, keyAgreement
-extendedKeyUsage = clientAuth
-${subjectAltNames && subjectAltNames.length > 0 ? 'subjectAltName = @alt_names' : ''}
-${sanSection}
-`;
-
-            fs.writeFileSync(configPath, signingConfig);
-
-            // Determine hash algorithm by examining the CA certificate
-            const { stdout: caInfo } = await execAsync(
-                `openssl x509 -in ${caCertPath} -text -noout | grep "Public-Key"`
-            );
-
-            const hashAlgorithm = caInfo.includes('384') ? 'sha384' :
-                caInfo.includes('521') ? 'sha512' : 'sha256';
-
-            // Sign the CSR - LibreSSL compatible (no -copy_extensions flag)
-            await execAsync(
-                `openssl x509 -req -${hashAlgorithm} -in ${csrPath} -CA ${caCertPath} -CAkey ${caKeyPath} -CAcreateserial -CAserial ${serialPath} -out ${certPath} -days ${validityDays} -extfile ${configPath} -extensions v3_client`
-            );
-
-            // Read signed certificate
-            const signedCert = fs.readFileSync(certPath, 'utf8');
+        const report = await inspectCsr(csr, profile);
+        res.json({
+            success: true,
+            ...report
+        });
 
-            // Get certificate details
-            const { stdout: certText } = await execAsync(
-                `openssl x509 -in ${certPath} -text -noout`
-            );
+    } catch (error) {
+        console.error('Error inspecting CSR:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to inspect CSR',
+            message: error.message
+        });
+    }
+});
 
-            // Cleanup
-            fs.unlinkSync(csrPath);
-            fs.unlinkSync(caKeyPath);
-            fs.unlinkSync(caCertPath);
-            fs.unlinkSync(certPath);
-            fs.unlinkSync(configPath);
-            if (fs.existsSync(serialPath)) {
-                fs.unlinkSync(serialPath);
-            }
-            fs.rmdirSync(tempDir);
+// Validate a CSR whose key was generated in the browser: only the CSR reaches the server.
+// Returns what the generate endpoints return, minus the keys.
+app.post('/api/validate-csr', async (req, res) => {
+    try {
+        const { csr, profile = 'client' } = req.body;
 
-            res.json({
-                success: true,
-                signedCert,
-                certDetails: certText
+        if (!csr) {
+            return res.status(400).json({
+                error: 'CSR is required'
             });
+        }
 
-        } catch (error) {
-            try {
-                if (fs.existsSync(csrPath)) fs.unlinkSync(csrPath);
-                if (fs.existsSync(caKeyPath)) fs.unlinkSync(caKeyPath);
-                if (fs.existsSync(caCertPath)) fs.unlinkSync(caCertPath);
-                if (fs.existsSync(certPath)) fs.unlinkSync(certPath);
-                if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
-                if (fs.existsSync(serialPath)) fs.unlinkSync(serialPath);
-                if (fs.existsSync(tempDir)) fs.rmdirSync(tempDir);
-            } catch (e) { }
-            throw error;
+        const report = await inspectCsr(csr, profile);
+        if (!report.signatureValid) {
+            throw badRequest('The CSR self-signature does not verify');
         }
 
+        const subjectAltNames = report.extensions.subjectAltNames || [];
+        profiles.checkSubjectAltNames(profiles.getProfile(profile), subjectAltNames, { checkRequired: false });
+
+        res.json({
+            success: true,
+            csr: report.csr,
+            csrDetails: report.csrDetails,
+            csrDetailsJson: report.csrDetailsJson,
+            profile,
+            subject: report.subject,
+            publicKey: report.publicKey,
+            findings: report.findings,
+            subjectAltNames
+        });
+
     } catch (error) {
-        console.error('Error signing client certificate:', error);
-        res.status(500).json({
-            error: 'Failed to sign client certificate',
+        console.error('Error validating CSR:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to validate CSR',
             message: error.message
         });
     }
 });
 
-// Sign Broker CSR with Root CA
-app.post('/api/sign-broker-cert', async (req, res) => {
+// The first certificate or CSR of a pasted PEM as openssl-style text and structured details
+async function describePem(pem, label) {
+    const block = String(pem || '').match(/-----BEGIN (CERTIFICATE|(NEW )?CERTIFICATE REQUEST)-----[\s\S]+?-----END \1-----/);
+    if (!block) {
+        throw badRequest(`${label} must be a PEM certificate or certificate request`);
+    }
+
+    let details;
     try {
-        const {
-            csr,
-            caKey,
-            caCert,
-            validityDays = 365,
-            subjectAltNames = []
-        } = req.body;
+        details = block[1] === 'CERTIFICATE' ? certificateJson(block[0]) : csrJson(block[0]);
+    } catch (e) {
+        throw badRequest(`${label} could not be parsed: ${e.message}`);
+    }
 
-        if (!csr || !caKey || !caCert) {
-            return res.status(400).json({
-                error: 'CSR, CA Key, and CA Certificate are required'
-            });
-        }
+    return block[1] === 'CERTIFICATE'
+        ? { type: 'certificate', details, text: await backend.describeCertificate(block[0]) }
+        : { type: 'csr', details, text: await backend.describeCsr(block[0]) };
+}
 
-        const tempDir = path.join(__dirname, 'temp', `sign-broker-${Date.now()}`);
-        fs.mkdirSync(tempDir, { recursive: true });
+// Structured details of a pasted certificate or CSR
+app.post('/api/describe', async (req, res) => {
+    try {
+        const { type, details, text } = await describePem(req.body.pem, 'pem');
+        res.json({
+            success: true,
+            type,
+            details,
+            text
+        });
+    } catch (error) {
+        console.error('Error describing certificate:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to describe certificate',
+            message: error.message
+        });
+    }
+});
 
-        const csrPath = path.join(tempDir, 'broker.csr');
-        const caKeyPath = path.join(tempDir, 'ca-key.pem');
-        const caCertPath = path.join(tempDir, 'ca-cert.pem');
-        const certPath = path.join(tempDir, 'broker-cert.pem');
-        const configPath = path.join(tempDir, 'sign.cnf');
-        const serialPath = path.join(tempDir, 'ca-cert.srl');
+// Side-by-side comparison of two certificates (or a CSR and a certificate)
+app.post('/api/compare', async (req, res) => {
+    try {
+        const a = await describePem(req.body.a, 'a');
+        const b = await describePem(req.body.b, 'b');
+        res.json({
+            success: true,
+            a: { type: a.type, details: a.details },
+            b: { type: b.type, details: b.details },
+            ...certCompare.compareDetails(a.details, b.details)
+        });
+    } catch (error) {
+        console.error('Error comparing certificates:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to compare certificates',
+            message: error.message
+        });
+    }
+});
 
-        try {
-            // Write files
-            fs.writeFileSync(csrPath, csr);
-            fs.writeFileSync(caKeyPath, caKey);
-            fs.writeFileSync(caCertPath, caCert);
-
-            // Build Subject Alternative Names
-            let sanSection = '';
-            if (subjectAltNames && subjectAltNames.length > 0) {
-                const sanEntries = subjectAltNames
-                    .filter(san => san.value && san.value.trim())
-                    .map((san, index) => `${san.type}.${index + 1} = ${san.value.trim()}`)
-                    .join('\n');
-
-                if (sanEntries) {
-                    sanSection = `
-[ alt_names ]
-${sanEntries}`;
-                }
-            }
+// Toolbox: PEM <-> DER and PKCS#7 <-> PEM chain conversion
+app.post('/api/toolbox/convert', (req, res) => {
+    try {
+        const { input, to, encoding } = req.body;
+        res.json({
+            success: true,
+            ...toolbox.convert({ input, to, encoding })
+        });
+    } catch (error) {
+        console.error('Error converting:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to convert',
+            message: error.message
+        });
+    }
+});
 
-            // Create signing config with broker extensions
-            const signingConfig = `
-[ v3_broker ]
-basicConstraints = CA:FALSE
-subjectKeyIdentifier = hash
-authorityKeyIdentifier = keyid,issuer
-keyUsage = critical, digitalSignature, keyEncipherment, keyAgreement
-extendedKeyUsage = serverAuth
-${subjectAltNames && subjectAltNames.length > 0 ? 'subjectAltName = @alt_names' : ''}
-${sanSection}
-`;
+// Do a private key, CSR and certificate (any two) belong to the same key pair
+app.post('/api/toolbox/match', (req, res) => {
+    try {
+        const { privateKey, csr, certificate, keyPassphrase } = req.body;
+        res.json({
+            success: true,
+            ...toolbox.matchKeys({ privateKey, csr, certificate, keyPassphrase })
+        });
+    } catch (error) {
+        console.error('Error matching keys:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to match keys',
+            message: error.message
+        });
+    }
+});
 
-            fs.writeFileSync(configPath, signingConfig);
+// Verify a leaf against a pasted chain or a stored CA's chain (caId). An invalid chain is a
+// result, not an error: valid is false and problems says why.
+app.post('/api/toolbox/verify', (req, res) => {
+    try {
+        const { certificate, chain, caId, purpose, host, at } = req.body;
+        res.json({
+            success: true,
+            ...toolbox.verifyChain({
+                certificate,
+                chain: caId ? caStore.getCa(caId).caChain : chain,
+                purpose,
+                host,
+                at
+            })
+        });
+    } catch (error) {
+        console.error('Error verifying chain:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to verify chain',
+            message: error.message
+        });
+    }
+});
 
-            // Determine hash algorithm by examining the CA certificate
-            const { stdout: caInfo } = await execAsync(
-                `openssl x509 -in ${caCertPath} -text -noout | grep "Public-Key"`
-            );
+// Split a chain file into leaf, intermediates and root, in order and without duplicates
+app.post('/api/toolbox/sort-chain', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...toolbox.sortChain({ pem: req.body.pem })
+        });
+    } catch (error) {
+        console.error('Error sorting chain:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to sort chain',
+            message: error.message
+        });
+    }
+});
 
-            const hashAlgorithm = caInfo.includes('384') ? 'sha384' :
-                caInfo.includes('521') ? 'sha512' : 'sha256';
+// Sign a CSR with the Root or an Intermediate CA under the given profile (the request's profile
+// overrides defaultProfile); thumbprints adds the cloud IoT thumbprints to the result
+async function signCertificate(options, { defaultProfile, thumbprints = false }) {
+    const {
+        csr,
+        caId,
+        caKey,
+        caCert,
+        validityDays,
+        crlDistributionPoint,
+        ocspUrl,
+        subjectAltNames = [], // Accept SAN from frontend
+        profile = defaultProfile
+    } = options;
+
+    if (!csr || (!caId && (!caKey || !caCert))) {
+        throw badRequest('CSR and either a stored CA ID or the CA Key and CA Certificate are required');
+    }
 
-            // Sign the CSR - LibreSSL compatible (no -copy_extensions flag)
-            await execAsync(
-                `openssl x509 -req -${hashAlgorithm} -in ${csrPath} -CA ${caCertPath} -CAkey ${caKeyPath} -CAcreateserial -CAserial ${serialPath} -out ${certPath} -days ${validityDays} -extfile ${configPath} -extensions v3_broker`
-            );
+    validateDistributionUrls({ crlDistributionPoint, ocspUrl });
 
-            // Read signed certificate
-            const signedCert = fs.readFileSync(certPath, 'utf8');
+    const certProfile = profiles.getProfile(profile);
+    const days = profiles.resolveValidity(certProfile, validityDays);
+    const sans = cleanSubjectAltNames(subjectAltNames);
+    profiles.checkSubjectAltNames(certProfile, sans);
 
-            // Get certificate details
-            const { stdout: certText } = await execAsync(
-                `openssl x509 -in ${certPath} -text -noout`
-            );
+    // The issuer may be the Root CA or an Intermediate CA, stored or pasted with its chain
+    const issuer = resolveIssuer(options);
+    const { issuerCerts } = issuer;
+    if (issuerCerts.length === 0) {
+        throw badRequest('CA Certificate is not a valid PEM certificate');
+    }
 
-            // Cleanup
-            fs.unlinkSync(csrPath);
-            fs.unlinkSync(caKeyPath);
-            fs.unlinkSync(caCertPath);
-            fs.unlinkSync(certPath);
-            fs.unlinkSync(configPath);
-            if (fs.existsSync(serialPath)) {
-                fs.unlinkSync(serialPath);
-            }
-            fs.rmdirSync(tempDir);
+    // Refused before signing if the issuing CA (or one above it) constrains these names
+    nameConstraints.checkIssuance(issuerCerts, { csr, subjectAltNames: sans });
+
+    // The CSR's own extensions are not copied: the profile and the SANs confirmed here apply
+    const signedCert = await backend.signCsr({
+        csr,
+        caKey: issuer.caKey,
+        caCert: issuerCerts[0],
+        serialPath: issuer.serialPath,
+        days,
+        extensions: {
+            subjectKeyIdentifier: true,
+            authorityKeyIdentifier: true,
+            ...profiles.certificateExtensions(certProfile, await csrKeyType(csr)),
+            subjectAltNames: sans,
+            crlDistributionPoint,
+            ocspUrl
+        }
+    });
+
+    // Get certificate details
+    const certText = await backend.describeCertificate(signedCert);
+
+    // Leaf + intermediate bundle for fullchain.pem
+    const fullchain = await buildFullchain(signedCert, issuerCerts);
+
+    // Log the issuance in the CA's ledger
+    const certInfo = await readCertInfo(signedCert);
+    if (issuer.caId) {
+        caStore.recordIssued(issuer.caId, {
+            ...certInfo,
+            subjectAltNames: sans,
+            profile: certProfile.name
+        }, signedCert);
+    }
 
-            res.json({
-                success: true,
-                signedCert,
-                certDetails: certText
-            });
+    return {
+        caId: issuer.caId,
+        serial: certInfo.serial,
+        fingerprint: certInfo.fingerprint,
+        notAfter: certInfo.notAfter,
+        profile: certProfile.name,
+        signedCert,
+        fullchain,
+        ...(thumbprints && { thumbprints: cloudIot.thumbprints(signedCert) }),
+        certDetails: certText,
+        certDetailsJson: certificateJson(signedCert)
+    };
+}
+
+// Sign a client CSR with the Root or an Intermediate CA
+function signClientCertificate(options) {
+    return signCertificate(options, { defaultProfile: 'client', thumbprints: true });
+}
+
+// Sign Client CSR Endpoint
+app.post('/api/sign-client-cert', async (req, res) => {
+    try {
+        const result = await signClientCertificate(req.body);
+        audit(req, 'sign-client-cert', { cert: result.signedCert, caId: result.caId, profile: result.profile });
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        audit(req, 'sign-client-cert', { error, caId: req.body.caId, csr: req.body.csr });
+        console.error('Error signing client certificate:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to sign client certificate',
+            message: error.message
+        });
+    }
+});
 
-        } catch (error) {
-            try {
-                if (fs.existsSync(csrPath)) fs.unlinkSync(csrPath);
-                if (fs.existsSync(caKeyPath)) fs.unlinkSync(caKeyPath);
-                if (fs.existsSync(caCertPath)) fs.unlinkSync(caCertPath);
-                if (fs.existsSync(certPath)) fs.unlinkSync(certPath);
-                if (fs.existsSync(configPath)) fs.unlinkSync(configPath);
-                if (fs.existsSync(serialPath)) fs.unlinkSync(serialPath);
-                if (fs.existsSync(tempDir)) fs.rmdirSync(tempDir);
-            } catch (e) { }
-            throw error;
-        }
+// Sign a broker CSR with the Root or an Intermediate CA
+function signBrokerCertificate(options) {
+    return signCertificate(options, { defaultProfile: 'broker' });
+}
 
+// Sign Broker CSR Endpoint
+app.post('/api/sign-broker-cert', async (req, res) => {
+    try {
+        const result = await signBrokerCertificate(req.body);
+        audit(req, 'sign-broker-cert', { cert: result.signedCert, caId: result.caId, profile: result.profile });
+        res.json({
+            success: true,
+            ...result
+        });
     } catch (error) {
+        audit(req, 'sign-broker-cert', { error, caId: req.body.caId, csr: req.body.csr });
         console.error('Error signing broker certificate:', error);
-        res.status(500).json({
-            error: 'Failed to sign broker certificate',
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to sign broker certificate',
             message: error.message
         });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`
+// Profile a certificate was issued with: from the issuing CA's ledger, else matched by its EKU
+function profileOf(caId, info, extensions) {
+    if (caId) {
+        try {
+            const entry = caStore.getIssued(caId, info.serial);
+            if (entry.fingerprint === info.fingerprint) {
+                return profiles.getProfile(entry.profile);
+            }
+        } catch (e) { }
+    }
+
+    const profile = renewal.matchProfile(extensions, profiles.listProfiles());
+    if (!profile) {
+        throw badRequest('No profile issues the Extended Key Usage of this certificate, choose a profile');
+    }
+    return profile;
+}
+
+// Reissue an existing certificate with the same subject, SANs and profile and a new validity
+// period, keeping its key or generating a new one (re-key)
+async function renewCertificate(options) {
+    const {
+        cert,
+        privateKey,
+        rekey = false,
+        keyAlgorithm,
+        caId,
+        caKey,
+        caCert,
+        validityDays,
+        profile,
+        switchIssuer = false
+    } = options;
+
+    const previousCert = splitPemCertificates(cert)[0];
+    if (!previousCert || (!caId && (!caKey || !caCert))) {
+        throw badRequest('A PEM certificate and either a stored CA ID or the CA Key and CA Certificate are required');
+    }
+
+    const issuer = resolveIssuer(options);
+    const { issuerCerts } = issuer;
+    if (issuerCerts.length === 0) {
+        throw badRequest('CA Certificate is not a valid PEM certificate');
+    }
+
+    // Renewing under another CA moves the subject to a new issuer, only when asked for
+    const previous = new crypto.X509Certificate(previousCert);
+    const issuingCa = new crypto.X509Certificate(issuerCerts[0]);
+    const sameIssuer = previous.checkIssued(issuingCa) && previous.verify(issuingCa.publicKey);
+    if (!sameIssuer && !switchIssuer) {
+        throw badRequest('The certificate was not issued by this CA, set switchIssuer to re-issue it under another CA');
+    }
+
+    const previousInfo = await backend.certificateInfo(previousCert);
+    const ledgerEntry = issuedEntryOf(previous, previousInfo.serial);
+    if (ledgerEntry && ledgerEntry.revokedAt && !rekey) {
+        throw badRequest(`The certificate was revoked (${ledgerEntry.revocationReason || 'unspecified'}), only a re-key can replace it`);
+    }
+
+    const previousDetails = certificateUsage(previousCert);
+    const { extensions } = previousDetails;
+    if (extensions.basicConstraints && extensions.basicConstraints.ca) {
+        throw badRequest('CA certificates are not renewed here, generate a new Root or Intermediate CA instead');
+    }
+
+    const certProfile = profile ? profiles.getProfile(profile) : profileOf(issuer.caId, previousInfo, extensions);
+    const days = profiles.resolveValidity(certProfile, validityDays);
+    const sans = cleanSubjectAltNames(extensions.subjectAltNames);
+    profiles.checkSubjectAltNames(certProfile, sans);
+    nameConstraints.checkIssuance(issuerCerts, { cert: previousCert, subjectAltNames: sans });
+
+    // CRL and OCSP URLs carry over unless given, an empty string leaves them out
+    const crlDistributionPoint = options.crlDistributionPoint !== undefined ? options.crlDistributionPoint : extensions.crlDistributionPoint;
+    const ocspUrl = options.ocspUrl !== undefined ? options.ocspUrl : extensions.ocspUrl;
+
+    validateDistributionUrls({ crlDistributionPoint, ocspUrl });
+
+    // Re-key with the requested algorithm or the one of the current key
+    let newKey = null;
+    let keyType = previousDetails.publicKey.type;
+    if (rekey) {
+        const algorithm = keyAlgorithm || renewal.keyAlgorithmOf(previousDetails.publicKey, backend.KEY_ALGORITHMS);
+        if (!algorithm) {
+            throw badRequest(`No new ${previousDetails.publicKey.algorithm} key can be generated, choose a keyAlgorithm`);
+        }
+        newKey = await backend.generateKeyPair(algorithm);
+        keyType = backend.keyType(algorithm);
+    } else if (privateKey) {
+        let matches;
+        try {
+            matches = renewal.publicKeyFingerprint(privateKey) === renewal.publicKeyFingerprint(previousCert);
+        } catch (e) {
+            throw badRequest('Private Key is not a valid unencrypted PEM private key');
+        }
+        if (!matches) {
+            throw badRequest('The Private Key does not match the certificate');
+        }
+    }
+
+    const signedCert = await backend.reissueCertificate({
+        cert: previousCert,
+        publicKey: newKey ? newKey.publicKey : null,
+        caKey: issuer.caKey,
+        caCert: issuerCerts[0],
+        serialPath: issuer.serialPath,
+        days,
+        extensions: {
+            subjectKeyIdentifier: true,
+            authorityKeyIdentifier: true,
+            ...profiles.certificateExtensions(certProfile, keyType),
+            subjectAltNames: sans,
+            crlDistributionPoint,
+            ocspUrl
+        }
+    });
+
+    const certText = await backend.describeCertificate(signedCert);
+    const fullchain = await buildFullchain(signedCert, issuerCerts);
+    const newInfo = await backend.certificateInfo(signedCert);
+
+    if (issuer.caId) {
+        const { issuer: issuerName, ...certInfo } = newInfo;
+        caStore.recordIssued(issuer.caId, {
+            ...certInfo,
+            subjectAltNames: sans,
+            profile: certProfile.name,
+            renewedFrom: previousInfo.serial,
+            // The serial belongs to another CA's ledger
+            ...(!sameIssuer && { renewedFromIssuer: previousInfo.issuer })
+        }, signedCert);
+    }
+
+    // What an operator should check: normally only serial, validity and (re-key) the key differ
+    const { changed, unchanged } = renewal.diffSummaries(
+        renewal.summarize(previousCert, previousInfo, previousDetails),
+        renewal.summarize(signedCert, newInfo, certificateUsage(signedCert))
+    );
+
+    return {
+        caId: issuer.caId,
+        serial: newInfo.serial,
+        fingerprint: newInfo.fingerprint,
+        notAfter: newInfo.notAfter,
+        profile: certProfile.name,
+        rekeyed: !!newKey,
+        privateKey: newKey ? newKey.privateKey : null,
+        publicKey: newKey ? newKey.publicKey : null,
+        signedCert,
+        fullchain,
+        certDetails: certText,
+        certDetailsJson: certificateJson(signedCert),
+        changes: changed,
+        unchanged
+    };
+}
+
+// Ledger entry of a certificate issued by any stored CA, null for certificates from elsewhere
+function issuedEntryOf(cert, serial) {
+    for (const { caId } of caStore.listCas()) {
+        const caCert = new crypto.X509Certificate(caStore.getCa(caId).caCert);
+        if (cert.checkIssued(caCert) && cert.verify(caCert.publicKey)) {
+            const entry = caStore.listIssued(caId).find(issued => issued.serial === serial);
+            if (entry) return entry;
+        }
+    }
+    return null;
+}
+
+// Certificate Renewal Endpoint: same subject, SANs and profile, new validity, optional re-key
+app.post('/api/renew-cert', async (req, res) => {
+    try {
+        const result = await renewCertificate(req.body);
+        audit(req, 'renew-cert', { cert: result.signedCert, caId: result.caId, profile: result.profile });
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        audit(req, 'renew-cert', { error, caId: req.body.caId });
+        console.error('Error renewing certificate:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to renew certificate',
+            message: error.message
+        });
+    }
+});
+
+// SAN type prefixes are case-insensitive, the profiles and backends use these names
+const SAN_TYPE_NAMES = { dns: 'DNS', ip: 'IP', email: 'email', uri: 'URI' };
+
+// "DNS:a.example;IP:10.0.0.1" (CSV column) or [{ type, value }] (JSON) into SAN entries
+function parseSanList(sans) {
+    if (Array.isArray(sans)) return sans;
+    if (!sans) return [];
+
+    // Entries are separated by ; or |, or by a comma that starts the next typed entry
+    // (URIs may contain commas themselves)
+    return String(sans).split(/[;|]|,(?=\s*(?:DNS|IP|email|URI)\s*:)/i)
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [type, ...value] = entry.split(':');
+            const name = type.trim();
+            return { type: SAN_TYPE_NAMES[name.toLowerCase()] || name, value: value.join(':').trim() };
+        });
+}
+
+// Folder names inside the ZIP: safe characters only, unique per device
+function deviceFolderName(commonName, used) {
+    const base = String(commonName || 'device').replace(/[^A-Za-z0-9._-]/g, '_').slice(0, 64) || 'device';
+    let name = base;
+    for (let i = 2; used.has(name); i++) {
+        name = `${base}-${i}`;
+    }
+    used.add(name);
+    return name;
+}
+
+const BATCH_LIMIT = 1000;
+
+// Bulk client provisioning: generate, sign and package one identity per device
+app.post('/api/batch-provision', async (req, res) => {
+    try {
+        const {
+            devices,
+            csv,
+            subject = {},
+            curve = 'prime256v1',
+            keyAlgorithm = curve,
+            validityDays,
+            profile = 'client',
+            subjectAltNames: defaultSans = [],
+            crlDistributionPoint,
+            ocspUrl
+        } = req.body;
+
+        const rows = Array.isArray(devices) ? devices : parseCsv(csv || '');
+
+        if (rows.length === 0) {
+            throw badRequest('Provide devices as a JSON array or CSV with a commonName column');
+        }
+
+        if (rows.length > BATCH_LIMIT) {
+            throw badRequest(`A batch is limited to ${BATCH_LIMIT} devices, got ${rows.length}`);
+        }
+
+        // The CA must be usable before any device is processed
+        const issuer = resolveIssuer(req.body);
+        if (issuer.issuerCerts.length === 0) {
+            throw badRequest('Either a stored CA ID or a valid CA Key and CA Certificate are required');
+        }
+        const caChainPem = issuer.issuerCerts.join('\n') + '\n';
+        profiles.getProfile(profile);
+
+        const usedFolders = new Set();
+        const files = [];
+        const manifest = [];
+
+        // One device at a time: every device forks several openssl processes
+        for (const [index, row] of rows.entries()) {
+            const commonName = row.commonName || row.cn || row.CN;
+            const entry = {
+                row: index + 1,
+                commonName: commonName || '',
+                serialNumber: row.serialNumber || '',
+                status: 'failed'
+            };
+
+            try {
+                if (!commonName) {
+                    throw badRequest('commonName is missing');
+                }
+
+                const rowSans = parseSanList(row.subjectAltNames || row.sans);
+                const sans = rowSans.length > 0 ? rowSans : parseSanList(defaultSans);
+
+                const generated = await generateClientCsr({
+                    ...subject,
+                    keyAlgorithm,
+                    commonName,
+                    serialNumber: row.serialNumber,
+                    subjectAltNames: sans,
+                    profile
+                });
+
+                const signed = await signClientCertificate({
+                    ...req.body,
+                    csr: generated.csr,
+                    validityDays,
+                    crlDistributionPoint,
+                    ocspUrl,
+                    subjectAltNames: sans
+                });
+
+                audit(req, 'batch-provision', { cert: signed.signedCert, caId: signed.caId, profile: signed.profile });
+
+                const folder = deviceFolderName(commonName, usedFolders);
+                files.push(
+                    { name: `${folder}/client-key.pem`, content: generated.privateKey },
+                    { name: `${folder}/client-cert.pem`, content: signed.signedCert },
+                    { name: `${folder}/ca-chain.pem`, content: caChainPem }
+                );
+
+                Object.assign(entry, {
+                    status: 'ok',
+                    folder,
+                    certSerial: signed.serial,
+                    sha256Fingerprint: signed.fingerprint,
+                    notAfter: signed.notAfter
+                });
+            } catch (error) {
+                console.error(`Batch row ${index + 1} failed:`, error.message);
+                audit(req, 'batch-provision', { error, caId: req.body.caId, ...requestedNames({ ...subject, commonName, serialNumber: row.serialNumber }) });
+                entry.error = error.message.split('\n')[0];
+            }
+
+            manifest.push(entry);
+        }
+
+        const succeeded = manifest.filter(entry => entry.status === 'ok').length;
+
+        res.set({
+            'X-Batch-Succeeded': String(succeeded),
+            'X-Batch-Failed': String(manifest.length - succeeded)
+        });
+
+        files.push({
+            name: 'manifest.csv',
+            content: toCsv(
+                ['row', 'commonName', 'serialNumber', 'status', 'folder', 'certSerial', 'sha256Fingerprint', 'notAfter', 'error'],
+                manifest
+            )
+        });
+        await sendZip(res, `mqtt-clients-${Date.now()}.zip`, files);
+
+    } catch (error) {
+        console.error('Error in batch provisioning:', error);
+        audit(req, 'batch-provision', { error, caId: req.body.caId });
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to provision devices',
+            message: error.message
+        });
+    }
+});
+
+// Loopback mTLS test: broker identity as a temporary local TLS server, client identity connecting to it
+app.post('/api/test-connection', async (req, res) => {
+    try {
+        const { caId, caCert, brokerKey, brokerCert, clientKey, clientCert, host = 'localhost' } = req.body;
+
+        if (!brokerKey || !brokerCert || !clientKey || !clientCert || (!caId && !caCert)) {
+            return res.status(400).json({
+                error: 'Broker key and certificate, client key and certificate, and a stored CA ID or CA Certificate are required'
+            });
+        }
+
+        if (!/^[A-Za-z0-9.:*-]+$/.test(host)) {
+            return res.status(400).json({
+                error: 'Host must be a DNS name or IP address'
+            });
+        }
+
+        // Trust anchors: the whole chain of a stored CA, or every certificate pasted
+        const caCerts = splitPemCertificates(caId ? caStore.getCa(caId).caChain : caCert);
+        if (caCerts.length === 0) {
+            return res.status(400).json({
+                error: 'CA Certificate is not a valid PEM certificate'
+            });
+        }
+
+        const report = await testMtlsHandshake({ caCerts, brokerKey, brokerCert, clientKey, clientCert, host });
+        res.json({
+            success: true,
+            ...report
+        });
+
+    } catch (error) {
+        console.error('Error testing connection:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to test connection',
+            message: error.message
+        });
+    }
+});
+
+// Export a client identity (key + signed cert + CA chain) as PKCS#12 or an Apple configuration profile
+app.post('/api/export-identity', async (req, res) => {
+    try {
+        const {
+            privateKey,
+            keyPassphrase,
+            cert,
+            caId,
+            caChain,
+            password,
+            format = 'p12',
+            encryption = 'modern',
+            friendlyName,
+            includePassword = false
+        } = req.body;
+
+        if (!privateKey || !cert) {
+            return res.status(400).json({
+                error: 'Private Key and signed Certificate are required'
+            });
+        }
+
+        if (!['p12', 'pfx', 'mobileconfig'].includes(format)) {
+            return res.status(400).json({
+                error: 'format must be one of p12, pfx, mobileconfig'
+            });
+        }
+
+        if (!['modern', 'legacy'].includes(encryption)) {
+            return res.status(400).json({
+                error: 'encryption must be either modern or legacy'
+            });
+        }
+
+        if (!password || password.length < 4) {
+            return res.status(400).json({
+                error: 'An export password of at least 4 characters is required'
+            });
+        }
+
+        // An encrypted key is decrypted here, openssl would wait for its passphrase on stdin
+        const plainKey = keyFormat.decryptPrivateKey(privateKey, keyPassphrase, 'Private Key');
+        const chainCerts = splitPemCertificates(caId ? caStore.getCa(caId).caChain : caChain);
+
+        const tempDir = path.join(__dirname, 'temp', `export-${Date.now()}`);
+        fs.mkdirSync(tempDir, { recursive: true });
+
+        const keyPath = path.join(tempDir, 'client-key.pem');
+        const certPath = path.join(tempDir, 'client-cert.pem');
+        const chainPath = path.join(tempDir, 'ca-chain.pem');
+        const p12Path = path.join(tempDir, 'client.p12');
+
+        try {
+            fs.writeFileSync(keyPath, plainKey, { mode: 0o600 });
+            fs.writeFileSync(certPath, cert);
+            fs.writeFileSync(chainPath, chainCerts.join('\n') + '\n');
+
+            const { commonName } = await readCertInfo(cert);
+
+            // Legacy = 3DES/SHA-1 (older Android keystores and iOS), modern = AES-256/SHA-256
+            const encryptionArgs = encryption === 'legacy'
+                ? '-keypbe PBE-SHA1-3DES -certpbe PBE-SHA1-3DES -macalg sha1'
+                : '-keypbe AES-256-CBC -certpbe AES-256-CBC -macalg sha256';
+
+            try {
+                await execAsync(
+                    `openssl pkcs12 -export -inkey ${keyPath} -in ${certPath} ${chainCerts.length ? `-certfile ${chainPath}` : ''} -name "$P12_NAME" ${encryptionArgs} -passout env:P12_PASSWORD -out ${p12Path}`,
+                    { ...OPENSSL_EXEC_LIMITS, env: { ...process.env, P12_NAME: friendlyName || commonName || 'mqtt-client', P12_PASSWORD: password } }
+                );
+            } catch (error) {
+                if (/matches private key|key values mismatch/i.test(error.message)) {
+                    error.status = 400;
+                    error.message = 'The private key does not match the certificate';
+                }
+                throw error;
+            }
+
+            const p12 = fs.readFileSync(p12Path);
+            const baseName = (commonName || 'mqtt-client').replace(/[^A-Za-z0-9._-]/g, '_');
+
+            if (format !== 'mobileconfig') {
+                res.set('Content-Disposition', `attachment; filename="${baseName}.${format}"`);
+                return res.type('application/x-pkcs12').send(p12);
+            }
+
+            // The profile trusts the root(s) of the chain; intermediates travel inside the PKCS#12
+            const roots = [];
+            for (const [index, pem] of chainCerts.entries()) {
+                if (await isSelfSigned(pem)) {
+                    const { commonName: rootName } = await readCertInfo(pem);
+                    roots.push({ name: rootName || `Root CA ${index + 1}`, der: x509.fromPem(pem, ['CERTIFICATE']) });
+                }
+            }
+
+            const profile = buildMobileconfig({
+                p12,
+                p12Password: includePassword ? password : null,
+                roots,
+                commonName: commonName || 'mqtt-client'
+            });
+
+            res.set('Content-Disposition', `attachment; filename="${baseName}.mobileconfig"`);
+            res.type('application/x-apple-aspen-config').send(profile);
+
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+
+    } catch (error) {
+        console.error('Error exporting identity:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to export identity',
+            message: error.message
+        });
+    }
+});
+
+// Broker configuration bundle: key, certificates and TLS listener config per broker, as a ZIP
+app.post('/api/broker-config-bundle', async (req, res) => {
+    try {
+        const {
+            privateKey,
+            keyPassphrase,
+            cert,
+            caId,
+            caChain,
+            port = 8883,
+            tlsVersion = 'tlsv1.2',
+            mtls = 'required',
+            brokers = brokerConfig.BROKERS,
+            keystorePassword
+        } = req.body;
+
+        if (!privateKey || !cert || (!caId && !caChain)) {
+            return res.status(400).json({
+                error: 'Broker Private Key, signed Certificate and a stored CA ID or CA Chain are required'
+            });
+        }
+
+        const listenerPort = parseInt(port);
+        if (!(listenerPort >= 1 && listenerPort <= 65535)) {
+            return res.status(400).json({
+                error: 'port must be between 1 and 65535'
+            });
+        }
+
+        if (!brokerConfig.TLS_VERSIONS.includes(tlsVersion)) {
+            return res.status(400).json({
+                error: `tlsVersion must be one of ${brokerConfig.TLS_VERSIONS.join(', ')}`
+            });
+        }
+
+        if (!brokerConfig.MTLS_MODES.includes(mtls)) {
+            return res.status(400).json({
+                error: `mtls must be one of ${brokerConfig.MTLS_MODES.join(', ')}`
+            });
+        }
+
+        const selected = [].concat(brokers);
+        if (selected.length === 0 || selected.some(broker => !brokerConfig.BROKERS.includes(broker))) {
+            return res.status(400).json({
+                error: `brokers must be a list of ${brokerConfig.BROKERS.join(', ')}`
+            });
+        }
+
+        // The leaf may be pasted on its own or as fullchain.pem
+        const [leafCert, ...intermediates] = splitPemCertificates(cert);
+        const caCerts = splitPemCertificates(caId ? caStore.getCa(caId).caChain : caChain);
+        if (!leafCert || caCerts.length === 0) {
+            return res.status(400).json({
+                error: 'Certificate and CA Chain must be PEM certificates'
+            });
+        }
+
+        // The bundle keeps the key as pasted, the HiveMQ keystore is built from the decrypted one
+        const plainKey = keyFormat.decryptPrivateKey(privateKey, keyPassphrase, 'Broker Private Key');
+        let keyMatches = false;
+        try {
+            keyMatches = new crypto.X509Certificate(leafCert).checkPrivateKey(crypto.createPrivateKey(plainKey));
+        } catch (e) { }
+        if (!keyMatches) {
+            return res.status(400).json({
+                error: 'The private key does not match the certificate'
+            });
+        }
+
+        const tempDir = path.join(__dirname, 'temp', `broker-config-${Date.now()}`);
+        fs.mkdirSync(tempDir, { recursive: true });
+
+        const keyPath = path.join(tempDir, 'broker-key.pem');
+        const certPath = path.join(tempDir, 'broker-cert.pem');
+        const chainPath = path.join(tempDir, 'ca-chain.pem');
+        const p12Path = path.join(tempDir, 'broker-keystore.p12');
+
+        try {
+            fs.writeFileSync(keyPath, plainKey, { mode: 0o600 });
+            fs.writeFileSync(certPath, leafCert + '\n');
+            fs.writeFileSync(chainPath, caCerts.join('\n') + '\n');
+
+            const { commonName } = await readCertInfo(leafCert);
+            const fullchain = await buildFullchain(leafCert + '\n', [...new Set([...intermediates, ...caCerts])]);
+            const options = { port: listenerPort, tlsVersion, mtls };
+
+            const files = [
+                { name: 'broker-key.pem', content: privateKey, mode: 0o600 },
+                { name: 'broker-cert.pem', content: leafCert + '\n' },
+                { name: 'broker-fullchain.pem', content: fullchain },
+                { name: 'ca-chain.pem', content: caCerts.join('\n') + '\n' },
+                { name: 'README.txt', content: brokerConfig.bundleReadme({ ...options, brokers: selected, commonName }) }
+            ];
+
+            if (selected.includes('mosquitto')) {
+                files.push({ name: 'mosquitto/mosquitto.conf', content: brokerConfig.mosquittoConfig(options) });
+            }
+
+            if (selected.includes('emqx')) {
+                files.push({ name: 'emqx/emqx.conf', content: brokerConfig.emqxConfig(options) });
+            }
+
+            if (selected.includes('hivemq')) {
+                // HiveMQ reads its identity from a Java keystore
+                const password = keystorePassword || crypto.randomBytes(12).toString('base64url');
+                await execAsync(
+                    `openssl pkcs12 -export -inkey ${keyPath} -in ${certPath} -certfile ${chainPath} -name broker -keypbe AES-256-CBC -certpbe AES-256-CBC -macalg sha256 -passout env:P12_PASSWORD -out ${p12Path}`,
+                    { ...OPENSSL_EXEC_LIMITS, env: { ...process.env, P12_PASSWORD: password } }
+                );
+
+                files.push(
+                    { name: 'hivemq/config.xml', content: brokerConfig.hivemqConfig({ ...options, keystorePassword: password }) },
+                    { name: 'hivemq/broker-keystore.p12', content: fs.readFileSync(p12Path) }
+                );
+
+                if (mtls !== 'none') {
+                    files.push(
+                        { name: 'hivemq/create-truststore.sh', content: brokerConfig.hivemqTruststoreScript(caCerts.length), mode: 0o755 },
+                        ...caCerts.map((pem, index) => ({ name: `hivemq/ca-${index + 1}.pem`, content: pem + '\n' }))
+                    );
+                }
+            }
+
+            const baseName = (commonName || 'broker').replace(/[^A-Za-z0-9._-]/g, '_');
+            await sendZip(res, `${baseName}-broker-config.zip`, files);
+
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+
+    } catch (error) {
+        console.error('Error building broker config bundle:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to build broker config bundle',
+            message: error.message
+        });
+    }
+});
+
+// Sign a throwaway certificate whose CN is the code a cloud console asks for, proving that
+// we hold the CA key (AWS registration code, Azure verification code)
+async function issueVerificationCert(issuer, code) {
+    const { privateKey } = await backend.generateKeyPair('prime256v1');
+    const csr = await backend.createCsr({
+        privateKey,
+        subject: [{ type: 'CN', value: code }],
+        extensions: {}
+    });
+
+    const cert = await backend.signCsr({
+        csr,
+        caKey: issuer.caKey,
+        caCert: issuer.issuerCerts[0],
+        serialPath: issuer.serialPath,
+        days: 30,
+        extensions: {
+            subjectKeyIdentifier: true,
+            authorityKeyIdentifier: true,
+            basicConstraints: { critical: false, ca: false },
+            keyUsage: { critical: true, values: ['digitalSignature'] }
+        }
+    });
+
+    if (issuer.caId) {
+        const certInfo = await readCertInfo(cert);
+        caStore.recordIssued(issuer.caId, { ...certInfo, subjectAltNames: [], profile: 'verification' }, cert);
+    }
+
+    return { privateKey, cert };
+}
+
+// AWS IoT and Azure registration files for a CA (the stored or pasted issuing CA)
+async function cloudCaArtifacts(options) {
+    const {
+        caId,
+        caKey,
+        caCert,
+        platforms = cloudIot.PLATFORMS,
+        registrationCode,
+        verificationCode,
+        roleArn,
+        policyName,
+        topicPrefix
+    } = options;
+
+    if (!caId && (!caKey || !caCert)) {
+        throw badRequest('A stored CA ID or the CA Key and CA Certificate are required');
+    }
+
+    const selected = cloudIot.checkPlatforms(platforms);
+    const issuer = resolveIssuer(options);
+    const [issuingCert] = issuer.issuerCerts;
+    if (!issuingCert) {
+        throw badRequest('CA Certificate is not a valid PEM certificate');
+    }
+
+    const { extensions } = certificateUsage(issuingCert);
+    if (!extensions.basicConstraints || !extensions.basicConstraints.ca) {
+        throw badRequest('The CA Certificate is not a CA certificate');
+    }
+
+    const awsCode = selected.includes('aws') && registrationCode ? cloudIot.checkCode('registrationCode', registrationCode) : null;
+    const azureCode = selected.includes('azure') && verificationCode ? cloudIot.checkCode('verificationCode', verificationCode) : null;
+    const template = selected.includes('aws') ? cloudIot.jitpTemplate({ roleArn, policyName, topicPrefix }) : null;
+
+    const { commonName } = await readCertInfo(issuingCert);
+    const caPem = issuingCert.trim() + '\n';
+    const prints = cloudIot.thumbprints(issuingCert);
+    const files = [];
+    const verificationCerts = [];
+
+    if (selected.includes('aws')) {
+        files.push(
+            { name: 'aws/ca-cert.pem', content: caPem },
+            { name: 'aws/provisioning-template.json', content: JSON.stringify(template, null, 2) + '\n' },
+            { name: 'aws/README.txt', content: cloudIot.awsCaReadme({ commonName, registrationCode: awsCode, roleArn }) }
+        );
+        if (awsCode) {
+            const verification = await issueVerificationCert(issuer, awsCode);
+            verificationCerts.push(verification.cert);
+            files.push(
+                { name: 'aws/verification-cert.pem', content: verification.cert },
+                { name: 'aws/verification-key.pem', content: verification.privateKey, mode: 0o600 }
+            );
+        }
+    }
+
+    if (selected.includes('azure')) {
+        files.push(
+            { name: 'azure/ca-cert.pem', content: caPem },
+            { name: 'azure/thumbprints.txt', content: cloudIot.thumbprintsFile(commonName, prints) },
+            { name: 'azure/README.txt', content: cloudIot.azureCaReadme({ commonName, verificationCode: azureCode, prints }) }
+        );
+        if (azureCode) {
+            const verification = await issueVerificationCert(issuer, azureCode);
+            verificationCerts.push(verification.cert);
+            files.push(
+                { name: 'azure/verification-cert.pem', content: verification.cert },
+                { name: 'azure/verification-key.pem', content: verification.privateKey, mode: 0o600 }
+            );
+        }
+    }
+
+    return { commonName, files, caId: issuer.caId, verificationCerts };
+}
+
+// AWS IoT and Azure files for a client certificate issued by the given CA
+async function cloudClientArtifacts(options) {
+    const {
+        cert,
+        privateKey,
+        caId,
+        caCert,
+        caChain,
+        platforms = cloudIot.PLATFORMS
+    } = options;
+
+    const selected = cloudIot.checkPlatforms(platforms);
+    const [leafCert, ...intermediates] = splitPemCertificates(cert);
+    const caCerts = splitPemCertificates(caId ? caStore.getCa(caId).caChain : `${caCert || ''}\n${caChain || ''}`);
+    if (!leafCert || caCerts.length === 0) {
+        throw badRequest('A PEM client certificate and a stored CA ID or CA Certificate are required');
+    }
+
+    const leaf = new crypto.X509Certificate(leafCert);
+    const issuingCert = caCerts[0];
+    if (!leaf.checkIssued(new crypto.X509Certificate(issuingCert)) || !leaf.verify(new crypto.X509Certificate(issuingCert).publicKey)) {
+        throw badRequest('The client certificate was not issued by this CA');
+    }
+
+    if (privateKey) {
+        let keyMatches = false;
+        try {
+            keyMatches = leaf.checkPrivateKey(crypto.createPrivateKey(privateKey));
+        } catch (e) { }
+        if (!keyMatches) {
+            throw badRequest('The private key does not match the certificate');
+        }
+    }
+
+    const { commonName } = await readCertInfo(leafCert);
+    if (!commonName) {
+        throw badRequest('The client certificate has no Common Name, AWS and Azure use it as the device ID');
+    }
+
+    const devicePem = leafCert.trim() + '\n';
+    const prints = cloudIot.thumbprints(leafCert);
+    const withKey = !!privateKey;
+    const files = [];
+
+    if (selected.includes('aws')) {
+        files.push(
+            { name: 'aws/device-cert.pem', content: devicePem },
+            // JITP: the device presents its certificate together with the registered CA
+            { name: 'aws/device-cert-and-ca-cert.pem', content: `${leafCert.trim()}\n${issuingCert.trim()}\n` },
+            { name: 'aws/ca-cert.pem', content: issuingCert.trim() + '\n' },
+            { name: 'aws/README.txt', content: cloudIot.awsClientReadme({ commonName, withKey }) }
+        );
+        if (withKey) {
+            files.push({ name: 'aws/private-key.pem', content: privateKey, mode: 0o600 });
+        }
+    }
+
+    if (selected.includes('azure')) {
+        files.push(
+            { name: 'azure/device-cert.pem', content: devicePem },
+            { name: 'azure/device-fullchain.pem', content: await buildFullchain(devicePem, [...new Set([...intermediates, ...caCerts])]) },
+            { name: 'azure/thumbprints.txt', content: cloudIot.thumbprintsFile(commonName, prints) },
+            { name: 'azure/README.txt', content: cloudIot.azureClientReadme({ commonName, withKey, prints }) }
+        );
+        if (withKey) {
+            files.push({ name: 'azure/private-key.pem', content: privateKey, mode: 0o600 });
+        }
+    }
+
+    return { commonName, files };
+}
+
+// The cloud exports and the MQTT client kit are ZIP downloads
+async function sendZip(res, fileName, files) {
+    res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', error => {
+        console.error('Error writing ZIP download:', error);
+        res.destroy(error);
+    });
+    archive.pipe(res);
+
+    files.forEach(file => archive.append(file.content, { name: file.name, mode: file.mode }));
+    await archive.finalize();
+}
+
+// Cloud IoT registration files for a CA: AWS verification certificate and JITP template,
+// Azure thumbprints and proof-of-possession certificate
+app.post('/api/cloud-artifacts/ca', async (req, res) => {
+    try {
+        const { commonName, files, caId, verificationCerts } = await cloudCaArtifacts(req.body);
+        for (const cert of verificationCerts) {
+            audit(req, 'cloud-verification-cert', { cert, caId, profile: 'verification' });
+        }
+        const baseName = (commonName || 'ca').replace(/[^A-Za-z0-9._-]/g, '_');
+        await sendZip(res, `${baseName}-cloud-ca.zip`, files);
+
+    } catch (error) {
+        console.error('Error building cloud CA artifacts:', error);
+        if (req.body.registrationCode || req.body.verificationCode) {
+            audit(req, 'cloud-verification-cert', { error, caId: req.body.caId });
+        }
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to build cloud CA artifacts',
+            message: error.message
+        });
+    }
+});
+
+// Cloud IoT files for a client certificate: AWS JITP certificate bundle, Azure thumbprints
+app.post('/api/cloud-artifacts/client', async (req, res) => {
+    try {
+        const { commonName, files } = await cloudClientArtifacts(req.body);
+        const baseName = commonName.replace(/[^A-Za-z0-9._-]/g, '_');
+        await sendZip(res, `${baseName}-cloud-device.zip`, files);
+
+    } catch (error) {
+        console.error('Error building cloud client artifacts:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to build cloud client artifacts',
+            message: error.message
+        });
+    }
+});
+
+// MQTT client kit (lib/client-kit.js): key, certificate and CA chain with connection snippets
+// for mosquitto, MQTT.js, Paho Python/Java and ESP-IDF, using the certificate CN as client ID
+async function clientKitFiles(options) {
+    const { cert, privateKey, caId, caCert, caChain } = options;
+
+    const settings = clientKit.checkOptions(options);
+    const [leafCert, ...intermediates] = splitPemCertificates(cert);
+    const caCerts = splitPemCertificates(caId ? caStore.getCa(caId).caChain : `${caCert || ''}\n${caChain || ''}`);
+    if (!leafCert || caCerts.length === 0) {
+        throw badRequest('A PEM client certificate and a stored CA ID or CA Certificate are required');
+    }
+
+    const leaf = new crypto.X509Certificate(leafCert);
+    const issuingCert = new crypto.X509Certificate(caCerts[0]);
+    if (!leaf.checkIssued(issuingCert) || !leaf.verify(issuingCert.publicKey)) {
+        throw badRequest('The client certificate was not issued by this CA');
+    }
+
+    let key = null;
+    if (privateKey) {
+        try {
+            key = crypto.createPrivateKey(privateKey);
+        } catch (e) { }
+        if (!key || !leaf.checkPrivateKey(key)) {
+            throw badRequest('The private key does not match the certificate');
+        }
+    }
+
+    const { commonName } = await readCertInfo(leafCert);
+    if (!commonName) {
+        throw badRequest('The client certificate has no Common Name, the kit uses it as MQTT client ID');
+    }
+
+    const fullchain = await buildFullchain(leafCert, [...new Set([...intermediates, ...caCerts])]);
+    const caChainPem = caCerts.map(pem => pem.trim()).join('\n') + '\n';
+    const snippet = {
+        ...settings,
+        clientId: commonName,
+        topic: settings.topic || clientKit.defaultTopic(commonName),
+        keyType: leaf.publicKey.asymmetricKeyType,
+        withKey: !!key
+    };
+
+    const files = [
+        { name: 'client-cert.pem', content: leafCert.trim() + '\n' },
+        { name: 'client-fullchain.pem', content: fullchain },
+        { name: 'ca-chain.pem', content: caChainPem },
+        { name: 'README.txt', content: clientKit.kitReadme(snippet) },
+        { name: 'mosquitto/subscribe.sh', content: clientKit.mosquittoScript('mosquitto_sub', snippet), mode: 0o755 },
+        { name: 'mosquitto/publish.sh', content: clientKit.mosquittoScript('mosquitto_pub', snippet), mode: 0o755 },
+        { name: 'mqttjs/client.js', content: clientKit.mqttJsClient(snippet) },
+        { name: 'mqttjs/package.json', content: clientKit.mqttJsPackage() },
+        { name: 'python/client.py', content: clientKit.pahoPythonClient(snippet) },
+        { name: 'python/requirements.txt', content: 'paho-mqtt>=2.0\n' },
+        { name: 'java/MqttTlsClient.java', content: clientKit.pahoJavaClient(snippet) },
+        {
+            name: 'esp-idf/mqtt_tls_client.c',
+            content: clientKit.espIdfConfig({ ...snippet, caChain: caChainPem, clientCert: fullchain, privateKey })
+        }
+    ];
+    if (key) {
+        files.push(
+            { name: 'client-key.pem', content: privateKey.trim() + '\n', mode: 0o600 },
+            { name: 'java/client-key-pkcs8.pem', content: key.export({ type: 'pkcs8', format: 'pem' }), mode: 0o600 }
+        );
+    }
+
+    return { commonName, files };
+}
+
+app.post('/api/client-kit', async (req, res) => {
+    try {
+        const { commonName, files } = await clientKitFiles(req.body);
+        const baseName = commonName.replace(/[^A-Za-z0-9._-]/g, '_');
+        await sendZip(res, `${baseName}-mqtt-client-kit.zip`, files);
+
+    } catch (error) {
+        console.error('Error building MQTT client kit:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to build MQTT client kit',
+            message: error.message
+        });
+    }
+});
+
+// CSR submission queue (lib/csr-queue.js): requesters submit a CSR with a note, a CA
+// operator reviews it, adjusts SANs/validity and approves (signs) or rejects it
+app.post('/api/requests', async (req, res) => {
+    try {
+        const { csr, type = 'client', profile = type, note, requestedBy } = req.body;
+
+        if (!csr) {
+            return res.status(400).json({
+                error: 'CSR is required'
+            });
+        }
+
+        const report = await inspectCsr(csr, profile);
+        if (!report.signatureValid) {
+            throw badRequest('The CSR self-signature does not verify');
+        }
+        // Required SAN types are checked on approval, the operator can still add them
+        profiles.checkSubjectAltNames(profiles.getProfile(profile), report.extensions.subjectAltNames || [], { checkRequired: false });
+
+        const record = csrQueue.submitRequest({ type, note, requestedBy, report });
+
+        res.json({
+            success: true,
+            id: record.id,
+            status: record.status,
+            findings: record.findings
+        });
+
+    } catch (error) {
+        console.error('Error submitting CSR:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to submit CSR',
+            message: error.message
+        });
+    }
+});
+
+app.get('/api/requests', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            requests: csrQueue.listRequests({ status: req.query.status })
+        });
+    } catch (error) {
+        console.error('Error listing CSR requests:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to list CSR requests',
+            message: error.message
+        });
+    }
+});
+
+// Poll a request: its status, the decision and, once approved, the certificate and full chain
+app.get('/api/requests/:id', async (req, res) => {
+    try {
+        const record = csrQueue.getRequest(req.params.id);
+        res.json({
+            success: true,
+            ...record,
+            csrDetails: await backend.describeCsr(record.csr),
+            csrDetailsJson: csrJson(record.csr)
+        });
+    } catch (error) {
+        console.error('Error loading CSR request:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to load CSR request',
+            message: error.message
+        });
+    }
+});
+
+// Sign with the operator's CA, profile, SANs and validity; the requested ones are the defaults.
+// Deciding needs an operator's basic credentials, the decision records that operator
+app.post('/api/requests/:id/approve', async (req, res) => {
+    let operator = null;
+    let claim = null;
+    try {
+        const { comment, profile, subjectAltNames, validityDays, crlDistributionPoint, ocspUrl } = req.body;
+        operator = csrQueue.authenticateOperator(req.headers.authorization);
+        claim = csrQueue.claimRequest(req.params.id, operator, comment);
+        const { record } = claim;
+
+        const sans = subjectAltNames === undefined ? record.subjectAltNames : cleanSubjectAltNames(parseSanList(subjectAltNames));
+        const sign = record.type === 'broker' ? signBrokerCertificate : signClientCertificate;
+        const result = await sign({
+            csr: record.csr,
+            caId: req.body.caId,
+            caKey: req.body.caKey,
+            caCert: req.body.caCert,
+            caChain: req.body.caChain,
+            caKeyPassphrase: req.body.caKeyPassphrase,
+            profile: profile || record.profile,
+            validityDays,
+            subjectAltNames: sans,
+            crlDistributionPoint,
+            ocspUrl
+        });
+
+        const decided = csrQueue.recordDecision(record, 'approved', claim.by, {
+            comment: claim.comment,
+            caId: result.caId,
+            profile: result.profile,
+            subjectAltNames: sans,
+            serial: result.serial,
+            fingerprint: result.fingerprint,
+            notAfter: result.notAfter
+        }, {
+            cert: result.signedCert,
+            fullchain: result.fullchain
+        });
+        audit(req, 'approve-request', { cert: result.signedCert, caId: result.caId, profile: result.profile, actor: claim.by });
+
+        res.json({
+            success: true,
+            ...decided
+        });
+
+    } catch (error) {
+        console.error('Error approving CSR request:', error);
+        audit(req, 'approve-request', {
+            error,
+            caId: req.body.caId,
+            actor: operator,
+            csr: claim ? claim.record.csr : null
+        });
+        if (error.status === 401) {
+            res.set('WWW-Authenticate', 'Basic realm="CSR requests"');
+        }
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to approve CSR request',
+            message: error.message
+        });
+    } finally {
+        if (claim) claim.release();
+    }
+});
+
+app.post('/api/requests/:id/reject', (req, res) => {
+    let operator = null;
+    let claim = null;
+    try {
+        operator = csrQueue.authenticateOperator(req.headers.authorization);
+        claim = csrQueue.claimRequest(req.params.id, operator, req.body.comment);
+
+        const decided = csrQueue.recordDecision(claim.record, 'rejected', claim.by, { comment: claim.comment });
+        audit(req, 'reject-request', { actor: claim.by, csr: claim.record.csr, profile: claim.record.profile });
+
+        res.json({
+            success: true,
+            ...decided
+        });
+
+    } catch (error) {
+        console.error('Error rejecting CSR request:', error);
+        audit(req, 'reject-request', {
+            error,
+            actor: operator,
+            csr: claim ? claim.record.csr : null
+        });
+        if (error.status === 401) {
+            res.set('WWW-Authenticate', 'Basic realm="CSR requests"');
+        }
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to reject CSR request',
+            message: error.message
+        });
+    } finally {
+        if (claim) claim.release();
+    }
+});
+
+// List CAs kept in the server-side vault
+app.get('/api/cas', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            cas: caStore.listCas()
+        });
+    } catch (error) {
+        console.error('Error listing CAs:', error);
+        res.status(500).json({
+            error: 'Failed to list CAs',
+            message: error.message
+        });
+    }
+});
+
+// CA details (certificate and chain, never the private key)
+app.get('/api/cas/:caId', (req, res) => {
+    try {
+        const { meta, caCert, caChain } = caStore.getCa(req.params.caId);
+        res.json({
+            success: true,
+            ...meta,
+            caCert,
+            caChain,
+            issuedCount: caStore.listIssued(req.params.caId).length
+        });
+    } catch (error) {
+        console.error('Error reading CA:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to read CA',
+            message: error.message
+        });
+    }
+});
+
+// Issuance ledger of a CA
+app.get('/api/cas/:caId/certificates', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            caId: req.params.caId,
+            certificates: caStore.listIssued(req.params.caId)
+        });
+    } catch (error) {
+        console.error('Error listing issued certificates:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to list issued certificates',
+            message: error.message
+        });
+    }
+});
+
+// Single ledger entry including the issued certificate PEM
+app.get('/api/cas/:caId/certificates/:serial', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            caId: req.params.caId,
+            ...caStore.getIssued(req.params.caId, req.params.serial)
+        });
+    } catch (error) {
+        console.error('Error reading issued certificate:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to read issued certificate',
+            message: error.message
+        });
+    }
+});
+
+// Revoke a certificate issued by a stored CA, by serial number or PEM certificate
+app.post('/api/cas/:caId/revoke', async (req, res) => {
+    try {
+        const { caId } = req.params;
+        const { cert, reason = 'unspecified' } = req.body;
+        let { serial } = req.body;
+
+        if (!serial && !cert) {
+            return res.status(400).json({
+                error: 'Either a serial number or a PEM certificate is required'
+            });
+        }
+
+        if (!serial) {
+            try {
+                ({ serial } = await readCertInfo(cert));
+            } catch (e) {
+                return res.status(400).json({
+                    error: 'Certificate is not a valid PEM certificate'
+                });
+            }
+        }
+
+        // Fails before anything is recorded when an encrypted CA key has no passphrase
+        storedCaKey(caStore.getCa(caId), req.body.caKeyPassphrase);
+        const record = caStore.revokeIssued(caId, serial.replace(/:/g, ''), reason);
+
+        // Publish the revocation right away
+        const crl = await generateCrl(caId, undefined, req.body.caKeyPassphrase);
+
+        res.json({
+            success: true,
+            caId,
+            ...record,
+            crlNextUpdate: crl.nextUpdate
+        });
+
+    } catch (error) {
+        console.error('Error revoking certificate:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to revoke certificate',
+            message: error.message
+        });
+    }
+});
+
+// Generate a signed CRL for a stored CA
+app.post('/api/cas/:caId/crl', async (req, res) => {
+    try {
+        const { caId } = req.params;
+        const { nextUpdateDays = 7 } = req.body;
+        const nextUpdateHours = req.body.nextUpdateHours !== undefined
+            ? parseInt(req.body.nextUpdateHours, 10)
+            : Math.round(parseFloat(nextUpdateDays) * 24);
+
+        if (isNaN(nextUpdateHours) || nextUpdateHours < 1) {
+            return res.status(400).json({
+                error: 'nextUpdate must be at least one hour'
+            });
+        }
+
+        const crl = await generateCrl(caId, nextUpdateHours, req.body.caKeyPassphrase);
+
+        const crlPath = path.join(__dirname, 'temp', `crl-details-${Date.now()}.pem`);
+        fs.mkdirSync(path.dirname(crlPath), { recursive: true });
+        fs.writeFileSync(crlPath, crl.pem);
+        let crlText;
+        try {
+            ({ stdout: crlText } = await execAsync(`openssl crl -in ${crlPath} -text -noout`));
+        } finally {
+            fs.unlinkSync(crlPath);
+        }
+
+        res.json({
+            success: true,
+            caId,
+            crl: crl.pem,
+            crlDetails: crlText,
+            nextUpdate: crl.nextUpdate,
+            crlUrl: `${req.protocol}://${req.get('host')}/crl/${caId}.crl`,
+            crlPemUrl: `${req.protocol}://${req.get('host')}/crl/${caId}.pem`
+        });
+
+    } catch (error) {
+        console.error('Error generating CRL:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to generate CRL',
+            message: error.message
+        });
+    }
+});
+
+// Stable CRL URLs (DER for crlDistributionPoints, PEM for mosquitto's crlfile).
+// The CRL is re-signed on demand once its nextUpdate has passed.
+app.get('/crl/:caId.:format(crl|pem)', async (req, res) => {
+    try {
+        const { caId, format } = req.params;
+        let crl = caStore.getCrl(caId);
+
+        // An encrypted CA key cannot re-sign here: its last CRL is served until it is re-signed
+        // with the passphrase (POST /api/cas/:caId/crl)
+        if (!crl || (new Date(crl.nextUpdate) <= new Date() && !caStore.getCa(caId).meta.keyEncrypted)) {
+            crl = await generateCrl(caId);
+        }
+
+        if (format === 'pem') {
+            res.type('application/x-pem-file').send(crl.pem);
+        } else {
+            res.type('application/pkix-crl').send(crl.der);
+        }
+
+    } catch (error) {
+        console.error('Error serving CRL:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to serve CRL',
+            message: error.message
+        });
+    }
+});
+
+// Issue a delegated OCSP signing certificate for a stored CA
+app.post('/api/cas/:caId/ocsp-signer', async (req, res) => {
+    try {
+        const { caId } = req.params;
+        const { validityDays = 30, caKeyPassphrase } = req.body;
+        const ca = caStore.getCa(caId);
+        const caKey = storedCaKey(ca, caKeyPassphrase);
+
+        // Generate ECC private key for the responder
+        const { privateKey: key } = await backend.generateKeyPair('prime256v1');
+        const csr = await backend.createCsr({
+            privateKey: key,
+            subject: [{ type: 'CN', value: `${ca.meta.name} OCSP Responder` }],
+            extensions: {}
+        });
+
+        const cert = await backend.signCsr({
+            csr,
+            caKey,
+            caCert: ca.caCert,
+            serialPath: ca.serialPath,
+            days: validityDays,
+            extensions: {
+                subjectKeyIdentifier: true,
+                authorityKeyIdentifier: true,
+                basicConstraints: { critical: false, ca: false },
+                keyUsage: { critical: true, values: ['digitalSignature'] },
+                extendedKeyUsage: { critical: true, values: ['OCSPSigning'] },
+                ocspNoCheck: true
+            }
+        });
+        const certInfo = await readCertInfo(cert);
+
+        caStore.recordIssued(caId, { ...certInfo, subjectAltNames: [], profile: 'ocsp' }, cert);
+        caStore.saveOcspSigner(caId, { key, cert });
+        audit(req, 'issue-ocsp-signer', { cert, caId, profile: 'ocsp' });
+
+        const certText = await backend.describeCertificate(cert);
+
+        res.json({
+            success: true,
+            caId,
+            serial: certInfo.serial,
+            ocspCert: cert,
+            certDetails: certText,
+            certDetailsJson: certificateJson(cert)
+        });
+
+    } catch (error) {
+        console.error('Error issuing OCSP signer:', error);
+        audit(req, 'issue-ocsp-signer', { error, caId: req.params.caId });
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to issue OCSP signer',
+            message: error.message
+        });
+    }
+});
+
+// Answer a DER OCSP request from the CA's ledger, signed by the delegated signer or the CA
+async function answerOcsp(caId, requestDer) {
+    const ca = caStore.getCa(caId);
+
+    const tempDir = path.join(__dirname, 'temp', `ocsp-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    const caCertPath = path.join(tempDir, 'ca-cert.pem');
+    const signerKeyPath = path.join(tempDir, 'signer-key.pem');
+    const signerCertPath = path.join(tempDir, 'signer-cert.pem');
+    const indexPath = path.join(tempDir, 'index.txt');
+    const requestPath = path.join(tempDir, 'request.der');
+    const responsePath = path.join(tempDir, 'response.der');
+
+    try {
+        fs.writeFileSync(caCertPath, ca.caCert);
+        fs.writeFileSync(indexPath, caStore.opensslIndex(caId));
+        // The ledger does not keep subjects in the index, so they are not unique
+        fs.writeFileSync(`${indexPath}.attr`, 'unique_subject = no\n');
+        fs.writeFileSync(requestPath, requestDer);
+
+        // Prefer the delegated signer while it is still valid
+        let signer = caStore.getOcspSigner(caId);
+        if (signer) {
+            const { notAfter } = await readCertInfo(signer.cert);
+            if (new Date(notAfter) <= new Date()) {
+                signer = null;
+            }
+        }
+        if (!signer && ca.meta.keyEncrypted) {
+            throw badRequest(`The key of CA ${ca.meta.name} is encrypted, issue a delegated OCSP signer to answer OCSP requests`);
+        }
+        fs.writeFileSync(signerKeyPath, signer ? signer.key : ca.caKey, { mode: 0o600 });
+        fs.writeFileSync(signerCertPath, signer ? signer.cert : ca.caCert);
+
+        await execAsync(
+            `openssl ocsp -index ${indexPath} -CA ${caCertPath} -rsigner ${signerCertPath} -rkey ${signerKeyPath} -reqin ${requestPath} -respout ${responsePath} -ndays 1`
+        );
+
+        return fs.readFileSync(responsePath);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+// OCSP responder (RFC 6960): POST with a DER body, or GET with the base64 request in the path
+app.post('/ocsp/:caId', express.raw({ type: 'application/ocsp-request' }), async (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({
+                error: 'Expected a DER OCSP request with Content-Type application/ocsp-request'
+            });
+        }
+
+        const response = await answerOcsp(req.params.caId, req.body);
+        res.type('application/ocsp-response').send(response);
+
+    } catch (error) {
+        console.error('Error answering OCSP request:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to answer OCSP request',
+            message: error.message
+        });
+    }
+});
+
+app.get('/ocsp/:caId/:request(*)', async (req, res) => {
+    try {
+        const requestDer = Buffer.from(decodeURIComponent(req.params.request), 'base64');
+        const response = await answerOcsp(req.params.caId, requestDer);
+        res.type('application/ocsp-response').send(response);
+
+    } catch (error) {
+        console.error('Error answering OCSP request:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to answer OCSP request',
+            message: error.message
+        });
+    }
+});
+
+// Certs-only PKCS#7 (a SignedData without signers), the format EST returns certificates in
+async function certsOnlyPkcs7(certs) {
+    const tempDir = path.join(__dirname, 'temp', `pkcs7-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    const certsPath = path.join(tempDir, 'certs.pem');
+    const pkcs7Path = path.join(tempDir, 'certs.p7b');
+
+    try {
+        fs.writeFileSync(certsPath, certs.map(cert => cert.trim()).join('\n') + '\n');
+        await execAsync(
+            `openssl crl2pkcs7 -nocrl -certfile ${certsPath} -outform DER -out ${pkcs7Path}`
+        );
+        return fs.readFileSync(pkcs7Path);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+// EST bodies are base64 DER (Content-Transfer-Encoding: base64), sent as bytes to avoid a charset
+function sendEstPkcs7(res, der) {
+    res.set('Content-Type', 'application/pkcs7-mime; smime-type=certs-only');
+    res.set('Content-Transfer-Encoding', 'base64');
+    res.send(Buffer.from(der.toString('base64').match(/.{1,64}/g).join('\n') + '\n'));
+}
+
+function estUnauthorized(message) {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+}
+
+function sanKeys(subjectAltNames = []) {
+    return subjectAltNames.map(san => `${san.type}:${san.value}`).sort();
+}
+
+// The client certificate of a re-enrollment: presented in the TLS handshake, issued by the
+// enrollment CA, currently valid and not revoked
+async function estClientCertificate(req, ca) {
+    const peer = typeof req.socket.getPeerCertificate === 'function' ? req.socket.getPeerCertificate() : null;
+    if (!peer || !peer.raw) {
+        throw estUnauthorized(EST_TLS_PORT
+            ? 'Re-enrollment needs the current client certificate in the TLS handshake'
+            : 'Re-enrollment needs the current client certificate, enable the EST TLS listener with EST_TLS_PORT');
+    }
+
+    const cert = new crypto.X509Certificate(peer.raw);
+    const caCert = new crypto.X509Certificate(ca.caCert);
+    if (!cert.checkIssued(caCert) || !cert.verify(caCert.publicKey)) {
+        throw estUnauthorized('The client certificate was not issued by the EST CA');
+    }
+
+    const now = new Date();
+    if (new Date(cert.validFrom) > now || new Date(cert.validTo) <= now) {
+        throw estUnauthorized('The client certificate is not valid at this time');
+    }
+
+    // Certificates signed with a pasted CA key are not in the ledger, only their signature counts
+    const pem = cert.toString();
+    const { serial } = await readCertInfo(pem);
+    const entry = caStore.listIssued(ca.meta.caId).find(issued => issued.serial === serial);
+    if (entry && entry.revokedAt) {
+        throw estUnauthorized('The client certificate has been revoked');
+    }
+
+    return pem;
+}
+
+// Sign an EST request with the configured CA and profile. A re-enrollment must keep the
+// subject and SANs of the certificate it renews (RFC 7030, 4.2.2).
+async function estEnroll(csrBody, currentCert) {
+    if (!Buffer.isBuffer(csrBody) || csrBody.length === 0) {
+        throw badRequest('Expected a base64 PKCS#10 request with Content-Type application/pkcs10');
+    }
+
+    const { caId, profile, validityDays } = est.getSettings();
+    const report = await inspectCsr(csrBody.toString('latin1').trim(), profile);
+    if (!report.signatureValid) {
+        throw badRequest('The CSR self-signature does not verify');
+    }
+
+    const subjectAltNames = report.extensions.subjectAltNames || [];
+    if (currentCert) {
+        const subject = report.subject.map(rdn => `${rdn.type}=${rdn.value}`).join('\n');
+        const current = certificateUsage(currentCert);
+        if (subject !== new crypto.X509Certificate(currentCert).subject ||
+            sanKeys(subjectAltNames).join() !== sanKeys(current.extensions.subjectAltNames).join()) {
+            throw badRequest('A re-enrollment request must keep the subject and SANs of the current certificate');
+        }
+    }
+
+    const result = await signClientCertificate({
+        csr: report.csr,
+        caId,
+        profile,
+        validityDays: validityDays || undefined,
+        subjectAltNames
+    });
+
+    return {
+        ...result,
+        pkcs7: await certsOnlyPkcs7([result.signedCert])
+    };
+}
+
+// EST (RFC 7030) for devices enrolling themselves: the configured CA's certificates...
+app.get('/.well-known/est/cacerts', async (req, res) => {
+    try {
+        const ca = est.enrollmentCa();
+        sendEstPkcs7(res, await certsOnlyPkcs7(splitPemCertificates(ca.caChain)));
+
+    } catch (error) {
+        console.error('Error answering EST cacerts:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to return the EST CA certificates',
+            message: error.message
+        });
+    }
+});
+
+// ...enrollment with HTTP basic credentials...
+app.post('/.well-known/est/simpleenroll', express.raw({ type: 'application/pkcs10' }), async (req, res) => {
+    let username = null;
+    try {
+        est.enrollmentCa();
+        username = est.authenticate(req.headers.authorization);
+        if (!username) {
+            throw estUnauthorized('Enrollment needs valid HTTP basic credentials');
+        }
+
+        const result = await estEnroll(req.body);
+        audit(req, 'est-simpleenroll', { cert: result.signedCert, caId: result.caId, profile: result.profile, actor: username });
+        sendEstPkcs7(res, result.pkcs7);
+
+    } catch (error) {
+        console.error('Error answering EST simpleenroll:', error);
+        audit(req, 'est-simpleenroll', { error, actor: username, csr: req.body });
+        if (error.status === 401) {
+            res.set('WWW-Authenticate', 'Basic realm="EST"');
+        }
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to enroll',
+            message: error.message
+        });
+    }
+});
+
+// ...and re-enrollment with the current client certificate
+app.post('/.well-known/est/simplereenroll', express.raw({ type: 'application/pkcs10' }), async (req, res) => {
+    try {
+        const ca = est.enrollmentCa();
+        const currentCert = await estClientCertificate(req, ca);
+
+        const result = await estEnroll(req.body, currentCert);
+        audit(req, 'est-simplereenroll', { cert: result.signedCert, caId: result.caId, profile: result.profile });
+        sendEstPkcs7(res, result.pkcs7);
+
+    } catch (error) {
+        console.error('Error answering EST simplereenroll:', error);
+        audit(req, 'est-simplereenroll', { error, csr: req.body });
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to re-enroll',
+            message: error.message
+        });
+    }
+});
+
+// EST settings: enrollment CA, profile, validity and users
+app.get('/api/est', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            settings: est.getSettings(),
+            users: est.listUsers(),
+            tlsPort: EST_TLS_PORT
+        });
+    } catch (error) {
+        console.error('Error loading EST settings:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to load EST settings',
+            message: error.message
+        });
+    }
+});
+
+app.post('/api/est', (req, res) => {
+    try {
+        const { caId, profile, validityDays } = req.body;
+        res.json({
+            success: true,
+            settings: est.saveSettings({ caId, profile, validityDays })
+        });
+    } catch (error) {
+        console.error('Error saving EST settings:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to save EST settings',
+            message: error.message
+        });
+    }
+});
+
+app.post('/api/est/users', (req, res) => {
+    try {
+        const { username, password } = req.body;
+        res.json({
+            success: true,
+            user: est.saveUser(username, password)
+        });
+    } catch (error) {
+        console.error('Error saving EST user:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to save EST user',
+            message: error.message
+        });
+    }
+});
+
+app.post('/api/est/users/:username/remove', (req, res) => {
+    try {
+        est.removeUser(req.params.username);
+        res.json({
+            success: true
+        });
+    } catch (error) {
+        console.error('Error removing EST user:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to remove EST user',
+            message: error.message
+        });
+    }
+});
+
+// Expiry inventory: ledger entries of the stored CAs, the stored CAs and imported certificates
+
+// CA certificates never change, so their details are read once
+const caCertInfo = new Map();
+
+async function storedCaInfo(caId) {
+    if (!caCertInfo.has(caId)) {
+        caCertInfo.set(caId, await backend.certificateInfo(caStore.getCa(caId).caCert));
+    }
+    return caCertInfo.get(caId);
+}
+
+// Every tracked certificate with its days remaining as of now, each certificate once
+async function inventoryEntries(now = new Date()) {
+    const entries = [];
+    const seen = new Set();
+    const add = entry => {
+        if (seen.has(entry.fingerprint)) return;
+        seen.add(entry.fingerprint);
+        entries.push(inventory.withExpiry(entry, now));
+    };
+
+    const cas = caStore.listCas();
+    for (const ca of cas) {
+        for (const issued of caStore.listIssued(ca.caId)) {
+            add({
+                id: inventory.issuedId(ca.caId, issued.serial),
+                source: 'issued',
+                type: issued.profile,
+                commonName: issued.commonName,
+                subject: issued.subject,
+                issuer: ca.subject,
+                caId: ca.caId,
+                serial: issued.serial,
+                subjectAltNames: issued.subjectAltNames || [],
+                notBefore: issued.notBefore,
+                notAfter: issued.notAfter,
+                fingerprint: issued.fingerprint,
+                revokedAt: issued.revokedAt || null
+            });
+        }
+    }
+
+    // Intermediates signed by a stored CA are already in its ledger
+    for (const ca of cas) {
+        const info = await storedCaInfo(ca.caId);
+        add({
+            id: inventory.vaultId(ca.caId),
+            source: 'ca',
+            type: ca.type,
+            commonName: info.commonName,
+            subject: info.subject,
+            issuer: info.issuer,
+            caId: ca.parentId || ca.caId,
+            serial: info.serial,
+            subjectAltNames: [],
+            notBefore: info.notBefore,
+            notAfter: info.notAfter,
+            fingerprint: info.fingerprint,
+            revokedAt: null
+        });
+    }
+
+    inventory.listImported().forEach(add);
+    return entries;
+}
+
+// Certificate PEM of an inventory entry
+function inventoryCertificate(entry) {
+    if (entry.source === 'issued') return caStore.getIssued(entry.caId, entry.serial).cert;
+    if (entry.source === 'ca') return caStore.getCa(entry.id.replace(/^ca-/, '')).caCert;
+    return inventory.getImported(entry.id).cert;
+}
+
+// Parse and keep PEM certificates issued elsewhere; already tracked ones are skipped
+async function importCertificates({ cert, label }) {
+    const certs = splitPemCertificates(cert);
+    if (certs.length === 0) {
+        throw badRequest('No PEM certificate found');
+    }
+
+    const tracked = new Set((await inventoryEntries()).map(entry => entry.fingerprint));
+    const imported = [];
+    const skipped = [];
+
+    for (const pem of certs) {
+        let info;
+        try {
+            info = await backend.certificateInfo(pem);
+        } catch (error) {
+            throw badRequest(`Not a valid PEM certificate: ${pem.slice(0, 64)}...`);
+        }
+        if (tracked.has(info.fingerprint)) {
+            skipped.push({ commonName: info.commonName, serial: info.serial, reason: 'Already tracked' });
+            continue;
+        }
+
+        const { extensions } = certificateUsage(pem);
+        const profile = renewal.matchProfile(extensions, profiles.listProfiles());
+        const type = extensions.basicConstraints && extensions.basicConstraints.ca
+            ? (info.subject === info.issuer ? 'root' : 'intermediate')
+            : (profile ? profile.name : 'other');
+
+        imported.push(inventory.saveImported({
+            label: label ? String(label).trim() : '',
+            type,
+            commonName: info.commonName,
+            subject: info.subject,
+            issuer: info.issuer,
+            caId: null,
+            serial: info.serial,
+            subjectAltNames: cleanSubjectAltNames(extensions.subjectAltNames),
+            notBefore: info.notBefore,
+            notAfter: info.notAfter,
+            fingerprint: info.fingerprint,
+            revokedAt: null
+        }, pem));
+        tracked.add(info.fingerprint);
+    }
+
+    return { imported, skipped };
+}
+
+// Expiry checks run every intervalMinutes, saving the alert settings restarts the timer
+let expiryTimer = null;
+
+async function runExpiryCheck(now = new Date(), options) {
+    return expiryAlerts.checkExpiring(await inventoryEntries(now), now, options);
+}
+
+function scheduleExpiryChecks() {
+    clearInterval(expiryTimer);
+    expiryTimer = setInterval(() => {
+        runExpiryCheck().catch(error => console.error('Error checking certificate expiry:', error));
+    }, expiryAlerts.getSettings().intervalMinutes * 60 * 1000);
+}
+
+// Inventory listing: filter with source, type, caId, status, search and expiresWithinDays,
+// sort with sort (daysRemaining, notAfter, commonName, type, issuer, serial, source) and order
+app.get('/api/inventory', async (req, res) => {
+    try {
+        const entries = await inventoryEntries();
+        const certificates = inventory.filterAndSort(entries, req.query);
+        res.json({
+            success: true,
+            total: entries.length,
+            expiringDays: inventory.EXPIRING_DAYS,
+            types: [...new Set(entries.map(entry => entry.type))].sort(),
+            certificates
+        });
+    } catch (error) {
+        console.error('Error listing inventory:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to list inventory',
+            message: error.message
+        });
+    }
+});
+
+app.post('/api/inventory/import', async (req, res) => {
+    try {
+        const result = await importCertificates(req.body);
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error importing certificates:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to import certificates',
+            message: error.message
+        });
+    }
+});
+
+// Webhook alert settings and the result of the last check
+app.get('/api/inventory/alerts', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            settings: expiryAlerts.getSettings(),
+            lastCheck: expiryAlerts.getState().lastCheck
+        });
+    } catch (error) {
+        console.error('Error reading alert settings:', error);
+        res.status(500).json({
+            error: 'Failed to read alert settings',
+            message: error.message
+        });
+    }
+});
+
+app.post('/api/inventory/alerts', (req, res) => {
+    try {
+        const { webhookUrl, thresholds, intervalMinutes } = req.body;
+        const settings = expiryAlerts.saveSettings({ webhookUrl, thresholds, intervalMinutes });
+        scheduleExpiryChecks();
+        res.json({
+            success: true,
+            settings
+        });
+    } catch (error) {
+        console.error('Error saving alert settings:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to save alert settings',
+            message: error.message
+        });
+    }
+});
+
+// Check now instead of waiting for the timer. "now" (ISO 8601) simulates another date: the
+// alerts due then are sent, but not remembered as sent
+app.post('/api/inventory/alerts/run', async (req, res) => {
+    try {
+        const now = req.body.now ? new Date(req.body.now) : new Date();
+        if (isNaN(now.getTime())) {
+            throw badRequest('now must be an ISO 8601 date');
+        }
+
+        res.json({
+            success: true,
+            simulated: !!req.body.now,
+            ...await runExpiryCheck(now, { record: !req.body.now })
+        });
+    } catch (error) {
+        console.error('Error checking certificate expiry:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to check certificate expiry',
+            message: error.message
+        });
+    }
+});
+
+app.post('/api/inventory/alerts/test', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            sent: await expiryAlerts.sendTestAlert()
+        });
+    } catch (error) {
+        console.error('Error sending test alert:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to send test alert',
+            message: error.message
+        });
+    }
+});
+
+// Single inventory entry including its certificate PEM
+app.get('/api/inventory/:id', async (req, res) => {
+    try {
+        const entry = (await inventoryEntries()).find(candidate => candidate.id === req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: `Unknown inventory entry: ${req.params.id}` });
+        }
+
+        res.json({
+            success: true,
+            ...entry,
+            cert: inventoryCertificate(entry)
+        });
+    } catch (error) {
+        console.error('Error reading inventory entry:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to read inventory entry',
+            message: error.message
+        });
+    }
+});
+
+// Stop tracking an imported certificate (issued certificates stay in their CA's ledger)
+app.post('/api/inventory/:id/remove', (req, res) => {
+    try {
+        inventory.removeImported(req.params.id);
+        res.json({
+            success: true,
+            id: req.params.id
+        });
+    } catch (error) {
+        console.error('Error removing inventory entry:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to remove inventory entry',
+            message: error.message
+        });
+    }
+});
+
+// Check the audit log's hash chain from the first entry to the last
+app.get('/api/audit/verify', (req, res) => {
+    try {
+        const result = auditLog.verify();
+        res.status(result.valid ? 200 : 409).json({
+            success: result.valid,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error verifying audit log:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to verify audit log',
+            message: error.message
+        });
+    }
+});
+
+// Audit entries as JSON Lines, ?from= and ?to= (ISO 8601, to exclusive) limit the time range
+app.get('/api/audit/export', (req, res) => {
+    try {
+        const lines = auditLog.exportRange({ from: req.query.from, to: req.query.to });
+        res.set({
+            'Content-Type': 'application/x-ndjson',
+            'Content-Disposition': `attachment; filename="audit-${Date.now()}.jsonl"`
+        });
+        res.send(lines);
+    } catch (error) {
+        console.error('Error exporting audit log:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to export audit log',
+            message: error.message
+        });
+    }
+});
+
+// The CLI (bin/mqtt-pki.js) reuses the generation and signing logic without the HTTP server
+module.exports = {
+    generateClientCsr,
+    generateBrokerCsr,
+    generateRootCa,
+    generateIntermediateCa,
+    signClientCertificate,
+    signBrokerCertificate,
+    inspectCsr,
+    parseSanList,
+    readCertInfo
+};
+
+if (require.main === module) {
+    // Refuse to start with a broken certificate profile rather than failing on first use
+    profiles.listProfiles();
+
+    // Check for expiring certificates on start, then every intervalMinutes
+    scheduleExpiryChecks();
+    runExpiryCheck().catch(error => console.error('Error checking certificate expiry:', error));
+
+    // EST over TLS, so re-enrolling devices can present their current certificate
+    if (EST_TLS_PORT) {
+        if (!process.env.EST_TLS_CERT || !process.env.EST_TLS_KEY) {
+            throw new Error('EST_TLS_PORT needs EST_TLS_CERT and EST_TLS_KEY (server certificate and key files)');
+        }
+        https.createServer({
+            cert: fs.readFileSync(process.env.EST_TLS_CERT),
+            key: fs.readFileSync(process.env.EST_TLS_KEY),
+            requestCert: true,
+            // Client certificates are checked against the EST CA by the re-enrollment route
+            rejectUnauthorized: false
+        }, app).listen(EST_TLS_PORT, () => {
+            console.log(`EST over TLS on https://localhost:${EST_TLS_PORT}/.well-known/est`);
+        });
+    }
+
+    app.listen(PORT, () => {
+        console.log(`
 ╔══════════════════════════════════════════════════════════════════════╗
 ║ ECC CSR Generator Server (Client & Broker + CA) - LibreSSL Ready    ║
 ║ Running on http://localhost:${PORT}                                 ║
@@ -628,13 +3099,42 @@ app.listen(PORT, () => {
 ║ • Client CSR:      POST /api/generate-csr                           ║
 ║ • Broker CSR:      POST /api/generate-broker-csr                    ║
 ║ • Root CA:         POST /api/generate-root-ca                       ║
+║ • Intermediate CA: POST /api/generate-intermediate-ca               ║
+║ • Profiles:        GET  /api/profiles                               ║
+║ • Inspect CSR:     POST /api/inspect-csr                            ║
+║ • Describe/Compare: POST /api/describe | /api/compare               ║
+║ • Toolbox:         POST /api/toolbox/convert | /match               ║
+║ • Chain Tools:     POST /api/toolbox/verify | /sort-chain           ║
 ║ • Sign Client:     POST /api/sign-client-cert                       ║
 ║ • Sign Broker:     POST /api/sign-broker-cert                       ║
+║ • Export Identity: POST /api/export-identity                        ║
+║ • Bulk Clients:    POST /api/batch-provision                        ║
+║ • Test mTLS:       POST /api/test-connection                        ║
+║ • Broker Config:   POST /api/broker-config-bundle                   ║
+║ • Cloud IoT Files: POST /api/cloud-artifacts/ca | /client           ║
+║ • MQTT Client Kit: POST /api/client-kit                             ║
+║ • CA Vault:        GET  /api/cas[/:caId[/certificates[/:serial]]]   ║
+║ • Revoke:          POST /api/cas/:caId/revoke                       ║
+║ • Generate CRL:    POST /api/cas/:caId/crl                          ║
+║ • Current CRL:     GET  /crl/:caId.crl | /crl/:caId.pem             ║
+║ • OCSP Signer:     POST /api/cas/:caId/ocsp-signer                  ║
+║ • OCSP Responder:  POST /ocsp/:caId                                 ║
+║ • Inventory:       GET  /api/inventory[/:id]                        ║
+║ • Import Certs:    POST /api/inventory/import                       ║
+║ • Expiry Alerts:   GET|POST /api/inventory/alerts[/run|/test]       ║
+║ • CSR Queue:       POST /api/requests | GET /api/requests[/:id]     ║
+║ • Decide Request:  POST /api/requests/:id/approve | /reject         ║
+║ • EST Enrollment:  /.well-known/est/cacerts|simple[re]enroll        ║
+║ • EST Settings:    GET|POST /api/est[/users[/:username/remove]]     ║
+║ • Audit Log:       GET  /api/audit/verify | /api/audit/export       ║
 ║                                                                      ║
 ║ Web Interfaces:                                                      ║
 ║ • Home:   http://localhost:${PORT}/index.html                       ║
 ║ • Client: http://localhost:${PORT}/client.html                      ║
 ║ • Broker: http://localhost:${PORT}/broker.html                      ║
+║ • Inventory: http://localhost:${PORT}/inventory.html                ║
+║ • Toolbox:   http://localhost:${PORT}/toolbox.html                  ║
 ╚══════════════════════════════════════════════════════════════════════╝
-  `);
-});
\ No newline at end of file
+      `);
+    });
+}
\ No newline at end of file